@@ -1,90 +1,686 @@
 /**
  * @file api.js
- * خلاصه یک‌خطی: این ماژول مسئول تمام تعاملات با API ترجمه گوگل (Gemini) است.
- * Dependencies: ./db.js, ./languageService.js, ./httpErrors.js
+ * خلاصه یک‌خطی: این ماژول مسئول ساخت درخواست‌های ترجمه و پردازش پاسخ ارائه‌دهندگان (Gemini، سرویس‌های سازگار با OpenAI و LibreTranslate) است.
+ * Dependencies: ./db.js, ./languageService.js, ./providers.js, ./httpErrors.js, ./glossary.js, ./translationStyle.js, ./promptTemplates.js, ./translationResponse.js, ./keyVaultSession.js
  * NOTE: Internal. این ماژول منطق اصلی ساخت پرامپت و پردازش پاسخ‌های API را در بر می‌گیرد.
  * Comments updated by AI: 2025-11-10
  */
-import { getNextApiKey } from "./db.js";
+import {
+  getSetting,
+  getNextApiKey,
+  getApiKeyCooldownRemaining,
+  updateApiKeyStatus,
+  getGlossary,
+} from "./db.js";
 import { getAllLanguages } from "./languageService.js";
-import { getErrorMessage } from "./httpErrors.js";
+import { getActiveProvider, getProvider } from "./providers.js";
+import {
+  ApiError,
+  NetworkError,
+  RequestAbortedError,
+  InvalidResponseError,
+} from "./httpErrors.js";
+import { KeysLockedError } from "./keyVaultSession.js";
+import { findGlossaryMatches, buildGlossaryInstructions } from "./glossary.js";
+import { normalizeStyle, buildStyleInstructions } from "./translationStyle.js";
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  renderPromptTemplate,
+} from "./promptTemplates.js";
+import {
+  MIN_ALTERNATIVES,
+  MAX_ALTERNATIVES,
+  buildResponseSchema,
+  parseTranslationResponse,
+} from "./translationResponse.js";
 
-// نقطه پایانی (endpoint) برای مدل Gemini 2.5 Pro جهت تولید محتوا.
-const API_ENDPOINT =
-  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent";
+// کدهای وضعیتی که نشان می‌دهند کلید فعلی نامعتبر است و باید غیرفعال شده و بلافاصله کلید بعدی امتحان شود.
+const AUTH_ERROR_STATUSES = [401, 403];
+// کدهای وضعیتی که خطای موقت محسوب شده و پس از مکث (backoff) دوباره تلاش می‌شوند.
+const TRANSIENT_ERROR_STATUSES = [429, 500, 502, 503, 504];
+// حداکثر تعداد خطاهای موقت مجاز پس از آنکه همه کلیدها یک بار امتحان شدند.
+const MAX_TRANSIENT_RETRIES = 3;
+// زمان پایه و سقف مکث نمایی بین تلاش‌ها (میلی‌ثانیه).
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 16000;
+// اگر سرور انتظاری طولانی‌تر از این مقدار بخواهد، تلاش مجدد انجام نمی‌شود.
+const MAX_RETRY_WAIT_MS = 60000;
+// مدت استراحت پیش‌فرض کلیدی که هنگام اعتبارسنجی به سقف سهمیه رسیده است (اگر سرور زمانی پیشنهاد نکند).
+const QUOTA_COOLDOWN_MS = 60000;
+// مهلت پیش‌فرض هر درخواست به سرویس ترجمه (ثانیه)، اگر کاربر مقدار دیگری تنظیم نکرده باشد.
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
+// حداکثر طول متنی که در یک درخواست ترجمه می‌شود؛ متن‌های بلندتر به چند بخش تقسیم می‌شوند.
+const MAX_CHUNK_CHARS = 5000;
+// حداکثر تعداد بخش‌هایی که هم‌زمان ترجمه می‌شوند (در صورت وجود کلیدهای کافی).
+const MAX_CONCURRENT_CHUNKS = 3;
+// درخواست‌های ترجمه در حال اجرا بر اساس کلید درخواست؛ برای جلوگیری از ارسال دوباره درخواست‌های یکسان.
+const inFlightTranslations = new Map();
+// الگوهای مرز بخش به ترتیب اولویت: پاراگراف، پایان جمله، پایان خط و در نهایت هر فاصله.
+const CHUNK_BOUNDARY_PATTERNS = [
+  /\n[^\S\n]*\n\s*/g,
+  /[.!?؟۔…。！？]+["'»”’)\]]*\s+/g,
+  /\n\s*/g,
+  /\s+/g,
+];
 
 /**
- * یک پرامپت جامع برای مدل زبان بزرگ (LLM) بر اساس ورودی کاربر و زبان‌ها می‌سازد.
- * این پرامپت به مدل دستور می‌دهد که ترجمه‌ای با حفظ لحن انجام دهد و خروجی را در فرمت JSON مشخصی برگرداند.
- * @param {string} text - متنی که باید ترجمه شود.
+ * دستورالعمل‌های جامع مدل زبان بزرگ (LLM) را از قالب پرامپت و زبان‌ها می‌سازد.
+ * این دستورالعمل‌ها به مدل می‌گویند که ترجمه‌ای با حفظ لحن انجام دهد و خروجی را در فرمت JSON مشخصی برگرداند.
+ * متن مبدأ جداگانه به عنوان پیام کاربر ارسال می‌شود تا عباراتی مانند «دستورات قبلی را نادیده بگیر» در آن نتوانند وظیفه مدل را تغییر دهند؛ فقط قالب‌هایی که جای‌نگهدار `{text}` دارند آن را (به صورت رشته JSON) در دستورالعمل‌ها نیز درج می‌کنند.
+ * @param {string} text - متن مبدأ.
  * @param {string} sourceLangCode - کد زبان مبدأ (ISO 639-1) یا 'auto' برای تشخیص خودکار.
  * @param {string} targetLangCode - کد زبان مقصد (ISO 639-1).
- * @returns {Promise<string>} - یک رشته پرامپت فرمت‌شده که به عنوان ورودی برای مدل زبان استفاده می‌شود.
+ * @param {string[]} [extraInstructions=[]] - دستورالعمل‌های اضافی (مانند حفظ نشانگرهای زیرنویس) که به مرحله ترجمه افزوده می‌شوند.
+ * @param {"translation"|"alternatives"|"dictionary"} [mode="translation"] - نوع پاسخ: یک ترجمه، ۲ تا ۴ ترجمه جایگزین به همراه توضیح تفاوت هر کدام، یا یک مدخل فرهنگ لغت.
+ * @param {string} [template=DEFAULT_PROMPT_TEMPLATE] - قالب پرامپت؛ باید پیش‌تر با `validatePromptTemplate` اعتبارسنجی شده باشد.
+ * @returns {Promise<string>} - دستورالعمل‌های فرمت‌شده که به عنوان دستورالعمل سیستمی به مدل زبان داده می‌شوند.
  */
-async function buildUnifiedPrompt(text, sourceLangCode, targetLangCode) {
+async function buildUnifiedPrompt(
+  text,
+  sourceLangCode,
+  targetLangCode,
+  extraInstructions = [],
+  mode = "translation",
+  template = DEFAULT_PROMPT_TEMPLATE
+) {
   const allLangs = await getAllLanguages();
-  const targetLanguage = allLangs.find(
-    (l) => l.code === targetLangCode
-  )?.englishName;
+  const findName = (code) => allLangs.find((l) => l.code === code)?.englishName;
+  // با زبان مبدأ مشخص، تنها زبانی که می‌تواند تشخیص داده شود خود زبان مبدأ است و فهرست کامل لازم نیست.
   const knownLanguages = allLangs
+    .filter((l) => sourceLangCode === "auto" || l.code === sourceLangCode)
     .map((l) => `"${l.code}": "${l.englishName}"`)
     .join(", ");
 
-  // بر اساس اینکه زبان مبدأ مشخص شده یا باید خودکار تشخیص داده شود، دستورالعمل متفاوتی ایجاد می‌شود.
-  const sourceLanguageInstruction =
-    sourceLangCode === "auto"
-      ? `First, detect the source language of the text. The list of languages I already know is: {${knownLanguages}}.`
-      : `The source language is explicitly provided as ${
-          allLangs.find((l) => l.code === sourceLangCode)?.englishName
-        }.`;
-
-  return `
-You are an expert linguist and a master translator. Your task is to perform a tone-aware translation and return the result in a specific JSON format.
-
-**Instructions:**
-1.  **Analyze the Source Text**: The user has provided the following text: "${text}"
-2.  **Determine Source Language**: ${sourceLanguageInstruction}
-3.  **Perform Translation**: Translate the text into ${targetLanguage}, meticulously preserving the original tone.
-4.  **Format the Output**: Your response MUST be a single, valid JSON object with the following keys:
-    - \`"detectedSourceLanguage"\`: A string containing the two-letter ISO 639-1 code of the language you identified.
-    - \`"translatedText"\`: A string containing your final, polished translation.
-
-5.  **Conditional Step - Add Language Info**:
-    - **IF AND ONLY IF** the detected language code is NOT in the list of known languages I provided, you MUST add a third key to the JSON object called \`"newLanguageInfo"\`.
-    - This \`"newLanguageInfo"\` must be an object with exactly these four string keys: \`"code"\`, \`"name"\`, \`"englishName"\`, and \`"dir"\` (which must be either "ltr" or "rtl"). The "name" should be the Persian name of the language.
+  const extraRequirements = extraInstructions.length
+    ? `\n${extraInstructions.map((line) => `    - ${line}`).join("\n")}`
+    : "";
+
+  // در حالت ترجمه‌های جایگزین یا فرهنگ لغت، به جای کلید `translatedText` ساختار دیگری خواسته می‌شود.
+  const targetLanguage = findName(targetLangCode);
+  let modeStep = "";
+  let translationKey = `\`"translatedText"\`: A string containing your final, polished translation.`;
+  let translationExample = `"translatedText": "سلام دنیا"`;
+  if (mode === "alternatives") {
+    modeStep = `Instead of a single translation, produce between ${MIN_ALTERNATIVES} and ${MAX_ALTERNATIVES} distinct candidate translations. Each candidate must differ meaningfully from the others (for example literal vs. idiomatic wording, or a different register); do not list trivial variations.\n`;
+    translationKey = `\`"alternatives"\`: An array of candidate objects, best candidate first. Each object has exactly two string keys: \`"translatedText"\` (the candidate translation) and \`"note"\` (one short sentence in Persian explaining how this candidate differs, e.g. literal, idiomatic, formal or informal).`;
+    translationExample = `"alternatives": [
+    { "translatedText": "سلام دنیا", "note": "ترجمه تحت‌اللفظی" },
+    { "translatedText": "درود بر جهان", "note": "رسمی و ادبی" }
+  ]`;
+  } else if (mode === "dictionary") {
+    modeStep = `Instead of a plain translation, the text is a single word or short phrase: write a bilingual dictionary entry for it for a ${targetLanguage} speaker. List the most common part of speech and sense first.\n`;
+    translationKey = `\`"dictionary"\`: An object with the keys \`"headword"\` (the word or phrase in its dictionary form), \`"pronunciation"\` (IPA, or a Latin romanization for non-Latin scripts; an empty string if unknown) and \`"entries"\`: one object per part of speech with \`"partOfSpeech"\` (written in ${targetLanguage}), \`"senses"\` and \`"synonyms"\` (an array of source-language synonyms, possibly empty). Each sense has \`"translation"\` (the ${targetLanguage} equivalent), \`"definition"\` (a short explanation in ${targetLanguage}) and \`"examples"\` (one or two objects with a source-language \`"source"\` sentence and its \`"translation"\`).`;
+    translationExample = `"dictionary": {
+    "headword": "bonjour",
+    "pronunciation": "/bɔ̃.ʒuʁ/",
+    "entries": [
+      {
+        "partOfSpeech": "صوت",
+        "senses": [
+          {
+            "translation": "سلام",
+            "definition": "واژه‌ای برای احوالپرسی هنگام دیدار در طول روز",
+            "examples": [
+              { "source": "Bonjour, comment ça va ?", "translation": "سلام، حالت چطور است؟" }
+            ]
+          }
+        ],
+        "synonyms": ["salut"]
+      }
+    ]
+  }`;
+  }
+
+  const outputFormat = `**Output Format**: ${modeStep}Your response MUST be a single, valid JSON object with the following keys:
+- \`"detectedSourceLanguage"\`: A string containing the two-letter ISO 639-1 code of the language you identified.
+- ${translationKey}
+- \`"newLanguageInfo"\`: Add this key **IF AND ONLY IF** the detected language code is NOT in the list of known languages I provided. It must be an object with exactly these four string keys: \`"code"\`, \`"name"\`, \`"englishName"\`, and \`"dir"\` (which must be either "ltr" or "rtl"). The "name" should be the Persian name of the language.
 
 **Example for a Known Language (e.g., 'fr'):**
 {
   "detectedSourceLanguage": "fr",
-  "translatedText": "سلام دنیا"
+  ${translationExample}
 }
 
 **Example for a New Language (e.g., 'it' for Italian):**
 {
   "detectedSourceLanguage": "it",
-  "translatedText": "سلام دنیا",
+  ${translationExample},
   "newLanguageInfo": {
     "code": "it",
     "name": "ایتالیایی",
     "englishName": "Italian",
     "dir": "ltr"
   }
+}`;
+
+  return renderPromptTemplate(template, {
+    text: JSON.stringify(text),
+    sourceLanguage:
+      sourceLangCode === "auto" ? "auto" : findName(sourceLangCode),
+    targetLanguage,
+    knownLanguages,
+    extraInstructions: extraRequirements,
+    outputFormat,
+  });
 }
+
+/**
+ * دستورالعمل‌هایی برای اصلاح پاسخی می‌سازد که با ساختار مورد انتظار مطابقت نداشت.
+ * @param {string} instructions - دستورالعمل‌های اصلی.
+ * @param {string} rawText - پاسخ نامعتبر مدل.
+ * @param {string[]} problems - مشکلات یافت‌شده در پاسخ.
+ * @returns {string}
+ */
+function buildRepairPrompt(instructions, rawText, problems) {
+  return `${instructions}
+**Your previous reply was rejected** because it does not match the required JSON format:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Your previous reply was:
+${rawText}
+
+Reply again with ONLY the corrected JSON object and no other text.
 `;
 }
 
 /**
- * متن ورودی را با استفاده از Gemini API از زبان مبدأ به زبان مقصد ترجمه می‌کند.
+ * مقدار (احتمالاً ناقص) کلید `translatedText` را از یک JSON نیمه‌کاره استخراج می‌کند.
+ * در حالت جریانی، مدل JSON را تکه‌تکه تولید می‌کند؛ این تابع تا جایی که رشته دریافت شده، آن را رمزگشایی می‌کند.
+ * @param {string} buffer - متن JSON دریافت‌شده تا این لحظه.
+ * @returns {string|null} - متن ترجمه جزئی یا null اگر هنوز به کلید `translatedText` نرسیده باشیم.
+ */
+function extractPartialTranslation(buffer) {
+  const match = /"translatedText"\s*:\s*"/.exec(buffer);
+  if (!match) return null;
+
+  const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+  let result = "";
+  for (let i = match.index + match[0].length; i < buffer.length; i++) {
+    const char = buffer[i];
+    // رسیدن به کوتیشن بدون escape یعنی رشته کامل شده است.
+    if (char === '"') break;
+    if (char !== "\\") {
+      result += char;
+      continue;
+    }
+
+    const next = buffer[i + 1];
+    // escape نیمه‌کاره در انتهای بافر؛ منتظر تکه بعدی می‌مانیم.
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      result += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * مدت مکث پیش از تلاش بعدی را به صورت نمایی و با نوسان تصادفی (jitter) محاسبه می‌کند.
+ * نوسان تصادفی از هم‌زمان شدن تلاش‌های مجدد چند درخواست موازی جلوگیری می‌کند.
+ * @param {number} failureCount - تعداد خطاهای موقت رخ‌داده تا این لحظه (از ۱).
+ * @returns {number} - مدت مکث به میلی‌ثانیه.
+ */
+function computeBackoff(failureCount) {
+  const exponential = Math.min(
+    MAX_BACKOFF_MS,
+    BASE_BACKOFF_MS * 2 ** (failureCount - 1)
+  );
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * یک Promise برمی‌گرداند که پس از مدت مشخص resolve می‌شود.
+ * در صورت لغو سیگنال، انتظار بلافاصله با خطای لغو پایان می‌یابد.
+ * @param {number} ms - مدت انتظار به میلی‌ثانیه.
+ * @param {AbortSignal} [signal] - سیگنال لغو.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(toAbortError(signal.reason));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(toAbortError(signal.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * علت لغو یک سیگنال را به خطای `RequestAbortedError` تبدیل می‌کند.
+ * لغوهایی که علت مشخصی ندارند (مانند `controller.abort()`) لغو توسط کاربر در نظر گرفته می‌شوند.
+ * @param {*} reason - مقدار `signal.reason`.
+ * @returns {RequestAbortedError}
+ */
+function toAbortError(reason) {
+  return reason instanceof RequestAbortedError
+    ? reason
+    : new RequestAbortedError("cancel");
+}
+
+/**
+ * برای یک تلاش، سیگنال لغوی می‌سازد که هم با لغو درخواست اصلی و هم با پایان مهلت تلاش فعال می‌شود.
+ * @param {AbortSignal} [parentSignal] - سیگنال لغو درخواست اصلی (مثلاً دکمه لغو).
+ * @param {number} timeoutMs - مهلت تلاش به میلی‌ثانیه (۰ یعنی بدون مهلت).
+ * @returns {{signal: AbortSignal, dispose: function(): void}} - سیگنال تلاش و تابعی برای آزادسازی تایمر و شنونده‌ها.
+ */
+function createAttemptSignal(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(toAbortError(parentSignal.reason));
+  parentSignal?.addEventListener("abort", onAbort, { once: true });
+  const timer =
+    timeoutMs > 0
+      ? setTimeout(
+          () => controller.abort(new RequestAbortedError("timeout", timeoutMs)),
+          timeoutMs
+        )
+      : null;
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", onAbort);
+    },
+  };
+}
+
+/**
+ * بررسی می‌کند که آیا خطا موقت است و ارزش تلاش مجدد دارد یا خیر.
+ * خطاهای شبکه درخواست نیز موقت هستند؛ خطاهای دیگر (مانند خطاهای برنامه‌نویسی) بلافاصله پرتاب می‌شوند.
+ * @param {Error} error - خطای رخ‌داده.
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error instanceof ApiError) {
+    return TRANSIENT_ERROR_STATUSES.includes(error.status);
+  }
+  return error instanceof NetworkError;
+}
+
+/**
+ * نسخه کوتاه و قابل نمایش یک کلید API را (فقط چهار نویسه آخر) برمی‌گرداند.
+ * @param {string} apiKey - کلید API.
+ * @returns {string}
+ */
+function maskApiKey(apiKey) {
+  return `…${apiKey.slice(-4)}`;
+}
+
+/**
+ * بررسی می‌کند که آیا خطا نشان‌دهنده رد شدن کلید API است (کلید نامعتبر یا بدون دسترسی).
+ * Gemini برای کلید نامعتبر کد 400 را با علت API_KEY_INVALID برمی‌گرداند.
+ * @param {Error} error - خطای رخ‌داده.
+ * @returns {boolean}
+ */
+function isKeyRejection(error) {
+  return (
+    error instanceof ApiError &&
+    (AUTH_ERROR_STATUSES.includes(error.status) ||
+      error.reason === "API_KEY_INVALID")
+  );
+}
+
+/**
+ * نتیجه استفاده از یک کلید را در وضعیت آن ثبت می‌کند تا چرخش کلیدها کلیدهای نامعتبر یا محدودشده را کنار بگذارد.
+ * خطاهای شبکه به کلید مربوط نیستند و ثبت نمی‌شوند.
+ * @param {string} apiKey - کلید استفاده‌شده.
+ * @param {Error|null} error - خطای رخ‌داده یا null در صورت موفقیت.
+ * @param {number} cooldownMs - مدت استراحت کلید در صورت محدودیت نرخ (اگر سرور زمانی پیشنهاد نکرده باشد).
+ * @returns {Promise<void>}
+ */
+async function recordKeyOutcome(apiKey, error, cooldownMs) {
+  if (error && !(error instanceof ApiError)) return;
+  const now = Date.now();
+  try {
+    await updateApiKeyStatus(apiKey, (status) => {
+      if (!error) {
+        return {
+          ...status,
+          lastSuccess: now,
+          successCount: (status.successCount || 0) + 1,
+          cooldownUntil: 0,
+          dead: false,
+        };
+      }
+      const next = {
+        ...status,
+        lastErrorCode: error.status,
+        lastErrorAt: now,
+        errorCount: (status.errorCount || 0) + 1,
+      };
+      if (isKeyRejection(error)) next.dead = true;
+      else if (error.status === 429) {
+        next.cooldownUntil = now + (error.retryAfterMs ?? cooldownMs);
+      }
+      return next;
+    });
+  } catch (e) {
+    console.error("Failed to record API key status:", e);
+  }
+}
+
+/**
+ * یک درخواست را با سیاست تلاش مجدد و جابجایی کلید اجرا می‌کند.
+ * - خطای 401/403 (یا کلید نامعتبر): کلید فعلی غیرفعال شده و بلافاصله کلید بعدی امتحان می‌شود.
+ * - خطای 429 و 5xx: پس از مکث نمایی (با رعایت `Retry-After` یا `retryDelay` سرور) با کلید بعدی تلاش می‌شود.
+ * خطا تنها زمانی به کاربر می‌رسد که همه کلیدها امتحان شده باشند.
+ * درخواست لغوشده یا درخواستی که مهلتش تمام شده، دوباره تلاش نمی‌شود و در وضعیت کلید نیز ثبت نمی‌شود.
+ * @param {object} provider - ارائه‌دهنده فعال.
+ * @param {{apiKey: string}} config - پیکربندی ارائه‌دهنده.
+ * @param {function(string, AbortSignal): Promise<Object>} attempt - یک تلاش را با کلید و سیگنال لغو داده‌شده اجرا می‌کند.
+ * @param {Object} [options={}]
+ * @param {function(): boolean} [options.canRetry] - اگر false برگرداند (مثلاً پس از نمایش ترجمه جزئی)، تلاش مجدد انجام نمی‌شود.
+ * @param {AbortSignal} [options.signal] - سیگنال لغو کل درخواست.
+ * @param {number} [options.timeoutMs=0] - مهلت هر تلاش به میلی‌ثانیه (۰ یعنی بدون مهلت).
+ * @returns {Promise<Object>} - نتیجه تلاش موفق به همراه `meta` شامل تعداد تلاش‌ها و کلید موفق.
+ * @throws {Error} - آخرین خطا، به همراه ویژگی `attempts`؛ یا `RequestAbortedError` در صورت لغو یا پایان مهلت.
+ */
+async function runWithFailover(provider, config, attempt, options = {}) {
+  const { canRetry = () => true, signal, timeoutMs = 0 } = options;
+  const keyCount = provider.usesKeyPool
+    ? ((await getSetting("apiKeys")) || []).length
+    : 1;
+  const maxAttempts = keyCount + MAX_TRANSIENT_RETRIES;
+  const triedKeys = new Set();
+  let transientFailures = 0;
+  let lastError = null;
+
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    if (signal?.aborted) throw toAbortError(signal.reason);
+    let apiKey = provider.usesKeyPool ? await getNextApiKey() : config.apiKey;
+
+    // همه کلیدها نامعتبر یا در حال استراحت هستند؛ اگر زمان استراحت کوتاه باشد، تا آماده شدن نزدیک‌ترین کلید صبر می‌شود.
+    if (provider.usesKeyPool && !apiKey) {
+      const wait = await getApiKeyCooldownRemaining();
+      if (wait !== null && wait <= MAX_RETRY_WAIT_MS) {
+        await sleep(wait, signal);
+        apiKey = await getNextApiKey();
+      }
+      if (!apiKey) {
+        throw (
+          lastError ||
+          new Error(
+            "هیچ کلید API قابل استفاده‌ای وجود ندارد. کلیدها نامعتبر هستند یا به حد مجاز رسیده‌اند."
+          )
+        );
+      }
+    }
+    triedKeys.add(apiKey);
+
+    const attemptSignal = createAttemptSignal(signal, timeoutMs);
+    try {
+      const result = await attempt(apiKey, attemptSignal.signal);
+      if (provider.usesKeyPool) await recordKeyOutcome(apiKey, null);
+      return {
+        ...result,
+        meta: {
+          attempts,
+          keyHint: provider.usesKeyPool ? maskApiKey(apiKey) : null,
+        },
+      };
+    } catch (error) {
+      // خطای ناشی از لغو یا پایان مهلت به کلید مربوط نیست و نباید تلاش مجدد شود.
+      if (attemptSignal.signal.aborted) {
+        throw toAbortError(attemptSignal.signal.reason);
+      }
+      lastError = error;
+      error.attempts = attempts;
+      const transient = isTransientError(error);
+      if (transient) transientFailures++;
+      const backoff = computeBackoff(Math.max(transientFailures, 1));
+      if (provider.usesKeyPool) await recordKeyOutcome(apiKey, error, backoff);
+      if (!canRetry()) throw error;
+
+      if (isKeyRejection(error)) {
+        if (!provider.usesKeyPool) throw error;
+        console.warn(
+          `API key ${maskApiKey(apiKey)} rejected, trying next key.`
+        );
+        continue;
+      }
+      if (!transient) throw error;
+
+      const untriedKeyLeft = triedKeys.size < keyCount;
+      if (!untriedKeyLeft && transientFailures > MAX_TRANSIENT_RETRIES) {
+        throw error;
+      }
+      // محدودیت نرخ به کلید وابسته است؛ اگر کلید امتحان‌نشده‌ای باقی مانده، انتظار سرور لازم نیست.
+      const delay = untriedKeyLeft ? backoff : error.retryAfterMs ?? backoff;
+      if (delay > MAX_RETRY_WAIT_MS) throw error;
+      console.warn(
+        `Transient error (attempt ${attempts}), retrying in ${Math.round(
+          delay
+        )}ms.`
+      );
+      await sleep(delay, signal);
+    } finally {
+      attemptSignal.dispose();
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * یک کلید API جیمنای را با یک درخواست کم‌هزینه (فهرست مدل‌ها) بررسی کرده و نتیجه را در وضعیت کلید ثبت می‌کند.
+ * @param {string} apiKey - کلیدی که باید بررسی شود.
+ * @returns {Promise<{result: "valid"|"invalid"|"quota"|"network", error: Error|null}>}
+ *   - `valid`: کلید معتبر است.
+ *   - `invalid`: کلید توسط سرویس رد شد و غیرفعال می‌شود.
+ *   - `quota`: کلید معتبر است اما به سقف سهمیه رسیده و به حالت استراحت می‌رود.
+ *   - `network`: به دلیل خطای شبکه یا سرور، وضعیت کلید مشخص نشد.
+ */
+async function validateApiKey(apiKey) {
+  const provider = getProvider("gemini");
+  const storedConfigs = (await getSetting("providerConfigs")) || {};
+  const baseUrl =
+    storedConfigs[provider.id]?.baseUrl || provider.defaultBaseUrl;
+  const now = Date.now();
+
+  let outcome;
+  try {
+    await provider.listModels({ apiKey, config: { baseUrl } });
+    outcome = { result: "valid", error: null };
+  } catch (error) {
+    let result = "network";
+    if (isKeyRejection(error)) {
+      result = "invalid";
+    } else if (error instanceof ApiError && error.status === 429) {
+      result = "quota";
+    }
+    outcome = { result, error };
+  }
+
+  // خطای شبکه چیزی درباره خود کلید نمی‌گوید و وضعیت آن تغییر نمی‌کند.
+  if (outcome.result === "network") return outcome;
+  try {
+    await updateApiKeyStatus(apiKey, (status) => {
+      if (outcome.result === "valid") {
+        return { ...status, lastValidated: now, dead: false, cooldownUntil: 0 };
+      }
+      const next = {
+        ...status,
+        lastErrorCode: outcome.error.status,
+        lastErrorAt: now,
+      };
+      if (outcome.result === "invalid") {
+        next.dead = true;
+      } else {
+        next.cooldownUntil =
+          now + (outcome.error.retryAfterMs ?? QUOTA_COOLDOWN_MS);
+      }
+      return next;
+    });
+  } catch (e) {
+    console.error("Failed to record API key status:", e);
+  }
+  return outcome;
+}
+
+/**
+ * منتظر نتیجه یک درخواست می‌ماند، اما با لغو سیگنال فراخوان بلافاصله با `RequestAbortedError` رد می‌شود.
+ * خود درخواست با این کار متوقف نمی‌شود.
+ * @param {Promise<*>} promise - درخواست در حال اجرا.
+ * @param {AbortSignal} [signal] - سیگنال لغو فراخوان.
+ * @returns {Promise<*>}
+ */
+function waitWithSignal(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(toAbortError(signal.reason));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * متن ورودی را با استفاده از ارائه‌دهنده فعال (به صورت پیش‌فرض Gemini) از زبان مبدأ به زبان مقصد ترجمه می‌کند.
+ * اگر `options.onProgress` ارسال شود، پاسخ به صورت جریانی دریافت شده و ترجمه جزئی به محض دریافت اعلام می‌شود.
+ * خطاهای موقت و کلیدهای نامعتبر طبق سیاست `runWithFailover` مدیریت می‌شوند.
+ * اصطلاحات واژه‌نامه که در متن آمده‌اند، به عنوان ترجمه‌های اجباری به پرامپت افزوده می‌شوند.
+ * درخواستی که با درخواست در حال اجرای دیگری یکسان باشد (همان متن، زبان‌ها، مدل و دستورالعمل‌ها)، دوباره به API ارسال نمی‌شود و نتیجه همان درخواست را دریافت می‌کند.
+ * درخواست مشترک فقط زمانی لغو می‌شود که همه فراخوان‌های آن لغو شده باشند.
  * @param {string} text - متنی که باید ترجمه شود.
  * @param {string} sourceLang - کد زبان مبدأ (ISO 639-1) یا 'auto'.
  * @param {string} targetLang - کد زبان مقصد (ISO 639-1).
- * @returns {Promise<Object>} - یک شیء شامل متن ترجمه‌شده و زبان مبدأ شناسایی‌شده.
+ * @param {Object} [options={}] - تنظیمات اختیاری درخواست.
+ * @param {function(string): void} [options.onProgress] - با متن ترجمه جزئی در حالت جریانی فراخوانی می‌شود.
+ * @param {string} [options.model] - نام مدلی که فقط برای همین ترجمه به جای مدل پیش‌فرض تنظیمات استفاده می‌شود.
+ * @param {AbortSignal} [options.signal] - سیگنال لغو ترجمه (مثلاً دکمه لغو در صفحه مترجم).
+ * @param {string[]} [options.extraInstructions] - دستورالعمل‌های اضافی پرامپت (فقط برای ارائه‌دهندگان مبتنی بر مدل زبان).
+ * @param {Object} [options.style] - سبک ترجمه (لحن، حوزه، مخاطب و یادداشت سبک)؛ فقط برای ارائه‌دهندگان مبتنی بر مدل زبان.
+ * @param {boolean} [options.alternatives] - به جای یک ترجمه، ۲ تا ۴ ترجمه جایگزین با توضیح تفاوت‌ها خواسته شود (بدون حالت جریانی)؛ فقط برای ارائه‌دهندگان مبتنی بر مدل زبان.
+ * @param {boolean} [options.dictionary] - به جای ترجمه، مدخل فرهنگ لغت متن (نقش دستوری، معانی، مثال‌ها، مترادف‌ها و تلفظ) خواسته شود (بدون حالت جریانی)؛ بر `alternatives` اولویت دارد و فقط برای ارائه‌دهندگان مبتنی بر مدل زبان است.
+ * @param {boolean} [options.assessment] - پاسخ شامل کلیدهای ارزیابی ترجمه برگشتی (`adequacy`، `fluency` و `meaningShifts`) باشد؛ فقط برای ارائه‌دهندگان مبتنی بر مدل زبان.
+ * @param {string} [options.promptTemplate] - قالب پرامپت سفارشی (اعتبارسنجی‌شده) به جای قالب پیش‌فرض؛ فقط برای ارائه‌دهندگان مبتنی بر مدل زبان.
+ * @returns {Promise<Object>} - یک شیء شامل متن ترجمه‌شده، زبان مبدأ شناسایی‌شده و `meta` (تعداد تلاش‌ها و کلید موفق)؛ در حالت ترجمه‌های جایگزین، `alternatives` و متن اولین ترجمه جایگزین؛ در حالت فرهنگ لغت، `dictionary` و ترجمه نخستین معنا.
  * @throws {Error} - در صورت عدم وجود کلید API، خطاهای شبکه یا پاسخ‌های نامعتبر از API، خطا پرتاب می‌کند.
+ * @throws {RequestAbortedError} - اگر ترجمه لغو شود یا پاسخ در مهلت تنظیم‌شده دریافت نشود.
  */
-async function translateText(text, sourceLang, targetLang) {
-  // کلید API بعدی را از پایگاه داده دریافت می‌کند.
-  const apiKey = await getNextApiKey();
-  if (!apiKey)
+async function translateText(text, sourceLang, targetLang, options = {}) {
+  const { onProgress, signal } = options;
+  const key = JSON.stringify([
+    text,
+    sourceLang,
+    targetLang,
+    options.model || null,
+    options.extraInstructions || [],
+    normalizeStyle(options.style),
+    Boolean(options.alternatives),
+    Boolean(options.dictionary),
+    Boolean(options.assessment),
+    options.promptTemplate || null,
+  ]);
+
+  let request = inFlightTranslations.get(key);
+  if (!request) {
+    const controller = new AbortController();
+    const listeners = new Set();
+    request = { controller, listeners, callers: 0, lastPartial: "" };
+    request.promise = requestTranslation(text, sourceLang, targetLang, {
+      ...options,
+      signal: controller.signal,
+      // حالت جریانی بر اساس اولین فراخوان تعیین می‌شود؛ فراخوان‌های بعدی نیز ترجمه جزئی را دریافت می‌کنند.
+      onProgress: onProgress
+        ? (partial) => {
+            request.lastPartial = partial;
+            listeners.forEach((listener) => listener(partial));
+          }
+        : undefined,
+    }).finally(() => inFlightTranslations.delete(key));
+    // اگر همه فراخوان‌ها پیش از پایان درخواست لغو شوند، خطای آن جای دیگری مدیریت نمی‌شود.
+    request.promise.catch(() => {});
+    inFlightTranslations.set(key, request);
+  }
+
+  request.callers++;
+  if (onProgress) {
+    request.listeners.add(onProgress);
+    if (request.lastPartial) onProgress(request.lastPartial);
+  }
+  try {
+    return await waitWithSignal(request.promise, signal);
+  } finally {
+    request.listeners.delete(onProgress);
+    request.callers--;
+    if (request.callers === 0 && signal?.aborted) {
+      request.controller.abort(signal.reason);
+    }
+  }
+}
+
+/**
+ * یک ترجمه را برای بررسی کیفیت آن به زبان مبدأ برمی‌گرداند (ترجمه برگشتی).
+ * ارائه‌دهندگان مبتنی بر مدل زبان علاوه بر ترجمه برگشتی، امتیاز کفایت معنایی و روانی (۱ تا ۵) و فهرست جابجایی‌های احتمالی معنا را نیز برمی‌گردانند.
+ * @param {string} translatedText - ترجمه‌ای که باید بررسی شود.
+ * @param {string} originalText - متن اصلی که ترجمه از آن انجام شده است.
+ * @param {string} sourceLang - کد زبان متن اصلی (زبان مقصد ترجمه برگشتی).
+ * @param {string} targetLang - کد زبان ترجمه.
+ * @param {Object} [options={}] - تنظیمات اختیاری؛ `model` و `signal` به `translateText` داده می‌شوند.
+ * @returns {Promise<{backTranslation: string, adequacy: number|null, fluency: number|null, meaningShifts: string[]|null, meta: Object}>}
+ *   - `meaningShifts` برای ارائه‌دهندگانی که ارزیابی انجام نمی‌دهند null است.
+ */
+async function backTranslate(
+  translatedText,
+  originalText,
+  sourceLang,
+  targetLang,
+  options = {}
+) {
+  const result = await translateText(translatedText, targetLang, sourceLang, {
+    model: options.model,
+    signal: options.signal,
+    assessment: true,
+    extraInstructions: [
+      "This is a back-translation used to check an earlier translation. Translate as literally as possible and do not correct, improve or complete the meaning.",
+      `The original text of that earlier translation is: ${JSON.stringify(
+        originalText
+      )}. Compare it with the text you are translating and add these keys to the JSON object: "adequacy" (an integer from 1 to 5 for how completely the meaning of the original is preserved), "fluency" (an integer from 1 to 5 for how natural the text you are translating reads) and "meaningShifts" (an array of short Persian sentences, each describing one place where meaning was added, lost or changed; an empty array if there are none).`,
+    ],
+  });
+  return {
+    backTranslation: result.translatedText,
+    adequacy: result.adequacy ?? null,
+    fluency: result.fluency ?? null,
+    meaningShifts: result.meaningShifts ?? null,
+    meta: result.meta,
+  };
+}
+
+/**
+ * یک درخواست ترجمه را (بدون یکسان‌سازی درخواست‌های هم‌زمان) به ارائه‌دهنده فعال ارسال می‌کند.
+ * @param {string} text - متنی که باید ترجمه شود.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {Object} options - تنظیمات درخواست (همانند `translateText`).
+ * @returns {Promise<Object>}
+ */
+async function requestTranslation(text, sourceLang, targetLang, options) {
+  const { onProgress, signal } = options;
+  const { provider, config: baseConfig } = await getActiveProvider();
+  // انتخاب سریع مدل در صفحه مترجم، تنها برای همین درخواست بر مدل تنظیمات اولویت دارد.
+  const config = options.model
+    ? { ...baseConfig, model: options.model }
+    : baseConfig;
+
+  // ارائه‌دهندگانی که از مجموعه کلیدهای ذخیره‌شده استفاده می‌کنند، بدون کلید قابل استفاده نیستند.
+  if (provider.usesKeyPool && !(await getSetting("apiKeys"))?.length)
     throw new Error(
       "هیچ کلید API تنظیم نشده است. لطفاً به صفحه تنظیمات بروید."
     );
@@ -93,58 +689,279 @@ async function translateText(text, sourceLang, targetLang) {
   if (!text.trim())
     return { detectedSourceLanguage: sourceLang, translatedText: "" };
 
-  const prompt = await buildUnifiedPrompt(text, sourceLang, targetLang);
+  // مهلت هر تلاش از تنظیمات خوانده می‌شود (بر حسب ثانیه).
+  const timeoutSeconds =
+    (await getSetting("requestTimeout")) ?? DEFAULT_REQUEST_TIMEOUT_SECONDS;
+  const failoverOptions = { signal, timeoutMs: timeoutSeconds * 1000 };
 
-  // درخواست به API Gemini ارسال می‌شود.
-  const response = await fetch(`${API_ENDPOINT}?key=${apiKey}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
-  });
+  // سرویس‌های ترجمه ماشینی (بدون پرامپت) نتیجه نهایی را مستقیماً برمی‌گردانند.
+  if (provider.kind === "mt") {
+    if (options.alternatives) {
+      throw new Error(
+        "ترجمه‌های جایگزین فقط با ارائه‌دهندگان مبتنی بر مدل زبان در دسترس است."
+      );
+    }
+    if (options.dictionary) {
+      throw new Error(
+        "فرهنگ لغت فقط با ارائه‌دهندگان مبتنی بر مدل زبان در دسترس است."
+      );
+    }
+    return runWithFailover(
+      provider,
+      config,
+      (apiKey, attemptSignal) =>
+        provider.translate({
+          text,
+          sourceLang,
+          targetLang,
+          apiKey,
+          config,
+          signal: attemptSignal,
+        }),
+      failoverOptions
+    );
+  }
 
-  // مدیریت خطاهای احتمالی در پاسخ API.
-  if (!response.ok) {
-    const statusCode = response.status;
-    const userFriendlyMessage = getErrorMessage(statusCode);
-    let apiSpecificMessage =
-      "No specific details could be read from the API response.";
+  const glossaryMatches = findGlossaryMatches(
+    await getGlossary(),
+    text,
+    sourceLang,
+    targetLang
+  );
+  const instructions = await buildUnifiedPrompt(
+    text,
+    sourceLang,
+    targetLang,
+    [
+      ...buildStyleInstructions(options.style),
+      ...(options.extraInstructions || []),
+      ...buildGlossaryInstructions(glossaryMatches),
+    ],
+    options.dictionary
+      ? "dictionary"
+      : options.alternatives
+      ? "alternatives"
+      : "translation",
+    options.promptTemplate
+  );
 
-    try {
-      // تلاش برای خواندن جزئیات بیشتر خطا از بدنه پاسخ API.
-      const errorData = await response.json();
-      apiSpecificMessage = errorData.error?.message || apiSpecificMessage;
-    } catch (e) {
-      // ممکن است بدنه پاسخ JSON معتبر نباشد که اشکالی ندارد.
-      // پیام خطای API همان مقدار پیش‌فرض باقی می‌ماند.
+  // ترجمه‌های جایگزین و مدخل‌های فرهنگ لغت فقط پس از دریافت کامل پاسخ قابل نمایش هستند و به صورت جریانی دریافت نمی‌شوند.
+  let lastPartial = "";
+  const onText =
+    typeof onProgress === "function" &&
+    !options.alternatives &&
+    !options.dictionary
+      ? (bufferedText) => {
+          const partial = extractPartialTranslation(bufferedText);
+          // فقط در صورت تغییر متن جزئی، رابط کاربری مطلع می‌شود.
+          if (partial !== null && partial !== lastPartial) {
+            lastPartial = partial;
+            onProgress(partial);
+          }
+        }
+      : undefined;
+
+  // ساختار پاسخ هم به ارائه‌دهنده ارسال می‌شود (در صورت پشتیبانی) و هم برای اعتبارسنجی پاسخ به کار می‌رود.
+  const shape = {
+    alternatives: Boolean(options.alternatives),
+    dictionary: Boolean(options.dictionary),
+    assessment: Boolean(options.assessment),
+  };
+  const responseSchema = buildResponseSchema(shape);
+
+  return runWithFailover(
+    provider,
+    config,
+    async (apiKey, attemptSignal) => {
+      const jsonString = await provider.generate({
+        instructions,
+        text,
+        apiKey,
+        config,
+        onText,
+        responseSchema,
+        signal: attemptSignal,
+      });
+
+      if (!jsonString) {
+        throw new Error(
+          "پاسخ معتبری از API دریافت نشد. ساختار پاسخ تغییر کرده است."
+        );
+      }
+
+      try {
+        return parseTranslationResponse(jsonString, shape);
+      } catch (error) {
+        if (!(error instanceof InvalidResponseError)) throw error;
+        // پاسخ نامعتبر فقط یک بار (بدون حالت جریانی) برای اصلاح به مدل برگردانده می‌شود.
+        console.warn("Invalid response, asking the model to repair it.");
+        const repairedString = await provider.generate({
+          instructions: buildRepairPrompt(
+            instructions,
+            jsonString,
+            error.problems
+          ),
+          text,
+          apiKey,
+          config,
+          responseSchema,
+          signal: attemptSignal,
+        });
+        return parseTranslationResponse(repairedString, shape);
+      }
+    },
+    {
+      ...failoverOptions,
+      // پس از نمایش بخشی از ترجمه، تلاش مجدد باعث پرش متن در رابط کاربری می‌شود.
+      canRetry: () => lastPartial === "",
     }
+  );
+}
 
-    console.error(
-      `API Error: Status ${statusCode} | Details: ${apiSpecificMessage}`
-    );
+/**
+ * محل مناسب برای برش یک پنجره از متن را پیدا می‌کند.
+ * مرزهای بزرگ‌تر (پاراگراف، سپس جمله) تنها در صورتی انتخاب می‌شوند که بخش حاصل بیش از حد کوتاه نباشد.
+ * @param {string} window - بخشی از متن به طول حداکثر مجاز.
+ * @returns {number} - طول بخشی از پنجره که باید جدا شود.
+ */
+function findChunkBoundary(window) {
+  const minLength = Math.floor(window.length * 0.3);
+  for (const pattern of CHUNK_BOUNDARY_PATTERNS) {
+    let end = 0;
+    for (const match of window.matchAll(pattern)) {
+      end = match.index + match[0].length;
+    }
+    if (end > minLength) return end;
+  }
+  // متنی بدون هیچ فاصله‌ای (مانند یک رشته طولانی) ناچار در حد مجاز بریده می‌شود.
+  return window.length;
+}
 
-    // پرتاب خطا با پیام کاربرپسند که در رابط کاربری نمایش داده خواهد شد.
-    throw new Error(userFriendlyMessage);
+/**
+ * متن را در مرز پاراگراف‌ها و جمله‌ها به بخش‌هایی با طول حداکثر `maxChars` تقسیم می‌کند.
+ * فاصله‌های ابتدا و انتهای هر بخش جدا نگه داشته می‌شوند تا شکست پاراگراف‌ها پس از ترجمه دقیقاً بازسازی شوند.
+ * @param {string} text - متن کامل.
+ * @param {number} [maxChars=MAX_CHUNK_CHARS] - حداکثر طول هر بخش.
+ * @returns {Array<{before: string, text: string, after: string}>} - بخش‌ها به ترتیب؛ `before + text + after` همه بخش‌ها برابر متن اصلی است.
+ */
+function splitTextIntoChunks(text, maxChars = MAX_CHUNK_CHARS) {
+  const slices = [];
+  let start = 0;
+  while (text.length - start > maxChars) {
+    const length = findChunkBoundary(text.slice(start, start + maxChars));
+    slices.push(text.slice(start, start + length));
+    start += length;
   }
+  slices.push(text.slice(start));
 
-  const data = await response.json();
-  // استخراج رشته JSON از ساختار پیچیده پاسخ API.
-  const jsonString = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  const chunks = [];
+  slices.forEach((slice) => {
+    const before = slice.match(/^\s*/)[0];
+    const core = slice.trim();
+    // بخشی که فقط فاصله است به انتهای بخش قبلی افزوده می‌شود.
+    if (!core && chunks.length > 0) {
+      chunks[chunks.length - 1].after += slice;
+      return;
+    }
+    chunks.push({
+      before,
+      text: core,
+      after: slice.slice(before.length + core.length),
+    });
+  });
+  return chunks;
+}
 
-  if (!jsonString) {
-    console.error("Invalid response structure from API:", data);
-    throw new Error(
-      "پاسخ معتبری از API دریافت نشد. ساختار پاسخ تغییر کرده است."
-    );
-  }
+/**
+ * بخش‌های یک متن بلند را با هم‌زمانی محدود ترجمه کرده و نتیجه را به ترتیب اصلی بازسازی می‌کند.
+ * نتیجه یا خطای هر بخش روی همان شیء بخش (`result` یا `error`) ثبت می‌شود؛ بخش‌هایی که از قبل نتیجه دارند
+ * دوباره ترجمه نمی‌شوند، بنابراین فراخوانی مجدد با همان آرایه فقط بخش‌های ناموفق را ترجمه می‌کند.
+ * @param {Array<{before: string, text: string, after: string, result?: Object, error?: Error}>} chunks - خروجی `splitTextIntoChunks`.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {Object} [options={}] - تنظیمات اختیاری؛ علاوه بر موارد زیر، `model` و `signal` به `translateText` داده می‌شوند.
+ * @param {function(number, string): void} [options.onProgress] - با ایندکس بخش و ترجمه جزئی آن در حالت جریانی فراخوانی می‌شود.
+ * @param {function(number): void} [options.onChunkSettled] - پس از پایان (موفق یا ناموفق) هر بخش فراخوانی می‌شود.
+ * @returns {Promise<Object>} - نتیجه ترکیبی شامل متن کامل ترجمه‌شده، زبان شناسایی‌شده بخش اول و `meta` (تعداد تلاش‌ها و بخش‌ها)؛ ترجمه‌های جایگزین (`alternatives`) و مدخل فرهنگ لغت (`dictionary`) فقط برای متن تک‌بخشی برگردانده می‌شوند.
+ * @throws {Error} - خطای اولین بخش ناموفق، به همراه ویژگی‌های `failedChunks` و `totalChunks`؛ یا `RequestAbortedError` در صورت لغو؛ یا `KeysLockedError` اگر کلیدها قفل باشند.
+ */
+async function translateChunks(chunks, sourceLang, targetLang, options = {}) {
+  const { onProgress, onChunkSettled, ...translateOptions } = options;
+  const { provider } = await getActiveProvider({ withApiKey: false });
+  // هر بخش هم‌زمان از یک کلید جداگانه استفاده می‌کند؛ سرویس‌های بدون مجموعه کلید یک بخش در هر لحظه را ترجمه می‌کنند.
+  const keyCount = provider.usesKeyPool
+    ? ((await getSetting("apiKeys")) || []).length
+    : 1;
+  const pending = chunks
+    .map((chunk, index) => index)
+    .filter((index) => !chunks[index].result);
+  const concurrency = Math.max(
+    1,
+    Math.min(MAX_CONCURRENT_CHUNKS, keyCount, pending.length)
+  );
 
-  try {
-    // حذف بک‌تیک‌های Markdown از ابتدا و انتهای رشته قبل از پارس کردن.
-    const cleanedJsonString = jsonString.replace(/^```json\s*|```$/g, "");
-    return JSON.parse(cleanedJsonString);
-  } catch (e) {
-    console.error("Failed to parse JSON response:", jsonString);
-    throw new Error("پاسخ API در فرمت مورد انتظار (JSON) نبود.");
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < pending.length) {
+      const index = pending[nextIndex++];
+      const chunk = chunks[index];
+      chunk.error = null;
+      try {
+        chunk.result = await translateText(chunk.text, sourceLang, targetLang, {
+          ...translateOptions,
+          onProgress: onProgress && ((partial) => onProgress(index, partial)),
+        });
+      } catch (error) {
+        // لغو و قفل بودن کلیدها کل ترجمه را متوقف می‌کنند؛ سایر خطاها فقط همان بخش را ناموفق می‌کنند.
+        if (
+          error instanceof RequestAbortedError ||
+          error instanceof KeysLockedError
+        ) {
+          throw error;
+        }
+        chunk.error = error;
+      }
+      onChunkSettled?.(index);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const failed = chunks.filter((chunk) => chunk.error);
+  if (failed.length > 0) {
+    const error = failed[0].error;
+    error.failedChunks = failed.length;
+    error.totalChunks = chunks.length;
+    throw error;
   }
+
+  const first = chunks[0].result;
+  return {
+    detectedSourceLanguage: first.detectedSourceLanguage,
+    newLanguageInfo: chunks.find((chunk) => chunk.result.newLanguageInfo)
+      ?.result.newLanguageInfo,
+    alternatives: chunks.length === 1 ? first.alternatives : undefined,
+    dictionary: chunks.length === 1 ? first.dictionary : undefined,
+    translatedText: chunks
+      .map((chunk) => chunk.before + chunk.result.translatedText + chunk.after)
+      .join(""),
+    meta: {
+      attempts: chunks.reduce(
+        (sum, chunk) => sum + (chunk.result.meta?.attempts || 1),
+        0
+      ),
+      // اگر بخش‌ها با کلیدهای مختلف ترجمه شده باشند، کلید خاصی نمایش داده نمی‌شود.
+      keyHint: chunks.length === 1 ? first.meta?.keyHint : null,
+      chunks: chunks.length,
+    },
+  };
 }
 
-export { translateText };
+export {
+  translateText,
+  translateChunks,
+  backTranslate,
+  splitTextIntoChunks,
+  validateApiKey,
+  buildUnifiedPrompt,
+  MAX_CHUNK_CHARS,
+};
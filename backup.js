@@ -0,0 +1,525 @@
+/**
+ * @file backup.js
+ * خلاصه یک‌خطی: این ماژول از تمام داده‌های برنامه (تنظیمات، تاریخچه، زبان‌ها، واژه‌نامه و در صورت درخواست کلیدهای API) فایل پشتیبان می‌سازد و بازیابی آن را (ادغام یا جایگزینی) با پیش‌نمایش تغییرات انجام می‌دهد.
+ * Dependencies: ./db.js, ./passphraseCrypto.js, ./keyVault.js, ./keyVaultSession.js, ./providers.js, ./utils.js
+ * NOTE: Internal. کلیدهای API و وضعیت آن‌ها هرگز به صورت متن ساده در فایل پشتیبان ذخیره نمی‌شوند؛ یا حذف می‌شوند یا با رمز عبور رمزگذاری می‌شوند. رمزگذاری کلیدها در این مرورگر (`apiKeyVault`) نه پشتیبان‌گیری و نه بازیابی می‌شود؛ کلیدهای بازیابی‌شده با همان رمزگذاری فعلی ذخیره می‌شوند. در فایل پشتیبان وضعیت هر کلید با شناسه `getApiKeyId` متن ساده آن ثبت می‌شود تا مستقل از رمزگذاری هر مرورگر باشد.
+ */
+import {
+  DB_VERSION,
+  withHistoryIndexFields,
+  getAllStoreRecords,
+  replaceStoreRecords,
+  getApiKeyId,
+  getStoredApiKeyId,
+} from "./db.js";
+import {
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+} from "./passphraseCrypto.js";
+import { encodeApiKey, encodeApiKeys } from "./keyVault.js";
+import { decryptApiKey } from "./keyVaultSession.js";
+import { PROVIDERS, isValidBaseUrl } from "./providers.js";
+import { toPersianDigits } from "./utils.js";
+
+// شناسه و نسخه قالب فایل پشتیبان.
+const BACKUP_FORMAT_ID = "motargem-backup";
+const BACKUP_FORMAT_VERSION = 1;
+// انبارها و کلیدهای تنظیماتی که کلیدهای API را نگه می‌دارند.
+const API_KEYS_SETTING = "apiKeys";
+const API_KEY_VAULT_SETTING = "apiKeyVault";
+const PROVIDER_CONFIGS_SETTING = "providerConfigs";
+const KEY_STATUS_STORE = "keyStatus";
+// کلید تنظیماتی که ارائه‌دهنده فعال در آن ذخیره می‌شود.
+const PROVIDER_SETTING = "provider";
+
+/**
+ * تبدیل‌های لازم برای رکوردهای پشتیبان‌هایی که با نسخه‌های قدیمی‌تر پایگاه داده ساخته شده‌اند، به ترتیب نسخه.
+ * هر تبدیل روی پشتیبان‌هایی اجرا می‌شود که `dbVersion` آن‌ها از `dbVersion` تبدیل کمتر است.
+ * @type {Array<{dbVersion: number, migrate: function(Object<string, Array<object>>): Object<string, Array<object>>}>}
+ */
+const BACKUP_MIGRATIONS = [
+  {
+    // نسخه ۶: آیتم‌های تاریخچه فیلدهای نمایه‌ها (مُهر زمانی، جفت زبان و ستاره) را گرفتند.
+    dbVersion: 6,
+    migrate: (stores) =>
+      stores.history
+        ? { ...stores, history: stores.history.map(withHistoryIndexFields) }
+        : stores,
+  },
+];
+
+/**
+ * نام فارسی انبارهای پایگاه داده برای پیش‌نمایش بازیابی.
+ * @type {Object<string, string>}
+ */
+const STORE_LABELS = {
+  settings: "تنظیمات",
+  history: "تاریخچه",
+  languages: "زبان‌های سفارشی",
+  glossary: "واژه‌نامه",
+  keyStatus: "وضعیت کلیدهای API",
+};
+
+/**
+ * کلیدهای API (کلیدهای Gemini، کلید هر ارائه‌دهنده و وضعیت کلیدها) را از رکوردهای انبارها جدا می‌کند.
+ * رکورد رمزگذاری کلیدها (`apiKeyVault`) نیز کنار گذاشته می‌شود.
+ * @param {Object<string, Array<object>>} stores - رکوردها بر اساس نام انبار.
+ * @returns {{stores: Object<string, Array<object>>, secrets: {apiKeys: string[], providerApiKeys: Object<string, string>, keyStatus: Array<object>}}} - رکوردهای بدون کلید و کلیدهای جداشده.
+ */
+function extractSecrets(stores) {
+  const secrets = { apiKeys: [], providerApiKeys: {}, keyStatus: [] };
+  const { [KEY_STATUS_STORE]: keyStatus, ...otherStores } = stores;
+  secrets.keyStatus = keyStatus || [];
+  if (otherStores.settings) {
+    otherStores.settings = otherStores.settings
+      .filter((record) => {
+        if (record.key === API_KEY_VAULT_SETTING) return false;
+        if (record.key !== API_KEYS_SETTING) return true;
+        secrets.apiKeys = record.value || [];
+        return false;
+      })
+      .map((record) => {
+        if (record.key !== PROVIDER_CONFIGS_SETTING) return record;
+        const configs = {};
+        Object.entries(record.value || {}).forEach(([id, config]) => {
+          const { apiKey, ...withoutKey } = config;
+          if (apiKey) secrets.providerApiKeys[id] = apiKey;
+          configs[id] = withoutKey;
+        });
+        return { ...record, value: configs };
+      });
+  }
+  return { stores: otherStores, secrets };
+}
+
+/**
+ * کلیدهای API جداشده با `extractSecrets` را به رکوردهای انبارها بازمی‌گرداند.
+ * @param {Object<string, Array<object>>} stores - رکوردهای بدون کلید.
+ * @param {{apiKeys: string[], providerApiKeys: Object<string, string>, keyStatus: Array<object>}} secrets - کلیدها.
+ * @returns {Object<string, Array<object>>}
+ */
+function applySecrets(stores, secrets) {
+  const settings = (stores.settings || []).filter(
+    (record) => record.key !== API_KEYS_SETTING
+  );
+  if (secrets.apiKeys.length > 0) {
+    settings.push({ key: API_KEYS_SETTING, value: secrets.apiKeys });
+  }
+  const providerIds = Object.keys(secrets.providerApiKeys);
+  if (providerIds.length > 0) {
+    const index = settings.findIndex(
+      (record) => record.key === PROVIDER_CONFIGS_SETTING
+    );
+    const configs = { ...settings[index]?.value };
+    providerIds.forEach((id) => {
+      configs[id] = { ...configs[id], apiKey: secrets.providerApiKeys[id] };
+    });
+    const configsRecord = { key: PROVIDER_CONFIGS_SETTING, value: configs };
+    if (index === -1) settings.push(configsRecord);
+    else settings[index] = configsRecord;
+  }
+  return { ...stores, settings, [KEY_STATUS_STORE]: secrets.keyStatus };
+}
+
+/**
+ * کلیدهای API دو منبع را ادغام می‌کند؛ کلیدهای `incoming` بر کلیدهای هم‌نام `current` اولویت دارند.
+ * کلیدهای Gemini بر اساس شناسه‌شان یکتا می‌شوند، چون ممکن است رمزشده باشند.
+ * @param {object} current - کلیدهای فعلی.
+ * @param {object} incoming - کلیدهای فایل پشتیبان (به شکل ذخیره‌شده).
+ * @returns {object}
+ */
+function mergeSecrets(current, incoming) {
+  const statuses = new Map(
+    [...current.keyStatus, ...incoming.keyStatus].map((status) => [
+      status.id,
+      status,
+    ])
+  );
+  // یک کلید در هر دو منبع همان کلید است؛ شکل ذخیره‌شده فعلی آن حفظ می‌شود.
+  const apiKeys = new Map();
+  [...current.apiKeys, ...incoming.apiKeys].forEach((key) => {
+    const id = getStoredApiKeyId(key);
+    if (!apiKeys.has(id)) apiKeys.set(id, key);
+  });
+  return {
+    apiKeys: [...apiKeys.values()],
+    providerApiKeys: {
+      ...current.providerApiKeys,
+      ...incoming.providerApiKeys,
+    },
+    keyStatus: [...statuses.values()],
+  };
+}
+
+/**
+ * شناسه رکوردهای وضعیت کلیدها را تغییر می‌دهد؛ وضعیت‌هایی که شناسه جدیدی ندارند کنار گذاشته می‌شوند.
+ * @param {Array<object>} statuses - رکوردهای وضعیت.
+ * @param {Map<string, string>} ids - شناسه جدید بر اساس شناسه فعلی.
+ * @returns {Array<object>}
+ */
+function renameKeyStatuses(statuses, ids) {
+  return statuses
+    .filter((status) => ids.has(status.id))
+    .map((status) => ({ ...status, id: ids.get(status.id) }));
+}
+
+/**
+ * مقادیر یک شیء را با یک تابع ناهمگام تبدیل می‌کند.
+ * @param {Object<string, *>} object - شیء.
+ * @param {function(*): Promise<*>} transform - تابع تبدیل.
+ * @returns {Promise<Object<string, *>>}
+ */
+async function mapValues(object, transform) {
+  const entries = await Promise.all(
+    Object.entries(object).map(async ([key, value]) => [
+      key,
+      await transform(value),
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * یک فایل پشتیبان از تمام انبارهای پایگاه داده می‌سازد.
+ * @param {{includeApiKeys?: boolean, password?: string}} [options={}] - `includeApiKeys`: کلیدهای API نیز (رمزگذاری‌شده با `password`) ذخیره شوند.
+ * @returns {Promise<string>} - محتوای JSON فایل پشتیبان.
+ * @throws {Error} - اگر ذخیره کلیدها بدون رمز عبور درخواست شده باشد.
+ * @throws {KeysLockedError} - اگر ذخیره کلیدها درخواست شده باشد و کلیدهای رمزشده قفل باشند.
+ */
+async function createBackup({ includeApiKeys = false, password = "" } = {}) {
+  if (includeApiKeys && !password) {
+    throw new Error("برای ذخیره کلیدهای API یک رمز عبور وارد کنید.");
+  }
+  const snapshot = await getAllStoreRecords();
+  const { stores, secrets } = extractSecrets(snapshot.stores);
+  const backup = {
+    format: BACKUP_FORMAT_ID,
+    version: BACKUP_FORMAT_VERSION,
+    dbVersion: DB_VERSION,
+    createdAt: new Date().toISOString(),
+    stores,
+  };
+  if (includeApiKeys) {
+    // کلیدهای رمزشده با عبارت عبور این مرورگر، پیش از رمزگذاری با رمز عبور فایل رمزگشایی می‌شوند.
+    const apiKeys = await Promise.all(secrets.apiKeys.map(decryptApiKey));
+    const providerApiKeys = await mapValues(
+      secrets.providerApiKeys,
+      decryptApiKey
+    );
+    const keyStatus = renameKeyStatuses(
+      secrets.keyStatus,
+      new Map(
+        secrets.apiKeys.map((stored, index) => [
+          getStoredApiKeyId(stored),
+          getApiKeyId(apiKeys[index]),
+        ])
+      )
+    );
+    backup.secrets = await encryptWithPassphrase(
+      { apiKeys, providerApiKeys, keyStatus },
+      password
+    );
+  }
+  return JSON.stringify(backup, null, 2);
+}
+
+/**
+ * پیکربندی ارائه‌دهندگان یک فایل پشتیبان را با همان قواعد صفحه تنظیمات اعتبارسنجی می‌کند.
+ * کلیدهای API به نشانی سرویس فرستاده می‌شوند، پس ارائه‌دهندگان ناشناخته و نشانی‌های نامعتبر کنار گذاشته می‌شوند.
+ * @param {*} configs - پیکربندی‌ها بر اساس شناسه ارائه‌دهنده (بدون کلید API).
+ * @returns {Object<string, {baseUrl?: string, model?: string, models?: string[]}>}
+ */
+function sanitizeProviderConfigs(configs) {
+  const sanitized = {};
+  Object.keys(PROVIDERS).forEach((id) => {
+    const config = configs?.[id];
+    if (!config || typeof config !== "object") return;
+    const { baseUrl, model, models } = config;
+    sanitized[id] = {
+      ...(typeof baseUrl === "string" &&
+        isValidBaseUrl(baseUrl.trim()) && { baseUrl: baseUrl.trim() }),
+      ...(typeof model === "string" && { model: model.trim() }),
+      ...(Array.isArray(models) && {
+        models: models.filter((name) => typeof name === "string"),
+      }),
+    };
+  });
+  return sanitized;
+}
+
+/**
+ * رکوردهای تنظیمات ارائه‌دهندگان یک فایل پشتیبان را اعتبارسنجی می‌کند.
+ * @param {Array<object>} settings - رکوردهای تنظیمات.
+ * @returns {Array<object>}
+ */
+function sanitizeSettings(settings) {
+  return settings
+    .filter(
+      (record) =>
+        record.key !== PROVIDER_SETTING ||
+        Object.hasOwn(PROVIDERS, record.value)
+    )
+    .map((record) =>
+      record.key === PROVIDER_CONFIGS_SETTING
+        ? { ...record, value: sanitizeProviderConfigs(record.value) }
+        : record
+    );
+}
+
+/**
+ * محتوای یک فایل پشتیبان را خوانده و اعتبارسنجی می‌کند.
+ * پشتیبان‌های نسخه‌های قدیمی‌تر پایگاه داده انبارهایی را که هنوز وجود نداشتند ندارند؛ این انبارها هنگام بازیابی دست‌نخورده می‌مانند.
+ * @param {string} content - محتوای فایل.
+ * @returns {{dbVersion: number, createdAt: string, stores: Object<string, Array<object>>, secrets?: object}}
+ * @throws {Error} - اگر فایل پشتیبان معتبر نباشد یا با نسخه جدیدتری از برنامه ساخته شده باشد.
+ */
+function parseBackup(content) {
+  let backup;
+  try {
+    backup = JSON.parse(content);
+  } catch (error) {
+    console.error("Failed to parse backup:", error);
+    throw new Error("فایل پشتیبان معتبر نیست.");
+  }
+  if (
+    backup?.format !== BACKUP_FORMAT_ID ||
+    !backup.stores ||
+    typeof backup.stores !== "object" ||
+    !Number.isInteger(backup.dbVersion)
+  ) {
+    throw new Error("این فایل، فایل پشتیبان مترجم نیست.");
+  }
+  if (backup.version > BACKUP_FORMAT_VERSION || backup.dbVersion > DB_VERSION) {
+    throw new Error(
+      "این فایل پشتیبان با نسخه جدیدتری از برنامه ساخته شده است؛ ابتدا برنامه را به‌روز کنید."
+    );
+  }
+  let stores = Object.fromEntries(
+    Object.entries(backup.stores).filter(([, records]) =>
+      Array.isArray(records)
+    )
+  );
+  BACKUP_MIGRATIONS.filter(
+    (migration) => backup.dbVersion < migration.dbVersion
+  ).forEach((migration) => {
+    stores = migration.migrate(stores);
+  });
+  // کلیدهای API فقط از بخش رمزگذاری‌شده پذیرفته می‌شوند.
+  stores = extractSecrets(stores).stores;
+  if (stores.settings) stores.settings = sanitizeSettings(stores.settings);
+  return { ...backup, stores };
+}
+
+/**
+ * کلیدهای API رمزگذاری‌شده یک فایل پشتیبان را با رمز عبور بازمی‌گشاید.
+ * @param {object} backup - فایل پشتیبان خوانده‌شده با `parseBackup`.
+ * @param {string} password - رمز عبور.
+ * @returns {Promise<object>} - کلیدهای فایل پشتیبان.
+ */
+async function decryptBackupSecrets(backup, password) {
+  const secrets = await decryptWithPassphrase(backup.secrets, password);
+  const isString = (value) => typeof value === "string" && value !== "";
+  return {
+    apiKeys: Array.isArray(secrets.apiKeys)
+      ? secrets.apiKeys.filter(isString)
+      : [],
+    providerApiKeys: Object.fromEntries(
+      Object.entries(secrets.providerApiKeys || {}).filter(
+        ([id, apiKey]) => Object.hasOwn(PROVIDERS, id) && isString(apiKey)
+      )
+    ),
+    keyStatus: Array.isArray(secrets.keyStatus)
+      ? secrets.keyStatus.filter((status) => isString(status?.id))
+      : [],
+  };
+}
+
+/**
+ * داده‌هایی را که پس از بازیابی در هر انبار خواهند بود محاسبه می‌کند.
+ * در حالت ادغام، رکوردهای فایل پشتیبان جایگزین رکوردهای هم‌کلید فعلی می‌شوند و رکوردهای دیگر حفظ می‌شوند؛
+ * در حالت جایگزینی، محتوای هر انبار موجود در فایل پشتیبان کاملاً جایگزین می‌شود.
+ * اگر کلیدهای API فایل بازیابی نشوند، کلیدهای فعلی در هر دو حالت حفظ می‌شوند.
+ * @param {object} snapshot - تصویر فعلی پایگاه داده (خروجی `getAllStoreRecords`).
+ * @param {object} backup - فایل پشتیبان خوانده‌شده با `parseBackup`.
+ * @param {{replace: boolean, secrets?: object}} options - `secrets`: کلیدهای بازگشوده فایل پشتیبان (به شکل ذخیره‌شده).
+ * @returns {Object<string, Array<object>>} - رکوردهای نهایی انبارهایی که تغییر می‌کنند.
+ */
+function buildRestoredStores(snapshot, backup, { replace, secrets }) {
+  const current = extractSecrets(snapshot.stores);
+  const stores = {};
+  Object.entries(backup.stores).forEach(([name, records]) => {
+    const keyPath = snapshot.keyPaths[name];
+    if (!keyPath) return; // انبارهای ناشناخته نادیده گرفته می‌شوند.
+    if (replace) {
+      stores[name] = records;
+      return;
+    }
+    const merged = new Map(
+      current.stores[name].map((record) => [record[keyPath], record])
+    );
+    records.forEach((record) => merged.set(record[keyPath], record));
+    stores[name] = [...merged.values()];
+  });
+
+  // در حالت ادغام، تنظیمات ارائه‌دهندگان فایل با تنظیمات فعلی ادغام می‌شوند تا ارائه‌دهندگان دیگر پاک نشوند.
+  if (!replace && stores.settings) {
+    const currentConfigs = current.stores.settings.find(
+      (record) => record.key === PROVIDER_CONFIGS_SETTING
+    );
+    stores.settings = stores.settings.map((record) =>
+      record.key === PROVIDER_CONFIGS_SETTING && currentConfigs
+        ? { ...record, value: { ...currentConfigs.value, ...record.value } }
+        : record
+    );
+  }
+
+  if (!stores.settings && !secrets) return stores;
+  const restoredSecrets = !secrets
+    ? current.secrets
+    : replace
+    ? secrets
+    : mergeSecrets(current.secrets, secrets);
+  const restored = applySecrets(
+    { ...stores, settings: stores.settings || current.stores.settings },
+    restoredSecrets
+  );
+  // رمزگذاری فعلی کلیدها حفظ می‌شود تا کلیدهای ذخیره‌شده همچنان قابل رمزگشایی باشند.
+  const vault = snapshot.stores.settings.find(
+    (record) => record.key === API_KEY_VAULT_SETTING
+  );
+  if (vault) restored.settings.push(vault);
+  return restored;
+}
+
+/**
+ * کلیدهای بازگشوده فایل پشتیبان را برای ذخیره آماده می‌کند (با فعال بودن رمزگذاری، رمزگذاری می‌شوند).
+ * @param {{replace: boolean, secrets?: object}} options - حالت بازیابی و کلیدهای بازگشوده فایل.
+ * @returns {Promise<{replace: boolean, secrets?: object}>}
+ * @throws {KeysLockedError} - اگر رمزگذاری فعال باشد و قفل باز نباشد.
+ */
+async function encodeRestoreSecrets(options) {
+  if (!options.secrets) return options;
+  const { apiKeys, providerApiKeys, keyStatus } = options.secrets;
+  const encodedKeys = await encodeApiKeys(apiKeys);
+  return {
+    ...options,
+    secrets: {
+      apiKeys: encodedKeys,
+      providerApiKeys: await mapValues(providerApiKeys, encodeApiKey),
+      keyStatus: renameKeyStatuses(
+        keyStatus,
+        new Map(
+          apiKeys.map((apiKey, index) => [
+            getApiKeyId(apiKey),
+            getStoredApiKeyId(encodedKeys[index]),
+          ])
+        )
+      ),
+    },
+  };
+}
+
+/**
+ * تعداد رکوردهای افزوده، به‌روزرسانی و حذف‌شده هر انبار را برای پیش‌نمایش بازیابی محاسبه می‌کند.
+ * @param {object} snapshot - تصویر فعلی پایگاه داده.
+ * @param {Object<string, Array<object>>} stores - رکوردهای نهایی (خروجی `buildRestoredStores`).
+ * @returns {Array<{name: string, label: string, added: number, updated: number, removed: number}>}
+ */
+function diffStores(snapshot, stores) {
+  return Object.entries(stores).map(([name, records]) => {
+    const keyPath = snapshot.keyPaths[name];
+    const current = new Map(
+      snapshot.stores[name].map((record) => [
+        record[keyPath],
+        JSON.stringify(record),
+      ])
+    );
+    const next = new Set();
+    const change = { name, label: STORE_LABELS[name] || name };
+    change.added = 0;
+    change.updated = 0;
+    records.forEach((record) => {
+      const key = record[keyPath];
+      next.add(key);
+      if (!current.has(key)) change.added++;
+      else if (current.get(key) !== JSON.stringify(record)) change.updated++;
+    });
+    change.removed = [...current.keys()].filter((key) => !next.has(key)).length;
+    return change;
+  });
+}
+
+/**
+ * نشانی‌های سرویسی را که بازیابی تغییر می‌دهد پیدا می‌کند تا کاربر پیش از فرستاده شدن کلیدها به آن‌ها تأیید کند.
+ * @param {object} snapshot - تصویر فعلی پایگاه داده.
+ * @param {Object<string, Array<object>>} stores - رکوردهای نهایی (خروجی `buildRestoredStores`).
+ * @returns {Array<{name: string, baseUrl: string}>} - نام ارائه‌دهنده و نشانی جدید آن.
+ */
+function diffProviderUrls(snapshot, stores) {
+  const getConfigs = (settings) =>
+    settings?.find((record) => record.key === PROVIDER_CONFIGS_SETTING)
+      ?.value || {};
+  const current = getConfigs(snapshot.stores.settings);
+  const restored = getConfigs(stores.settings);
+  return Object.entries(restored)
+    .filter(
+      ([id, config]) =>
+        config.baseUrl && config.baseUrl !== current[id]?.baseUrl
+    )
+    .map(([id, config]) => ({
+      name: PROVIDERS[id].name,
+      baseUrl: config.baseUrl,
+    }));
+}
+
+/**
+ * تغییراتی را که بازیابی یک فایل پشتیبان ایجاد می‌کند محاسبه می‌کند.
+ * @param {object} backup - فایل پشتیبان خوانده‌شده با `parseBackup`.
+ * @param {{replace: boolean, secrets?: object}} options - حالت بازیابی و کلیدهای بازگشوده فایل.
+ * @returns {Promise<{changes: Array<{name: string, label: string, added: number, updated: number, removed: number}>, providerUrls: Array<{name: string, baseUrl: string}>}>} - تغییرات هر انبار و نشانی‌های سرویس تغییرکرده.
+ */
+async function previewRestore(backup, options) {
+  const encoded = await encodeRestoreSecrets(options);
+  const snapshot = await getAllStoreRecords();
+  const stores = buildRestoredStores(snapshot, backup, encoded);
+  return {
+    changes: diffStores(snapshot, stores),
+    providerUrls: diffProviderUrls(snapshot, stores),
+  };
+}
+
+/**
+ * یک فایل پشتیبان را در یک تراکنش واحد بازیابی می‌کند.
+ * @param {object} backup - فایل پشتیبان خوانده‌شده با `parseBackup`.
+ * @param {{replace: boolean, secrets?: object}} options - حالت بازیابی و کلیدهای بازگشوده فایل.
+ * @returns {Promise<void>}
+ */
+async function restoreBackup(backup, options) {
+  const encoded = await encodeRestoreSecrets(options);
+  const snapshot = await getAllStoreRecords();
+  await replaceStoreRecords(buildRestoredStores(snapshot, backup, encoded));
+}
+
+/**
+ * توضیح کوتاهی از فایل پشتیبان (زمان ساخت و نسخه پایگاه داده) برای نمایش به کاربر می‌سازد.
+ * @param {object} backup - فایل پشتیبان خوانده‌شده با `parseBackup`.
+ * @returns {string}
+ */
+function describeBackup(backup) {
+  const createdAt = new Date(backup.createdAt);
+  const date = Number.isNaN(createdAt.getTime())
+    ? "تاریخ نامشخص"
+    : createdAt.toLocaleString("fa-IR");
+  return `ساخته‌شده در ${date} (نسخه ${toPersianDigits(
+    backup.dbVersion
+  )} پایگاه داده)`;
+}
+
+export {
+  createBackup,
+  parseBackup,
+  decryptBackupSecrets,
+  previewRestore,
+  restoreBackup,
+  describeBackup,
+};
@@ -1,16 +1,30 @@
 /**
  * @file db.js
  * خلاصه یک‌خطی: این ماژول تمام تعاملات با پایگاه داده IndexedDB مرورگر را مدیریت می‌کند.
- * NOTE: Internal. این فایل شامل توابعی برای ذخیره و بازیابی تنظیمات، تاریخچه ترجمه و زبان‌های سفارشی است.
+ * Dependencies: ./keyVaultSession.js
+ * NOTE: Internal. این فایل شامل توابعی برای ذخیره و بازیابی تنظیمات، وضعیت کلیدهای API، تاریخچه ترجمه، زبان‌های سفارشی و واژه‌نامه است.
  * Comments updated by AI: 2025-11-10
  */
+import { decryptApiKey, getApiKeyEntryId } from "./keyVaultSession.js";
 
 // ثابت‌های مربوط به پیکربندی IndexedDB.
 const DB_NAME = "TranslatorDB";
-const DB_VERSION = 3;
+const DB_VERSION = 7;
 const SETTINGS_STORE = "settings";
 const HISTORY_STORE = "history";
 const LANGUAGES_STORE = "languages";
+const KEY_STATUS_STORE = "keyStatus";
+const GLOSSARY_STORE = "glossary";
+// نمایه‌های انبار تاریخچه؛ نمایه‌های جفت زبان و ستاره‌دار به همراه مُهر زمانی هستند تا نتایج آن‌ها نیز به ترتیب زمان پیمایش شوند.
+// نمایه برچسب‌ها برای هر برچسب یک آیتم (multiEntry) دارد.
+const HISTORY_INDEXES = {
+  timestamp: { keyPath: "timestamp" },
+  langPair: { keyPath: ["langPair", "timestamp"] },
+  favorite: { keyPath: ["favorite", "timestamp"] },
+  tags: { keyPath: "tags", multiEntry: true },
+};
+// حداکثر اختلاف مُهر زمانی آیتم واردشده با آیتم موجود که هنوز تکراری به حساب می‌آید (نگاه کنید به `importHistoryItems`).
+const IMPORT_TIMESTAMP_TOLERANCE_MS = 1000;
 
 // یک نمونه (instance) از اتصال به پایگاه داده برای جلوگیری از باز شدن مکرر.
 let db;
@@ -42,16 +56,46 @@ function openDB() {
       if (!dbInstance.objectStoreNames.contains(SETTINGS_STORE)) {
         dbInstance.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
       }
-      if (!dbInstance.objectStoreNames.contains(HISTORY_STORE)) {
-        dbInstance.createObjectStore(HISTORY_STORE, { keyPath: "id" });
+      const historyStore = dbInstance.objectStoreNames.contains(HISTORY_STORE)
+        ? event.target.transaction.objectStore(HISTORY_STORE)
+        : dbInstance.createObjectStore(HISTORY_STORE, { keyPath: "id" });
+      Object.entries(HISTORY_INDEXES).forEach(
+        ([name, { keyPath, multiEntry = false }]) => {
+          if (!historyStore.indexNames.contains(name)) {
+            historyStore.createIndex(name, keyPath, { multiEntry });
+          }
+        }
+      );
+      // آیتم‌های ذخیره‌شده با نسخه‌های پیش از ۶ فیلدهای نمایه‌ها را ندارند و بدون آن‌ها در نمایه‌ها دیده نمی‌شوند.
+      if (event.oldVersion > 0 && event.oldVersion < 6) {
+        historyStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          cursor.update(withHistoryIndexFields(cursor.value));
+          cursor.continue();
+        };
       }
       if (!dbInstance.objectStoreNames.contains(LANGUAGES_STORE)) {
         dbInstance.createObjectStore(LANGUAGES_STORE, { keyPath: "code" });
       }
+      if (!dbInstance.objectStoreNames.contains(KEY_STATUS_STORE)) {
+        dbInstance.createObjectStore(KEY_STATUS_STORE, { keyPath: "id" });
+      }
+      if (!dbInstance.objectStoreNames.contains(GLOSSARY_STORE)) {
+        dbInstance.createObjectStore(GLOSSARY_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      }
     };
 
     request.onsuccess = (event) => {
       db = event.target.result;
+      // اگر زبانه دیگری نسخه جدیدتری از پایگاه داده را باز کند، اتصال فعلی بسته می‌شود تا ارتقاء مسدود نشود.
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
       resolve(db);
     };
   });
@@ -76,6 +120,39 @@ async function saveSetting(key, value) {
   });
 }
 
+/**
+ * چند تنظیم مربوط به کلیدهای API را در یک تراکنش ذخیره می‌کند و در همان تراکنش رکوردهای وضعیت کلیدها را به شناسه جدیدشان منتقل می‌کند.
+ * این کار هنگام فعال یا غیرفعال کردن رمزگذاری کلیدها لازم است تا کلیدها، مشخصات رمزگذاری و وضعیت‌ها همیشه با هم سازگار بمانند.
+ * @param {Object.<string, *>} values - مقادیر تنظیمات بر اساس کلید آن‌ها.
+ * @param {Map<string, string>} [statusIds=new Map()] - شناسه جدید وضعیت هر کلید بر اساس شناسه فعلی آن.
+ * @returns {Promise<void>}
+ */
+async function saveApiKeySettings(values, statusIds = new Map()) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      [SETTINGS_STORE, KEY_STATUS_STORE],
+      "readwrite"
+    );
+    const settingsStore = transaction.objectStore(SETTINGS_STORE);
+    const statusStore = transaction.objectStore(KEY_STATUS_STORE);
+    Object.entries(values).forEach(([key, value]) => {
+      settingsStore.put({ key, value });
+    });
+    statusIds.forEach((newId, oldId) => {
+      if (newId === oldId) return;
+      const request = statusStore.get(oldId);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        statusStore.put({ ...request.result, id: newId });
+        statusStore.delete(oldId);
+      };
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
 /**
  * مقداری را بر اساس کلید آن از انبار تنظیمات بازیابی می‌کند.
  * @param {string} key - کلید تنظیماتی که باید بازیابی شود.
@@ -93,22 +170,211 @@ async function getSetting(key) {
   });
 }
 
+// --- توابع مربوط به وضعیت کلیدهای API (Key Status) ---
+
+/**
+ * یک شناسه کوتاه و پایدار برای کلید API می‌سازد تا وضعیت کلید بدون ذخیره خود کلید ثبت شود.
+ * از یک هش غیررمزنگارانه و همگام (cyrb53) استفاده می‌شود تا بتوان آن را داخل یک تراکنش IndexedDB محاسبه کرد.
+ * @param {string} key - کلید API.
+ * @returns {string} - شناسه هگزادسیمال کلید.
+ */
+function getApiKeyId(key) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const ch = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * شناسه یک کلید API ذخیره‌شده را برمی‌گرداند؛ کلیدهای رمزشده یک شناسه تصادفی همراه خود دارند.
+ * @param {string|{id: string}} stored - کلید ذخیره‌شده (رشته یا کلید رمزشده).
+ * @returns {string}
+ */
+function getStoredApiKeyId(stored) {
+  return typeof stored === "string" ? getApiKeyId(stored) : stored.id;
+}
+
+/**
+ * شناسه‌ای را که وضعیت یک کلید API با آن ثبت می‌شود برمی‌گرداند.
+ * با فعال بودن رمزگذاری، شناسه تصادفی کلید رمزشده استفاده می‌شود تا هش متن ساده کلید کنار کلیدهای رمزشده ذخیره نشود.
+ * @param {string} key - کلید API.
+ * @returns {Promise<string|null>} - شناسه یا null اگر کلیدها رمزشده باشند و قفل باز نباشد.
+ */
+async function getApiKeyStatusId(key) {
+  if (!(await getSetting("apiKeyVault"))) return getApiKeyId(key);
+  return getApiKeyEntryId(key);
+}
+
+/**
+ * بررسی می‌کند که آیا یک کلید بر اساس وضعیت ثبت‌شده‌اش قابل استفاده است یا خیر.
+ * کلیدهای نامعتبر (dead) و کلیدهایی که در دوره استراحت (cooldown) هستند کنار گذاشته می‌شوند.
+ * @param {object|undefined} status - رکورد وضعیت کلید.
+ * @param {number} now - زمان فعلی (میلی‌ثانیه).
+ * @returns {boolean}
+ */
+function isApiKeyUsable(status, now) {
+  if (!status) return true;
+  return !status.dead && (status.cooldownUntil || 0) <= now;
+}
+
 /**
  * کلید API بعدی را از لیست کلیدهای ذخیره‌شده به صورت چرخشی (round-robin) برمی‌گرداند.
- * این کار برای توزیع بار بین کلیدهای مختلف API مفید است.
- * @returns {Promise<string|null>} کلید API بعدی یا null در صورتی که هیچ کلیدی ذخیره نشده باشد.
+ * کلیدهای نامعتبر یا در حال استراحت نادیده گرفته می‌شوند.
+ * خواندن و به‌روزرسانی `lastKeyIndex` در یک تراکنش واحد انجام می‌شود تا ترجمه‌های موازی (حتی در زبانه‌های مختلف) کلید یکسانی انتخاب نکنند.
+ * کلید رمزشده پس از پایان تراکنش رمزگشایی می‌شود، چون رمزگشایی ناهمگام است و تراکنش را می‌بندد.
+ * @returns {Promise<string|null>} کلید API بعدی یا null در صورتی که هیچ کلید قابل استفاده‌ای وجود نداشته باشد.
+ * @throws {KeysLockedError} اگر کلیدها رمزشده باشند و قفل آن‌ها باز نباشد.
  */
 async function getNextApiKey() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      [SETTINGS_STORE, KEY_STATUS_STORE],
+      "readwrite"
+    );
+    const settingsStore = transaction.objectStore(SETTINGS_STORE);
+    const statusStore = transaction.objectStore(KEY_STATUS_STORE);
+    let selectedKey = null;
+
+    const keysRequest = settingsStore.get("apiKeys");
+    keysRequest.onsuccess = () => {
+      const keys = keysRequest.result?.value || [];
+      if (keys.length === 0) return;
+
+      const indexRequest = settingsStore.get("lastKeyIndex");
+      const statusesRequest = statusStore.getAll();
+      statusesRequest.onsuccess = () => {
+        const lastIndex = indexRequest.result?.value ?? -1;
+        const statuses = new Map(
+          statusesRequest.result.map((status) => [status.id, status])
+        );
+        const now = Date.now();
+
+        // از کلید بعد از آخرین کلید استفاده‌شده شروع کرده و اولین کلید قابل استفاده را انتخاب می‌کند.
+        for (let offset = 1; offset <= keys.length; offset++) {
+          const index = (lastIndex + offset) % keys.length;
+          const id = getStoredApiKeyId(keys[index]);
+          if (!isApiKeyUsable(statuses.get(id), now)) continue;
+
+          selectedKey = keys[index];
+          settingsStore.put({ key: "lastKeyIndex", value: index });
+          statusStore.put({ ...statuses.get(id), id, lastUsed: now });
+          return;
+        }
+      };
+    };
+
+    transaction.oncomplete = () =>
+      resolve(selectedKey === null ? null : decryptApiKey(selectedKey));
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * مدت زمانی را که تا آماده شدن نزدیک‌ترین کلید در حال استراحت باقی مانده است برمی‌گرداند.
+ * @returns {Promise<number|null>} زمان باقی‌مانده به میلی‌ثانیه، ۰ اگر کلیدی همین حالا قابل استفاده باشد، یا null اگر همه کلیدها نامعتبر باشند.
+ */
+async function getApiKeyCooldownRemaining() {
   const keys = (await getSetting("apiKeys")) || [];
-  if (keys.length === 0) return null;
-  let lastIndex = (await getSetting("lastKeyIndex")) ?? -1;
-  const nextIndex = (lastIndex + 1) % keys.length;
-  await saveSetting("lastKeyIndex", nextIndex);
-  return keys[nextIndex];
+  const statuses = await getApiKeyStatuses();
+  const now = Date.now();
+  let remaining = null;
+  keys.forEach((key) => {
+    const status = statuses[getStoredApiKeyId(key)];
+    if (status?.dead) return;
+    const wait = Math.max(0, (status?.cooldownUntil || 0) - now);
+    remaining = remaining === null ? wait : Math.min(remaining, wait);
+  });
+  return remaining;
+}
+
+/**
+ * وضعیت تمام کلیدهای API ثبت‌شده را برمی‌گرداند.
+ * @returns {Promise<Object.<string, object>>} نگاشت شناسه کلید به رکورد وضعیت آن.
+ */
+async function getApiKeyStatuses() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEY_STATUS_STORE], "readonly");
+    const store = transaction.objectStore(KEY_STATUS_STORE);
+    const request = store.getAll();
+    request.onsuccess = () =>
+      resolve(
+        request.result.reduce((acc, status) => {
+          acc[status.id] = status;
+          return acc;
+        }, {})
+      );
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * وضعیت یک کلید API را به صورت اتمیک به‌روزرسانی می‌کند.
+ * اگر کلیدها رمزشده باشند و قفل باز نباشد، وضعیتی ثبت نمی‌شود.
+ * @param {string} key - کلید API.
+ * @param {function(object): object} updater - رکورد فعلی (یا یک رکورد خالی) را گرفته و رکورد جدید را برمی‌گرداند.
+ * @returns {Promise<void>}
+ */
+async function updateApiKeyStatus(key, updater) {
+  const id = await getApiKeyStatusId(key);
+  if (!id) return;
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEY_STATUS_STORE], "readwrite");
+    const store = transaction.objectStore(KEY_STATUS_STORE);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      store.put({ ...updater(request.result || { id }), id });
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * رکورد وضعیت یک کلید API را حذف می‌کند (مثلاً پس از حذف کلید یا برای فعال‌سازی مجدد آن).
+ * @param {string} key - کلید API.
+ * @returns {Promise<void>}
+ */
+async function deleteApiKeyStatus(key) {
+  const id = await getApiKeyStatusId(key);
+  if (!id) return;
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([KEY_STATUS_STORE], "readwrite");
+    const store = transaction.objectStore(KEY_STATUS_STORE);
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = (event) => reject(event.target.error);
+  });
 }
 
 // --- توابع مربوط به تاریخچه (History) ---
 
+/**
+ * فیلدهای لازم برای نمایه‌های تاریخچه را به یک آیتم اضافه می‌کند.
+ * مُهر زمانی همان شناسه آیتم است و ستاره‌دار بودن به صورت ۰ یا ۱ ذخیره می‌شود، چون مقادیر boolean در IndexedDB قابل نمایه‌سازی نیستند.
+ * @param {object} item - آیتم تاریخچه.
+ * @returns {object} - نسخه‌ای از آیتم با `timestamp`، `langPair` (`"src>tgt"`) و `favorite`.
+ */
+function withHistoryIndexFields(item) {
+  return {
+    ...item,
+    timestamp: item.timestamp ?? item.id,
+    langPair: `${item.sourceLang || "auto"}>${item.targetLang}`,
+    favorite: item.favorite ? 1 : 0,
+  };
+}
+
 /**
  * یک آیتم جدید (رکورد ترجمه) را به انبار تاریخچه اضافه می‌کند.
  * @param {object} item - شیء تاریخچه که باید ذخیره شود. باید شامل کلید `id` باشد.
@@ -119,14 +385,31 @@ async function addHistoryItem(item) {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([HISTORY_STORE], "readwrite");
     const store = transaction.objectStore(HISTORY_STORE);
-    const request = store.add(item);
+    const request = store.add(withHistoryIndexFields(item));
+    request.onsuccess = () => resolve();
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * یک آیتم موجود در تاریخچه را (بر اساس `id`) با نسخه جدید آن جایگزین می‌کند.
+ * @param {object} item - شیء کامل آیتم تاریخچه.
+ * @returns {Promise<void>}
+ */
+async function updateHistoryItem(item) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], "readwrite");
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.put(withHistoryIndexFields(item));
     request.onsuccess = () => resolve();
     request.onerror = (event) => reject(event.target.error);
   });
 }
 
 /**
- * تمام آیتم‌های تاریخچه را بازیابی کرده و آن‌ها را بر اساس جدیدترین مرتب می‌کند.
+ * تمام آیتم‌های تاریخچه را از جدیدترین به قدیمی‌ترین (بر اساس نمایه مُهر زمانی) بازیابی می‌کند.
+ * برای نمایش تاریخچه از `getHistoryPage` استفاده کنید.
  * @returns {Promise<Array<object>>} آرایه‌ای از تمام آیتم‌های تاریخچه.
  */
 async function getHistory() {
@@ -134,9 +417,133 @@ async function getHistory() {
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([HISTORY_STORE], "readonly");
     const store = transaction.objectStore(HISTORY_STORE);
-    const request = store.getAll();
-    request.onsuccess = () =>
-      resolve(request.result.sort((a, b) => b.id - a.id));
+    const request = store.index("timestamp").getAll();
+    request.onsuccess = () => resolve(request.result.reverse());
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * یک صفحه از تاریخچه را از جدید به قدیم با پیمایش نمایه‌ها بازیابی می‌کند، بدون خواندن تمام آیتم‌ها.
+ * پیمایش تا پر شدن صفحه ادامه می‌یابد؛ آیتم‌هایی که شرط `filter` را ندارند جزو صفحه حساب نمی‌شوند.
+ * @param {object} [options={}]
+ * @param {number} [options.before] - فقط آیتم‌های قدیمی‌تر از این مُهر زمانی (مقدار `nextCursor` صفحه قبل)؛ بدون آن از جدیدترین آیتم شروع می‌شود.
+ * @param {number} [options.since] - فقط آیتم‌های هم‌زمان یا جدیدتر از این مُهر زمانی.
+ * @param {number} [options.limit=20] - حداکثر تعداد آیتم‌های صفحه.
+ * @param {string} [options.langPair] - فقط آیتم‌های این جفت زبان (`"src>tgt"`).
+ * @param {boolean} [options.favoritesOnly=false] - فقط آیتم‌های ستاره‌دار.
+ * @param {string} [options.tag] - فقط آیتم‌هایی که این برچسب را دارند.
+ * @param {function(object): boolean} [options.filter] - شرط دیگری برای آیتم‌ها (مثلاً جستجوی متن).
+ * @returns {Promise<{items: Array<object>, nextCursor: number|null}>} - `nextCursor` برای درخواست صفحه بعد، یا null اگر آیتم دیگری نمانده باشد.
+ */
+async function getHistoryPage({
+  before = Infinity,
+  since = -Infinity,
+  limit = 20,
+  langPair,
+  favoritesOnly = false,
+  tag,
+  filter,
+} = {}) {
+  // بازه خالی (مثلاً تاریخ شروع پس از تاریخ پایان) در IDBKeyRange معتبر نیست.
+  if (since >= before) return { items: [], nextCursor: null };
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], "readonly");
+    const store = transaction.objectStore(HISTORY_STORE);
+    // نمایه‌ای انتخاب می‌شود که بیشترین آیتم‌ها را پیش از خواندن کنار بگذارد؛ شرط دیگر (در صورت وجود) هنگام پیمایش بررسی می‌شود.
+    let request;
+    if (langPair) {
+      request = store
+        .index("langPair")
+        .openCursor(
+          IDBKeyRange.bound([langPair, since], [langPair, before], false, true),
+          "prev"
+        );
+    } else if (favoritesOnly) {
+      request = store
+        .index("favorite")
+        .openCursor(
+          IDBKeyRange.bound([1, since], [1, before], false, true),
+          "prev"
+        );
+    } else {
+      request = store
+        .index("timestamp")
+        .openCursor(IDBKeyRange.bound(since, before, false, true), "prev");
+    }
+
+    const items = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ items, nextCursor: null });
+        return;
+      }
+      const item = cursor.value;
+      if (
+        (!favoritesOnly || item.favorite) &&
+        (!tag || (item.tags || []).includes(tag)) &&
+        (!filter || filter(item))
+      ) {
+        items.push(item);
+        if (items.length === limit) {
+          resolve({ items, nextCursor: item.timestamp });
+          return;
+        }
+      }
+      cursor.continue();
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * جفت زبان‌هایی را که در تاریخچه آیتمی دارند، با پرش روی نمایه جفت زبان (بدون خواندن آیتم‌ها) برمی‌گرداند.
+ * @returns {Promise<string[]>} - جفت زبان‌ها به صورت `"src>tgt"`.
+ */
+async function getHistoryLangPairs() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], "readonly");
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.index("langPair").openKeyCursor();
+    const pairs = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(pairs);
+        return;
+      }
+      const [pair] = cursor.key;
+      pairs.push(pair);
+      // پرش به اولین کلید جفت زبان بعدی
+      cursor.continue([pair, Infinity]);
+    };
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * تمام برچسب‌های به‌کاررفته در تاریخچه را از نمایه برچسب‌ها (بدون خواندن آیتم‌ها) برمی‌گرداند.
+ * @returns {Promise<string[]>} - برچسب‌ها به ترتیب الفبایی نمایه.
+ */
+async function getHistoryTags() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], "readonly");
+    const store = transaction.objectStore(HISTORY_STORE);
+    const request = store.index("tags").openKeyCursor(null, "nextunique");
+    const tags = [];
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(tags);
+        return;
+      }
+      tags.push(cursor.key);
+      cursor.continue();
+    };
     request.onerror = (event) => reject(event.target.error);
   });
 }
@@ -158,17 +565,85 @@ async function deleteHistoryItem(id) {
 }
 
 /**
- * تمام آیتم‌ها را از انبار تاریخچه پاک می‌کند.
+ * آیتم‌های خوانده‌شده از یک فایل را در یک تراکنش واحد به تاریخچه اضافه می‌کند.
+ * آیتمی که متن مبدأ و جفت زبان آن با آیتمی موجود (یا آیتمی که پیش‌تر از همین فایل افزوده شده) یکسان و مُهر زمانی‌اش برابر باشد، تکراری است و افزوده نمی‌شود.
+ * شناسه و مُهر زمانی هر آیتم جدید یکتا می‌شوند (در صورت تداخل، چند میلی‌ثانیه افزایش می‌یابند) تا صفحه‌بندی بر اساس مُهر زمانی آیتمی را جا نیندازد؛
+ * به همین دلیل مُهر زمانی آیتم موجود تا `IMPORT_TIMESTAMP_TOLERANCE_MS` پس از مُهر زمانی فایل نیز برابر به حساب می‌آید.
+ * @param {Array<object>} items - آیتم‌های تاریخچه بدون `id` و با `timestamp`.
+ * @returns {Promise<{added: number, skipped: number}>}
+ */
+async function importHistoryItems(items) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([HISTORY_STORE], "readwrite");
+    const store = transaction.objectStore(HISTORY_STORE);
+    const result = { added: 0, skipped: 0 };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = (event) => reject(event.target.error);
+
+    const request = store.getAll();
+    request.onsuccess = () => {
+      const usedTimestamps = new Set();
+      // مُهرهای زمانی آیتم‌ها بر اساس جفت زبان و متن مبدأ.
+      const timestampsByText = new Map();
+      const remember = (item) => {
+        const key = `${item.langPair}\u0000${item.sourceText}`;
+        if (!timestampsByText.has(key)) timestampsByText.set(key, []);
+        timestampsByText.get(key).push(item.timestamp);
+        usedTimestamps.add(item.id);
+        usedTimestamps.add(item.timestamp);
+      };
+      request.result.forEach(remember);
+
+      items.forEach((item) => {
+        const indexed = withHistoryIndexFields(item);
+        const key = `${indexed.langPair}\u0000${indexed.sourceText}`;
+        const isDuplicate = (timestampsByText.get(key) || []).some(
+          (timestamp) =>
+            timestamp >= indexed.timestamp &&
+            timestamp - indexed.timestamp < IMPORT_TIMESTAMP_TOLERANCE_MS
+        );
+        if (isDuplicate) {
+          result.skipped++;
+          return;
+        }
+        let timestamp = indexed.timestamp;
+        while (usedTimestamps.has(timestamp)) timestamp++;
+        const added = { ...indexed, id: timestamp, timestamp };
+        store.add(added);
+        remember(added);
+        result.added++;
+      });
+    };
+  });
+}
+
+/**
+ * آیتم‌های انبار تاریخچه را پاک می‌کند؛ آیتم‌های ستاره‌دار فقط در صورت درخواست صریح حذف می‌شوند.
+ * @param {{includeFavorites?: boolean}} [options={}] - `includeFavorites`: آیتم‌های ستاره‌دار نیز حذف شوند.
  * @returns {Promise<void>}
  */
-async function clearHistory() {
+async function clearHistory({ includeFavorites = false } = {}) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([HISTORY_STORE], "readwrite");
     const store = transaction.objectStore(HISTORY_STORE);
-    const request = store.clear();
-    request.onsuccess = () => resolve();
-    request.onerror = (event) => reject(event.target.error);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+    if (includeFavorites) {
+      store.clear();
+      return;
+    }
+    // فقط آیتم‌های بدون ستاره از طریق نمایه ستاره‌دار پیمایش و حذف می‌شوند.
+    const request = store
+      .index("favorite")
+      .openCursor(IDBKeyRange.bound([0, -Infinity], [0, Infinity]));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
   });
 }
 
@@ -205,14 +680,136 @@ async function getCustomLanguages() {
   });
 }
 
+// --- توابع مربوط به واژه‌نامه (Glossary) ---
+
+/**
+ * تمام مدخل‌های واژه‌نامه را بازیابی می‌کند.
+ * @returns {Promise<Array<object>>} آرایه‌ای از مدخل‌های واژه‌نامه به ترتیب افزوده شدن.
+ */
+async function getGlossary() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([GLOSSARY_STORE], "readonly");
+    const store = transaction.objectStore(GLOSSARY_STORE);
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * چند مدخل واژه‌نامه را در یک تراکنش واحد ذخیره یا به‌روزرسانی می‌کند.
+ * مدخل‌های بدون `id` به عنوان مدخل جدید افزوده می‌شوند و شناسه آن‌ها به صورت خودکار تعیین می‌شود.
+ * @param {Array<object>} entries - مدخل‌هایی که باید ذخیره شوند.
+ * @returns {Promise<void>}
+ */
+async function saveGlossaryEntries(entries) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([GLOSSARY_STORE], "readwrite");
+    const store = transaction.objectStore(GLOSSARY_STORE);
+    entries.forEach((entry) => store.put(entry));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * یک مدخل واژه‌نامه را بر اساس شناسه آن حذف می‌کند.
+ * @param {number} id - شناسه مدخلی که باید حذف شود.
+ * @returns {Promise<void>}
+ */
+async function deleteGlossaryEntry(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([GLOSSARY_STORE], "readwrite");
+    const store = transaction.objectStore(GLOSSARY_STORE);
+    const request = store.delete(id);
+    request.onsuccess = () => resolve();
+    request.onerror = (event) => reject(event.target.error);
+  });
+}
+
+// --- توابع مربوط به پشتیبان‌گیری (Backup) ---
+
+/**
+ * تمام رکوردهای همه انبارهای پایگاه داده را در یک تراکنش واحد (یک تصویر سازگار) می‌خواند.
+ * @returns {Promise<{keyPaths: Object<string, string>, stores: Object<string, Array<object>>}>} - کلید (keyPath) و رکوردهای هر انبار بر اساس نام انبار.
+ */
+async function getAllStoreRecords() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const storeNames = [...db.objectStoreNames];
+    const transaction = db.transaction(storeNames, "readonly");
+    const snapshot = { keyPaths: {}, stores: {} };
+    storeNames.forEach((name) => {
+      const store = transaction.objectStore(name);
+      snapshot.keyPaths[name] = store.keyPath;
+      const request = store.getAll();
+      request.onsuccess = () => {
+        snapshot.stores[name] = request.result;
+      };
+    });
+    transaction.oncomplete = () => resolve(snapshot);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * محتوای انبارهای داده‌شده را در یک تراکنش واحد با رکوردهای داده‌شده جایگزین می‌کند؛ انبارهای دیگر دست‌نخورده می‌مانند.
+ * اگر نوشتن یک رکورد ناموفق باشد، کل تراکنش لغو شده و داده‌های قبلی حفظ می‌شوند.
+ * @param {Object<string, Array<object>>} stores - رکوردهای جدید بر اساس نام انبار؛ نام‌های ناشناخته نادیده گرفته می‌شوند.
+ * @returns {Promise<void>}
+ */
+async function replaceStoreRecords(stores) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const storeNames = Object.keys(stores).filter((name) =>
+      db.objectStoreNames.contains(name)
+    );
+    if (storeNames.length === 0) {
+      resolve();
+      return;
+    }
+    const transaction = db.transaction(storeNames, "readwrite");
+    storeNames.forEach((name) => {
+      const store = transaction.objectStore(name);
+      store.clear();
+      stores[name].forEach((record) => store.put(record));
+    });
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
 export {
+  DB_VERSION,
   saveSetting,
+  saveApiKeySettings,
   getSetting,
   getNextApiKey,
+  getApiKeyId,
+  getStoredApiKeyId,
+  getApiKeyStatusId,
+  getApiKeyCooldownRemaining,
+  getApiKeyStatuses,
+  updateApiKeyStatus,
+  deleteApiKeyStatus,
   addHistoryItem,
+  updateHistoryItem,
+  withHistoryIndexFields,
   getHistory,
+  getHistoryPage,
+  getHistoryLangPairs,
+  getHistoryTags,
   deleteHistoryItem,
+  importHistoryItems,
   clearHistory,
   saveLanguage,
   getCustomLanguages,
-};
\ No newline at end of file
+  getGlossary,
+  saveGlossaryEntries,
+  deleteGlossaryEntry,
+  getAllStoreRecords,
+  replaceStoreRecords,
+};
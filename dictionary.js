@@ -0,0 +1,179 @@
+/**
+ * @file dictionary.js
+ * خلاصه یک‌خطی: این ماژول تشخیص می‌دهد که آیا یک متن (واژه یا عبارت کوتاه) برای جستجو در فرهنگ لغت مناسب است و مدخل‌های فرهنگ لغت را به صورت کارت نمایش می‌دهد.
+ * Dependencies: None
+ * NOTE: Internal. مدخل فرهنگ لغت خروجی مدل است (`{headword, pronunciation, entries}`) و فقط با textContent در صفحه درج می‌شود.
+ */
+
+// حداکثر تعداد واژه‌های متنی که به صورت خودکار در فرهنگ لغت جستجو می‌شود.
+const MAX_AUTO_DICTIONARY_WORDS = 3;
+// حداکثر طول متنی که به صورت خودکار در فرهنگ لغت جستجو می‌شود.
+const MAX_AUTO_DICTIONARY_CHARS = 40;
+// برای خط‌هایی که کلمات را با فاصله جدا نمی‌کنند، تعداد واژه‌ها قابل شمارش نیست و فقط طول بررسی می‌شود.
+const MAX_AUTO_UNSPACED_CHARS = 6;
+// حداکثر طول متنی که با فعال بودن دستی حالت فرهنگ لغت جستجو می‌شود.
+const MAX_DICTIONARY_CHARS = 100;
+// علائمی که نشان می‌دهند متن یک جمله است، نه یک واژه یا عبارت.
+const SENTENCE_PUNCTUATION_PATTERN = /[.!?؟。！？:;؛,،\n]/;
+// خط‌هایی که کلمات را با فاصله جدا نمی‌کنند.
+const UNSPACED_SCRIPT_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+/**
+ * بررسی می‌کند که آیا متن یک واژه یا عبارت کوتاه است که به جای ترجمه باید در فرهنگ لغت جستجو شود.
+ * یک علامت تعجب یا نقطه در پایان متن (مانند "Hello!") آن را به جمله تبدیل نمی‌کند.
+ * @param {string} text - متن مبدأ.
+ * @returns {boolean}
+ */
+function isDictionaryCandidate(text) {
+  const trimmed = text.trim().replace(/[.!。！]$/u, "");
+  if (
+    !trimmed ||
+    trimmed.length > MAX_AUTO_DICTIONARY_CHARS ||
+    SENTENCE_PUNCTUATION_PATTERN.test(trimmed)
+  ) {
+    return false;
+  }
+  if (UNSPACED_SCRIPT_PATTERN.test(trimmed)) {
+    return trimmed.length <= MAX_AUTO_UNSPACED_CHARS;
+  }
+  return trimmed.split(/\s+/).length <= MAX_AUTO_DICTIONARY_WORDS;
+}
+
+/**
+ * تمام متن‌های یک مدخل فرهنگ لغت را برای جستجو (مثلاً در تاریخچه) در یک رشته جمع می‌کند.
+ * @param {Object} dictionary - مدخل فرهنگ لغت.
+ * @returns {string}
+ */
+function getDictionaryText(dictionary) {
+  return [
+    dictionary.headword,
+    dictionary.pronunciation,
+    ...dictionary.entries.flatMap((entry) => [
+      entry.partOfSpeech,
+      ...entry.senses.flatMap((sense) => [
+        sense.translation,
+        sense.definition,
+        ...sense.examples.flatMap((example) => [
+          example.source,
+          example.translation,
+        ]),
+      ]),
+      ...entry.synonyms,
+    ]),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * یک عنصر HTML با کلاس و متن داده‌شده می‌سازد.
+ * @param {string} tagName - نام تگ.
+ * @param {string} className - کلاس‌های عنصر.
+ * @param {string} [text] - متن عنصر (با textContent درج می‌شود).
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * کارت نمایش یک مدخل فرهنگ لغت را می‌سازد: سرواژه و تلفظ، و برای هر نقش دستوری فهرست معانی با مثال‌ها و مترادف‌ها.
+ * @param {Object} dictionary - مدخل فرهنگ لغت.
+ * @returns {HTMLElement}
+ */
+function createDictionaryCard(dictionary) {
+  const card = createElement("div", "space-y-3 text-sm");
+
+  const header = createElement("div", "flex flex-wrap items-baseline gap-x-3");
+  const headword = createElement(
+    "bdi",
+    "text-lg font-bold text-gray-900 dark:text-gray-100",
+    dictionary.headword
+  );
+  header.appendChild(headword);
+  if (dictionary.pronunciation) {
+    const pronunciation = createElement(
+      "span",
+      "text-gray-500 dark:text-gray-400",
+      dictionary.pronunciation
+    );
+    pronunciation.dir = "ltr";
+    header.appendChild(pronunciation);
+  }
+  card.appendChild(header);
+
+  dictionary.entries.forEach((entry) => {
+    const section = createElement("section", "space-y-1.5");
+    if (entry.partOfSpeech) {
+      section.appendChild(
+        createElement(
+          "p",
+          "text-xs font-semibold text-blue-700 dark:text-blue-400",
+          entry.partOfSpeech
+        )
+      );
+    }
+
+    const senses = createElement("ol", "list-decimal ps-5 space-y-2");
+    entry.senses.forEach((sense) => {
+      const item = createElement("li", "text-gray-800 dark:text-gray-200");
+      item.appendChild(createElement("bdi", "font-medium", sense.translation));
+      if (sense.definition) {
+        item.appendChild(
+          createElement(
+            "p",
+            "text-xs text-gray-500 dark:text-gray-400",
+            sense.definition
+          )
+        );
+      }
+      if (sense.examples.length > 0) {
+        const examples = createElement("ul", "mt-1 space-y-1");
+        sense.examples.forEach((example) => {
+          const exampleItem = createElement(
+            "li",
+            "text-xs text-gray-600 dark:text-gray-300"
+          );
+          const source = createElement("bdi", "block italic", example.source);
+          source.dir = "auto";
+          const translation = createElement(
+            "bdi",
+            "block text-gray-500 dark:text-gray-400",
+            example.translation
+          );
+          translation.dir = "auto";
+          exampleItem.append(source, translation);
+          examples.appendChild(exampleItem);
+        });
+        item.appendChild(examples);
+      }
+      senses.appendChild(item);
+    });
+    section.appendChild(senses);
+
+    if (entry.synonyms.length > 0) {
+      const synonyms = createElement(
+        "p",
+        "text-xs text-gray-500 dark:text-gray-400",
+        "مترادف‌ها: "
+      );
+      const list = createElement("bdi", "", entry.synonyms.join("، "));
+      list.dir = "auto";
+      synonyms.appendChild(list);
+      section.appendChild(synonyms);
+    }
+    card.appendChild(section);
+  });
+  return card;
+}
+
+export {
+  MAX_DICTIONARY_CHARS,
+  isDictionaryCandidate,
+  getDictionaryText,
+  createDictionaryCard,
+};
@@ -0,0 +1,157 @@
+/**
+ * @file glossary.js
+ * خلاصه یک‌خطی: این ماژول اصطلاحات واژه‌نامه را در متن مبدأ پیدا می‌کند، آن‌ها را به دستورالعمل‌های پرامپت تبدیل می‌کند و ترجمه‌هایی را که واژه‌نامه را رعایت نکرده‌اند مشخص می‌کند.
+ * Dependencies: ./utils.js
+ * NOTE: Internal. هر مدخل واژه‌نامه شامل `sourceTerm`، `targetTerm`، `sourceLang` (رشته خالی یعنی هر زبان مبدأ)، `targetLang` و `caseSensitive` است.
+ */
+import { toPersianDigits, parseCsv } from "./utils.js";
+
+// خط‌هایی که کلمات را با فاصله جدا نمی‌کنند؛ برای اصطلاحات این خط‌ها مرز کلمه بررسی نمی‌شود.
+const UNSPACED_SCRIPT_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+// مقادیری از ستون حساسیت به حروف در فایل CSV که «بله» تفسیر می‌شوند.
+const TRUTHY_CSV_VALUES = ["1", "true", "yes", "y", "بله", "آری"];
+
+/**
+ * نویسه‌های ویژه عبارات منظم را در یک رشته escape می‌کند.
+ * @param {string} value - رشته ورودی.
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * بررسی می‌کند که آیا یک اصطلاح به صورت یک کلمه (یا عبارت) کامل در متن آمده است یا خیر.
+ * این کار از تطبیق اصطلاحی مانند "art" با کلمه "start" جلوگیری می‌کند.
+ * @param {string} text - متنی که جستجو می‌شود.
+ * @param {string} term - اصطلاح مورد نظر.
+ * @param {boolean} caseSensitive - آیا بزرگی و کوچکی حروف اهمیت دارد؟
+ * @returns {boolean}
+ */
+function containsTerm(text, term, caseSensitive) {
+  const before = UNSPACED_SCRIPT_PATTERN.test(term[0])
+    ? ""
+    : "(?<![\\p{L}\\p{N}\\p{M}_])";
+  const after = UNSPACED_SCRIPT_PATTERN.test(term[term.length - 1])
+    ? ""
+    : "(?![\\p{L}\\p{N}\\p{M}_])";
+  const pattern = new RegExp(
+    `${before}${escapeRegExp(term)}${after}`,
+    caseSensitive ? "u" : "iu"
+  );
+  return pattern.test(text);
+}
+
+/**
+ * مدخل‌هایی از واژه‌نامه را که برای جفت زبان فعلی تعریف شده‌اند و اصطلاح مبدأ آن‌ها در متن آمده است برمی‌گرداند.
+ * اگر زبان مبدأ «تشخیص خودکار» باشد، مدخل‌های همه زبان‌های مبدأ در نظر گرفته می‌شوند.
+ * @param {Array<Object>} entries - تمام مدخل‌های واژه‌نامه.
+ * @param {string} text - متن مبدأ.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @returns {Array<Object>} - مدخل‌های منطبق، از طولانی‌ترین اصطلاح به کوتاه‌ترین.
+ */
+function findGlossaryMatches(entries, text, sourceLang, targetLang) {
+  return entries
+    .filter(
+      (entry) =>
+        entry.targetLang === targetLang &&
+        (!entry.sourceLang ||
+          sourceLang === "auto" ||
+          entry.sourceLang === sourceLang) &&
+        containsTerm(text, entry.sourceTerm, entry.caseSensitive)
+    )
+    .sort((a, b) => b.sourceTerm.length - a.sourceTerm.length);
+}
+
+/**
+ * مدخل‌های منطبق واژه‌نامه را به دستورالعمل‌های اضافی پرامپت تبدیل می‌کند.
+ * @param {Array<Object>} matches - مدخل‌های منطبق (خروجی `findGlossaryMatches`).
+ * @returns {string[]} - دستورالعمل‌ها؛ اگر مدخلی منطبق نباشد آرایه خالی.
+ */
+function buildGlossaryInstructions(matches) {
+  if (matches.length === 0) return [];
+  return [
+    "Apply this glossary. Each term below MUST be translated exactly as given, overriding any other wording or the preservation of tone:",
+    ...matches.map(
+      (entry) =>
+        `"${entry.sourceTerm}" → "${entry.targetTerm}"${
+          entry.caseSensitive ? " (case-sensitive)" : ""
+        }`
+    ),
+  ];
+}
+
+/**
+ * مدخل‌هایی را که ترجمه معادل مقصد آن‌ها را شامل نمی‌شود برمی‌گرداند.
+ * برای معادل مقصد فقط وجود عبارت بررسی می‌شود، زیرا در زبان مقصد ممکن است پسوندهایی به آن بچسبد.
+ * @param {Array<Object>} matches - مدخل‌های منطبق با متن مبدأ.
+ * @param {string} translatedText - متن ترجمه‌شده.
+ * @returns {Array<Object>}
+ */
+function findGlossaryViolations(matches, translatedText) {
+  const lowerText = translatedText.toLocaleLowerCase();
+  return matches.filter((entry) =>
+    entry.caseSensitive
+      ? !translatedText.includes(entry.targetTerm)
+      : !lowerText.includes(entry.targetTerm.toLocaleLowerCase())
+  );
+}
+
+/**
+ * محتوای یک فایل CSV واژه‌نامه را به مدخل‌های واژه‌نامه تبدیل می‌کند.
+ * ستون‌ها به ترتیب: اصطلاح مبدأ، معادل مقصد، زبان مبدأ، زبان مقصد و حساسیت به حروف هستند و فقط دو ستون اول اجباری‌اند.
+ * زبان مبدأ `*` یعنی «هر زبان مبدأ».
+ * جداکننده (ویرگول، نقطه‌ویرگول یا Tab) از روی خط اول تشخیص داده می‌شود و ردیف عنوان در صورت وجود نادیده گرفته می‌شود.
+ * @param {string} content - محتوای فایل CSV.
+ * @param {{sourceLang: string, targetLang: string}} defaults - زبان‌هایی که برای ستون‌های خالی استفاده می‌شوند.
+ * @returns {Array<Object>} - مدخل‌های واژه‌نامه (بدون شناسه).
+ * @throws {Error} - اگر فایل هیچ مدخل معتبری نداشته باشد یا زبان مقصد یک ردیف مشخص نباشد.
+ */
+function parseGlossaryCsv(content, defaults) {
+  const rows = parseCsv(content);
+  // شماره ردیف‌ها در پیام‌های خطا با احتساب ردیف عنوان گزارش می‌شود.
+  const hasHeader =
+    rows.length > 0 && /^(source|term|اصطلاح|مبدأ)/i.test(rows[0][0].trim());
+  if (hasHeader) rows.shift();
+
+  const entries = rows.map((cells, index) => {
+    const rowNumber = toPersianDigits(index + (hasHeader ? 2 : 1));
+    const [sourceTerm, targetTerm, sourceLang, targetLang, caseSensitive] =
+      cells.map((value) => value.trim());
+    if (!sourceTerm || !targetTerm) {
+      throw new Error(
+        `ردیف ${rowNumber} فایل CSV باید هم اصطلاح مبدأ و هم معادل مقصد را داشته باشد.`
+      );
+    }
+    const entry = {
+      sourceTerm,
+      targetTerm,
+      sourceLang:
+        sourceLang === "*"
+          ? ""
+          : sourceLang?.toLowerCase() || defaults.sourceLang,
+      targetLang: targetLang?.toLowerCase() || defaults.targetLang,
+      caseSensitive: TRUTHY_CSV_VALUES.includes(
+        (caseSensitive || "").toLowerCase()
+      ),
+    };
+    if (!entry.targetLang) {
+      throw new Error(`زبان مقصد ردیف ${rowNumber} فایل CSV مشخص نشده است.`);
+    }
+    return entry;
+  });
+
+  if (entries.length === 0) {
+    throw new Error("فایل CSV هیچ مدخلی برای واژه‌نامه ندارد.");
+  }
+  return entries;
+}
+
+export {
+  findGlossaryMatches,
+  buildGlossaryInstructions,
+  findGlossaryViolations,
+  parseGlossaryCsv,
+};
@@ -1,19 +1,103 @@
 /**
  * @file history.js
  * خلاصه یک‌خطی: این ماژول منطق صفحه تاریخچه را مدیریت می‌کند، شامل رندر کردن، جستجو و تعامل با آیتم‌های تاریخچه.
- * Dependencies: ./db.js, ./utils.js, ./languageService.js
+ * Dependencies: ./db.js, ./utils.js, ./languageService.js, ./translationStyle.js, ./dictionary.js, ./historyTransfer.js
  * NOTE: Internal. این اسکریپت به طور انحصاری برای history.html استفاده می‌شود.
  * Comments updated by AI: 2025-11-10
  */
-import { getHistory, deleteHistoryItem } from "./db.js";
-import { formatTimestamp, copyToClipboard, highlightText } from "./utils.js";
+import {
+  getHistory,
+  getHistoryPage,
+  getHistoryLangPairs,
+  getHistoryTags,
+  updateHistoryItem,
+  deleteHistoryItem,
+  importHistoryItems,
+} from "./db.js";
+import {
+  toPersianDigits,
+  formatTimestamp,
+  copyToClipboard,
+  highlightText,
+  findSearchMatches,
+  debounce,
+  downloadTextFile,
+} from "./utils.js";
 import { getAllLanguages, getLangNames } from "./languageService.js";
+import { describeStyle } from "./translationStyle.js";
+import { getDictionaryText, createDictionaryCard } from "./dictionary.js";
+import {
+  HISTORY_FILE_FORMATS,
+  serializeHistory,
+  parseHistoryFile,
+} from "./historyTransfer.js";
 
 // اجرای اسکریپت پس از بارگذاری کامل محتوای DOM.
 document.addEventListener("DOMContentLoaded", async () => {
   const historyContainer = document.getElementById("history-container");
   const historyEmptyState = document.getElementById("history-empty-state");
   const searchInput = document.getElementById("search-input");
+  const typeFilter = document.getElementById("type-filter");
+  const pairFilter = document.getElementById("pair-filter");
+  const dateFromInput = document.getElementById("date-from");
+  const dateToInput = document.getElementById("date-to");
+  const sideFilter = document.getElementById("side-filter");
+  const wholeWordToggle = document.getElementById("whole-word-toggle");
+  const favoritesFilter = document.getElementById("favorites-filter");
+  const tagFilter = document.getElementById("tag-filter");
+  const historySentinel = document.getElementById("history-sentinel");
+  const exportScopeSelect = document.getElementById("export-scope");
+  const exportFormatSelect = document.getElementById("export-format");
+  const exportButton = document.getElementById("export-button");
+  const importButton = document.getElementById("import-button");
+  const importFileInput = document.getElementById("import-file-input");
+
+  // تعداد آیتم‌هایی که در هر بار از پایگاه داده خوانده و نمایش داده می‌شوند.
+  const PAGE_SIZE = 20;
+  // مدت انتظار پس از آخرین تایپ در کادر جستجو، پیش از جستجو (میلی‌ثانیه).
+  const SEARCH_DEBOUNCE_MS = 250;
+
+  // وضعیت فهرست فعلی (فیلتر، جستجو و نشانگر صفحه بعد)؛ با هر تغییر فیلتر یا جستجو از نو ساخته می‌شود.
+  let listing = null;
+  let toastTimeout; // متغیری برای مدیریت زمان‌بندی نمایش اعلان‌ها
+
+  // با نزدیک شدن انتهای فهرست به محدوده دید، صفحه بعد بارگذاری می‌شود.
+  const pageObserver = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadNextPage();
+    },
+    { rootMargin: "400px" }
+  );
+
+  /**
+   * یک اعلان موقت (toast) در بالای صفحه نمایش می‌دهد.
+   * @param {string} message - پیامی که باید نمایش داده شود.
+   * @param {'error' | 'success'} [type='error'] - نوع اعلان که رنگ آن را تعیین می‌کند.
+   */
+  function showToast(message, type = "error") {
+    const container = document.getElementById("toast-container");
+    if (!container) return;
+    if (toastTimeout) clearTimeout(toastTimeout);
+    container.innerHTML = "";
+    const toast = document.createElement("div");
+    const bgColor = type === "error" ? "bg-red-600" : "bg-green-600";
+    toast.className = `w-full max-w-md ${bgColor} text-white font-semibold text-center p-3 rounded-xl transition-all duration-300 ease-in-out opacity-0 -translate-y-12 pointer-events-auto`;
+    toast.textContent = message;
+    toast.setAttribute("role", "alert");
+    toast.setAttribute("aria-live", "assertive");
+    container.appendChild(toast);
+    requestAnimationFrame(() => {
+      toast.classList.remove("opacity-0", "-translate-y-12");
+      toast.classList.add("opacity-100", "translate-y-0");
+    });
+    toastTimeout = setTimeout(() => {
+      toast.classList.remove("opacity-100", "translate-y-0");
+      toast.classList.add("opacity-0", "-translate-y-12");
+      toast.addEventListener("transitionend", () => toast.remove(), {
+        once: true,
+      });
+    }, 7000);
+  }
 
   /**
    * به کاربر بازخورد بصری می‌دهد (مثلاً پس از یک عملیات موفق کپی).
@@ -41,10 +125,10 @@ document.addEventListener("DOMContentLoaded", async () => {
    * @param {object} item - شیء آیتم تاریخچه از پایگاه داده.
    * @param {object} langNames - یک map از کدهای زبان به نام‌های فارسی آن‌ها.
    * @param {string[]} rtlLangs - آرایه‌ای از کدهای زبان‌های راست‌به‌چپ (RTL).
-   * @param {string} searchTerm - عبارت جستجو شده برای هایلایت کردن در متن.
+   * @param {{term: string, side: string, wholeWord: boolean}} search - جستجوی فعلی برای هایلایت کردن در متن (`side`: 'source'، 'target' یا رشته خالی برای هر دو).
    * @returns {HTMLDivElement} - عنصر div ساخته‌شده برای آیتم تاریخچه.
    */
-  function createHistoryItemElement(item, langNames, rtlLangs, searchTerm) {
+  function createHistoryItemElement(item, langNames, rtlLangs, search) {
     const div = document.createElement("div");
     div.className = "bg-white dark:bg-gray-800 rounded-2xl p-4 flex flex-col";
     div.dataset.id = item.id;
@@ -59,22 +143,44 @@ document.addEventListener("DOMContentLoaded", async () => {
     const targetDir = rtlLangs.includes(item.targetLang) ? "rtl" : "ltr";
 
     // هایلایت کردن عبارت جستجو در متن مبدأ و مقصد.
-    const highlightedSource = highlightText(item.sourceText, searchTerm);
-    const highlightedTarget = highlightText(item.targetText, searchTerm);
+    // فقط بخشی که جستجو در آن انجام شده هایلایت می‌شود.
+    const { term, side, wholeWord } = search;
+    const highlightedSource = highlightText(
+      item.sourceText,
+      side === "target" ? "" : term,
+      { wholeWord }
+    );
+    const highlightedTarget = highlightText(
+      item.targetText,
+      side === "source" ? "" : term,
+      { wholeWord }
+    );
 
     div.innerHTML = `
-      <!-- هدر کارت: شامل تاریخ و دکمه حذف -->
+      <!-- هدر کارت: شامل انتخاب برای خروجی، تاریخ و دکمه حذف -->
       <div class="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400 mb-4">
-        <span class="font-normal">${formatTimestamp(item.id)}</span>
-        <button data-action="delete" aria-label="حذف این مورد" class="p-2 text-gray-400 dark:text-gray-400 lg:hover:text-red-500 dark:lg:hover:text-red-400 rounded-lg transition-colors">
-          <svg class="w-6 h-6" fill="none" stroke="currentColor"><use href="/icons.svg#icon-delete"></use></svg>
-        </button>
+        <div class="flex items-center gap-x-2 min-w-0">
+          <input type="checkbox" data-role="select" aria-label="انتخاب این مورد برای خروجی" class="flex-shrink-0 rounded text-blue-600 focus:ring-blue-500" />
+          <span class="flex-shrink-0">${formatTimestamp(
+            item.timestamp ?? item.id
+          )}</span>
+          <span data-role="type" class="hidden flex-shrink-0 text-xs bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300 px-2 py-0.5 rounded-full">فرهنگ لغت</span>
+          <span data-role="style" class="hidden truncate text-xs bg-gray-100 dark:bg-gray-700 px-2 py-0.5 rounded-full"></span>
+        </div>
+        <div class="flex flex-shrink-0 items-center">
+          <button data-action="favorite" class="p-2 rounded-lg transition-colors">
+            <svg class="w-6 h-6"><use></use></svg>
+          </button>
+          <button data-action="delete" aria-label="حذف این مورد" class="p-2 text-gray-400 dark:text-gray-400 lg:hover:text-red-500 dark:lg:hover:text-red-400 rounded-lg transition-colors">
+            <svg class="w-6 h-6" fill="none" stroke="currentColor"><use href="/icons.svg#icon-delete"></use></svg>
+          </button>
+        </div>
       </div>
 
       <!-- بخش متن مبدأ -->
       <div class="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 flex flex-col space-y-2">
         <div class="flex items-center justify-between">
-          <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300">${sourceLangName}</h3>
+          <h3 data-role="source-lang" class="text-sm font-semibold text-gray-700 dark:text-gray-300"></h3>
           <button data-action="copy-source" aria-label="کپی متن مبدأ" class="p-2 text-gray-400 dark:text-gray-400 lg:hover:text-blue-600 dark:lg:hover:text-blue-400 rounded-lg transition-colors">
             <svg class="w-6 h-6"><use href="/icons.svg#icon-copy"></use></svg>
           </button>
@@ -92,60 +198,378 @@ document.addEventListener("DOMContentLoaded", async () => {
       <!-- بخش متن مقصد (ترجمه‌شده) -->
       <div class="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-3 flex flex-col space-y-2">
         <div class="flex items-center justify-between">
-          <h3 class="text-sm font-semibold text-blue-700 dark:text-blue-400">${targetLangName}</h3>
+          <h3 data-role="target-lang" class="text-sm font-semibold text-blue-700 dark:text-blue-400"></h3>
           <button data-action="copy-target" aria-label="کپی متن ترجمه" class="p-2 text-gray-400 dark:text-gray-400 lg:hover:text-blue-600 dark:lg:hover:text-blue-400 rounded-lg transition-colors">
             <svg class="w-6 h-6"><use href="/icons.svg#icon-copy"></use></svg>
           </button>
         </div>
-        <p class="text-blue-800 dark:text-blue-300 text-justify leading-relaxed" dir="${targetDir}">${highlightedTarget}</p>
+        <p data-role="target" class="text-blue-800 dark:text-blue-300 text-justify leading-relaxed" dir="${targetDir}">${highlightedTarget}</p>
+      </div>
+
+      <!-- برچسب‌ها و یادداشت شخصی -->
+      <div class="mt-3 flex flex-col gap-y-2">
+        <div class="flex flex-wrap items-center gap-1.5">
+          <div data-role="tags" class="contents"></div>
+          <button data-action="edit-meta" class="inline-flex items-center gap-x-1 px-2 py-1 text-xs text-gray-500 dark:text-gray-400 lg:hover:text-blue-600 dark:lg:hover:text-blue-400 rounded-lg transition-colors">
+            <svg class="w-4 h-4"><use href="/icons.svg#icon-edit"></use></svg>
+            برچسب و یادداشت
+          </button>
+        </div>
+        <p data-role="note" class="hidden whitespace-pre-wrap text-sm text-gray-700 dark:text-gray-300 bg-amber-50 dark:bg-amber-900/20 rounded-lg p-3" dir="auto"></p>
+        <form data-role="meta-form" class="hidden flex flex-col gap-y-2">
+          <input data-field="tags" type="text" placeholder="برچسب‌ها (با ویرگول جدا کنید)" class="w-full bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 text-sm text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500" />
+          <textarea data-field="note" rows="2" dir="auto" placeholder="یادداشت شخصی" class="w-full bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 text-sm text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"></textarea>
+          <div class="flex justify-end gap-x-2">
+            <button type="button" data-action="cancel-meta" class="py-1.5 px-4 bg-gray-200 dark:bg-gray-700 text-sm text-gray-800 dark:text-gray-200 lg:hover:bg-gray-300 dark:lg:hover:bg-gray-600 font-semibold rounded-lg transition-colors">لغو</button>
+            <button type="submit" class="py-1.5 px-4 bg-blue-700 lg:hover:bg-blue-800 text-sm text-white font-semibold rounded-lg transition-colors">ذخیره</button>
+          </div>
+        </form>
       </div>
     `;
+
+    // نام زبان‌ها به صورت متنی درج می‌شود، چون کد زبان آیتم‌های واردشده از فایل می‌آید.
+    div.querySelector('[data-role="source-lang"]').textContent = sourceLangName;
+    div.querySelector('[data-role="target-lang"]').textContent = targetLangName;
+
+    // سبک ترجمه (در صورت وجود) به صورت متنی درج می‌شود، چون یادداشت سبک ورودی کاربر است.
+    const styleDescription = describeStyle(item.style);
+    if (styleDescription) {
+      const styleBadge = div.querySelector('[data-role="style"]');
+      styleBadge.textContent = styleDescription;
+      styleBadge.title = "سبک ترجمه";
+      styleBadge.classList.remove("hidden");
+    }
+
+    renderFavoriteButton(
+      div.querySelector('[data-action="favorite"]'),
+      item.favorite
+    );
+    renderItemMeta(div, item);
+
+    // برای جستجوهای فرهنگ لغت، به جای ترجمه ساده، مدخل کامل فرهنگ لغت نمایش داده می‌شود.
+    if (item.dictionary) {
+      div.querySelector('[data-role="type"]').classList.remove("hidden");
+      const card = createDictionaryCard(item.dictionary);
+      card.dir = targetDir;
+      div.querySelector('[data-role="target"]').replaceWith(card);
+    }
     return div;
   }
 
   /**
-   * تاریخچه ترجمه‌ها را از پایگاه داده واکشی کرده، بر اساس عبارت جستجو فیلتر می‌کند و در صفحه نمایش می‌دهد.
-   * همچنین وضعیت "خالی" را در صورت عدم وجود نتیجه مدیریت می‌کند.
-   * @param {string} [searchTerm=""] - عبارتی که برای فیلتر کردن تاریخچه استفاده می‌شود.
+   * ظاهر دکمه ستاره یک کارت را بر اساس ستاره‌دار بودن آیتم به‌روز می‌کند.
+   * @param {HTMLButtonElement} button - دکمه ستاره.
+   * @param {number|boolean} favorite - آیا آیتم ستاره‌دار است؟
+   */
+  function renderFavoriteButton(button, favorite) {
+    const active = Boolean(favorite);
+    button.setAttribute("aria-pressed", String(active));
+    button.setAttribute(
+      "aria-label",
+      active ? "برداشتن ستاره" : "ستاره‌دار کردن این مورد"
+    );
+    button
+      .querySelector("use")
+      .setAttribute(
+        "href",
+        active ? "/icons.svg#icon-star-solid" : "/icons.svg#icon-star"
+      );
+    button.classList.toggle("text-amber-500", active);
+    button.classList.toggle("text-gray-400", !active);
+    button.classList.toggle("lg:hover:text-amber-500", !active);
+  }
+
+  /**
+   * برچسب‌ها و یادداشت یک آیتم را در کارت آن نمایش می‌دهد.
+   * هر دو ورودی کاربر هستند و با textContent درج می‌شوند؛ کلیک روی هر برچسب، تاریخچه را با آن برچسب فیلتر می‌کند.
+   * @param {HTMLElement} itemElement - عنصر کارت آیتم.
+   * @param {object} item - آیتم تاریخچه.
+   */
+  function renderItemMeta(itemElement, item) {
+    const tagsContainer = itemElement.querySelector('[data-role="tags"]');
+    tagsContainer.innerHTML = "";
+    (item.tags || []).forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.dataset.action = "filter-tag";
+      chip.dataset.tag = tag;
+      chip.title = "نمایش موارد دارای این برچسب";
+      chip.className =
+        "text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 lg:hover:bg-gray-200 dark:lg:hover:bg-gray-600 px-2 py-1 rounded-full transition-colors";
+      chip.textContent = `#${tag}`;
+      tagsContainer.appendChild(chip);
+    });
+    const note = itemElement.querySelector('[data-role="note"]');
+    note.textContent = item.note || "";
+    note.classList.toggle("hidden", !item.note);
+  }
+
+  /**
+   * متن فیلد برچسب‌ها را به فهرست برچسب‌های یکتا تبدیل می‌کند (جداشده با ویرگول فارسی یا لاتین).
+   * @param {string} value - متن فیلد برچسب‌ها.
+   * @returns {string[]}
+   */
+  function parseTags(value) {
+    const tags = value
+      .split(/[,،]/)
+      .map((tag) => tag.trim().replace(/^#/, "").replace(/\s+/g, " "))
+      .filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  /**
+   * فهرست برچسب‌های موجود در تاریخچه را در فیلتر برچسب قرار می‌دهد و انتخاب فعلی را در صورت وجود حفظ می‌کند.
+   */
+  async function populateTagFilter() {
+    const selected = tagFilter.value;
+    const tags = await getHistoryTags();
+    tagFilter.length = 1; // فقط گزینه «همه برچسب‌ها» باقی می‌ماند.
+    tags.forEach((tag) => {
+      const option = document.createElement("option");
+      option.value = tag;
+      option.textContent = `#${tag}`;
+      tagFilter.appendChild(option);
+    });
+    tagFilter.value = tags.includes(selected) ? selected : "";
+  }
+
+  /**
+   * شرط نمایش آیتم‌ها را بر اساس نوع انتخاب‌شده (ترجمه یا فرهنگ لغت) و عبارت جستجو می‌سازد.
+   * جستجو بدون حساسیت به تفاوت‌های نگارشی (ی/ي، ک/ك، نیم‌فاصله، اعراب و ارقام فارسی و لاتین) انجام می‌شود
+   * و در آیتم‌های فرهنگ لغت، تمام متن‌های مدخل (معانی، مثال‌ها و مترادف‌ها) را شامل می‌شود.
+   * @param {string} type - نوع انتخاب‌شده؛ رشته خالی یعنی همه.
+   * @param {{term: string, side: string, wholeWord: boolean}} search - جستجوی فعلی؛ عبارت خالی یعنی بدون جستجو.
+   * @returns {function(object): boolean}
+   */
+  function createItemFilter(type, { term, side, wholeWord }) {
+    const matches = (text) =>
+      findSearchMatches(text, term, { wholeWord }).length > 0;
+    return (item) =>
+      // آیتم‌های قدیمی‌تر نوع ندارند و ترجمه به حساب می‌آیند.
+      (!type || (item.type || "translation") === type) &&
+      (!term ||
+        (side !== "target" && matches(item.sourceText)) ||
+        (side !== "source" &&
+          (matches(item.targetText) ||
+            (item.dictionary && matches(getDictionaryText(item.dictionary))))));
+  }
+
+  /**
+   * مقدار یک فیلد تاریخ را به مُهر زمانی آغاز آن روز (به وقت محلی) تبدیل می‌کند.
+   * @param {string} value - مقدار فیلد تاریخ (`YYYY-MM-DD`).
+   * @param {number} [dayOffset=0] - تعداد روزهایی که به تاریخ افزوده می‌شود.
+   * @returns {number|undefined} - مُهر زمانی، یا undefined برای فیلد خالی.
+   */
+  function parseDateInput(value, dayOffset = 0) {
+    if (!value) return undefined;
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day + dayOffset).getTime();
+  }
+
+  /**
+   * فهرست جفت زبان‌های موجود در تاریخچه را در فیلتر جفت زبان قرار می‌دهد و انتخاب فعلی را در صورت وجود حفظ می‌کند.
+   * @param {object} langNames - یک map از کدهای زبان به نام‌های فارسی آن‌ها.
+   */
+  async function populatePairFilter(langNames) {
+    const name = (code) =>
+      code === "auto" ? "تشخیص خودکار" : langNames[code] || code.toUpperCase();
+    const selected = pairFilter.value;
+    const pairs = await getHistoryLangPairs();
+    pairFilter.length = 1; // فقط گزینه «همه جفت زبان‌ها» باقی می‌ماند.
+    pairs.forEach((pair) => {
+      const [source, target] = pair.split(">");
+      const option = document.createElement("option");
+      option.value = pair;
+      option.textContent = `${name(source)} به ${name(target)}`;
+      pairFilter.appendChild(option);
+    });
+    pairFilter.value = pairs.includes(selected) ? selected : "";
+  }
+
+  /**
+   * فهرست تاریخچه را با فیلترها و جستجوی فعلی از نو شروع کرده و صفحه اول آن را نمایش می‌دهد.
+   * صفحه‌های بعدی با رسیدن به انتهای فهرست (اسکرول) بارگذاری می‌شوند.
    */
-  async function renderHistory(searchTerm = "") {
-    const items = await getHistory();
+  async function renderHistory() {
     const langNames = await getLangNames();
     const allLangs = await getAllLanguages();
     const rtlLangs = allLangs
       .filter((lang) => lang.dir === "rtl")
       .map((lang) => lang.code);
+    const search = {
+      term: searchInput.value.trim(),
+      side: sideFilter.value,
+      wholeWord: wholeWordToggle.checked,
+    };
+    const type = typeFilter.value;
+    const since = parseDateInput(dateFromInput.value);
+    // تاریخ پایان خود آن روز را نیز شامل می‌شود.
+    const until = parseDateInput(dateToInput.value, 1);
 
-    const trimmedSearchTerm = searchTerm.trim();
-    const lowercasedTerm = trimmedSearchTerm.toLowerCase();
+    listing = {
+      filter: createItemFilter(type, search),
+      langPair: pairFilter.value || undefined,
+      favoritesOnly: favoritesFilter.checked,
+      tag: tagFilter.value || undefined,
+      since,
+      until,
+      isFiltered: Boolean(
+        search.term ||
+          type ||
+          pairFilter.value ||
+          favoritesFilter.checked ||
+          tagFilter.value ||
+          since ||
+          until
+      ),
+      search,
+      langNames,
+      rtlLangs,
+      nextCursor: until,
+      loading: false,
+      done: false,
+    };
+    historyContainer.innerHTML = "";
+    historyEmptyState.classList.add("hidden");
+    await loadNextPage();
+  }
 
-    // فیلتر کردن آیتم‌ها بر اساس عبارت جستجو (اگر وجود داشته باشد).
-    const filteredItems = lowercasedTerm
-      ? items.filter(
-          (item) =>
-            item.sourceText.toLowerCase().includes(lowercasedTerm) ||
-            item.targetText.toLowerCase().includes(lowercasedTerm)
-        )
-      : items;
+  /**
+   * صفحه بعدی فهرست فعلی تاریخچه را از پایگاه داده خوانده و به انتهای فهرست اضافه می‌کند.
+   * همچنین وضعیت "خالی" را در صورت عدم وجود نتیجه مدیریت می‌کند.
+   */
+  async function loadNextPage() {
+    const current = listing;
+    if (!current || current.loading || current.done) return;
+    current.loading = true;
+    const { items, nextCursor } = await getHistoryPage({
+      before: current.nextCursor,
+      since: current.since,
+      langPair: current.langPair,
+      favoritesOnly: current.favoritesOnly,
+      tag: current.tag,
+      limit: PAGE_SIZE,
+      filter: current.filter,
+    });
+    // اگر در این فاصله فیلتر یا جستجو تغییر کرده باشد، این صفحه به فهرست قبلی تعلق دارد.
+    if (current !== listing) return;
+    current.loading = false;
+    current.nextCursor = nextCursor;
+    current.done = nextCursor === null;
 
-    historyContainer.innerHTML = "";
-    if (filteredItems.length === 0) {
+    items.forEach((item) => {
+      historyContainer.appendChild(
+        createHistoryItemElement(
+          item,
+          current.langNames,
+          current.rtlLangs,
+          current.search
+        )
+      );
+    });
+    if (current.done && historyContainer.childElementCount === 0) {
       historyEmptyState.classList.remove("hidden");
-      historyEmptyState.textContent = lowercasedTerm
+      historyEmptyState.textContent = current.isFiltered
         ? "موردی مطابق با جستجوی شما یافت نشد."
         : "تاریخچه‌ای برای نمایش وجود ندارد.";
-    } else {
-      historyEmptyState.classList.add("hidden");
-      filteredItems.forEach((item) => {
-        historyContainer.appendChild(
-          createHistoryItemElement(item, langNames, rtlLangs, trimmedSearchTerm)
+    }
+    // اگر انتهای فهرست هنوز دیده می‌شود (مثلاً صفحه کوتاه بود)، مشاهده دوباره آن بارگذاری صفحه بعد را آغاز می‌کند.
+    if (!current.done) {
+      pageObserver.unobserve(historySentinel);
+      pageObserver.observe(historySentinel);
+    }
+  }
+
+  /**
+   * آیتم‌های محدوده انتخاب‌شده برای خروجی را برمی‌گرداند.
+   * نتایج فیلترشده تمام آیتم‌های مطابق با فیلترها و جستجوی فعلی هستند، نه فقط صفحه‌های بارگذاری‌شده.
+   * @param {'all' | 'filtered' | 'selected'} scope - محدوده خروجی.
+   * @returns {Promise<Array<object>>} - آیتم‌ها از جدیدترین به قدیمی‌ترین.
+   */
+  async function getExportItems(scope) {
+    if (scope === "selected") {
+      return [...historyContainer.querySelectorAll('[data-role="select"]')]
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) =>
+          JSON.parse(checkbox.closest("[data-id]").dataset.item)
         );
+    }
+    if (scope === "filtered" && listing) {
+      const { items } = await getHistoryPage({
+        before: listing.until,
+        since: listing.since,
+        langPair: listing.langPair,
+        favoritesOnly: listing.favoritesOnly,
+        tag: listing.tag,
+        limit: Infinity,
+        filter: listing.filter,
       });
+      return items;
+    }
+    return getHistory();
+  }
+
+  /**
+   * از آیتم‌های محدوده انتخاب‌شده، فایلی با قالب انتخاب‌شده می‌سازد و دانلود می‌کند.
+   */
+  async function exportHistory() {
+    const format = exportFormatSelect.value;
+    try {
+      const items = await getExportItems(exportScopeSelect.value);
+      if (items.length === 0) {
+        showToast("موردی برای خروجی وجود ندارد.");
+        return;
+      }
+      const { content, skipped } = serializeHistory(items, format);
+      if (skipped === items.length) {
+        showToast(
+          "زبان مبدأ هیچ‌یک از این موارد مشخص نیست و در قالب TMX قابل ذخیره نیستند."
+        );
+        return;
+      }
+      const { extension, type } = HISTORY_FILE_FORMATS[format];
+      const date = new Date().toISOString().slice(0, 10);
+      downloadTextFile(content, `motargem-history-${date}.${extension}`, type);
+      showToast(
+        skipped > 0
+          ? `${toPersianDigits(
+              items.length - skipped
+            )} مورد ذخیره شد؛ ${toPersianDigits(
+              skipped
+            )} مورد به دلیل مشخص نبودن زبان مبدأ کنار گذاشته شد.`
+          : `${toPersianDigits(items.length)} مورد ذخیره شد.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Failed to export history:", error);
+      showToast(`خروجی گرفتن از تاریخچه ناموفق بود: ${error.message}`);
+    }
+  }
+
+  /**
+   * آیتم‌های یک فایل تاریخچه (JSON، CSV یا TMX) را به تاریخچه اضافه می‌کند؛ موارد تکراری نادیده گرفته می‌شوند.
+   * @param {File} file - فایل انتخاب‌شده توسط کاربر.
+   */
+  async function importHistory(file) {
+    try {
+      const items = parseHistoryFile(await file.text(), file.name);
+      const { added, skipped } = await importHistoryItems(items);
+      showToast(
+        `${toPersianDigits(added)} مورد افزوده و ${toPersianDigits(
+          skipped
+        )} مورد تکراری نادیده گرفته شد.`,
+        "success"
+      );
+      await populatePairFilter(listing?.langNames || (await getLangNames()));
+      await populateTagFilter();
+      await renderHistory();
+    } catch (error) {
+      console.error("Failed to import history:", error);
+      showToast(`ورود تاریخچه ناموفق بود: ${error.message}`);
     }
   }
 
   /**
-   * رویدادهای کلیک روی دکمه‌های عملیاتی (حذف، کپی) در کارت‌های تاریخچه را مدیریت می‌کند.
+   * رویدادهای کلیک روی دکمه‌های عملیاتی (حذف، کپی، ستاره، برچسب و یادداشت) در کارت‌های تاریخچه را مدیریت می‌کند.
    * از الگوی event delegation برای بهبود کارایی استفاده می‌کند.
    * @param {Event} e - شیء رویداد کلیک.
    */
@@ -166,7 +590,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         itemElement.remove();
         // اگر پس از حذف، هیچ آیتمی باقی نماند، لیست را دوباره رندر کن تا پیام مناسب نمایش داده شود.
         if (historyContainer.childElementCount === 0) {
-          renderHistory(searchInput.value);
+          renderHistory();
         }
         break;
 
@@ -185,11 +609,87 @@ document.addEventListener("DOMContentLoaded", async () => {
           }
         }
         break;
+
+      case "favorite":
+        itemData.favorite = itemData.favorite ? 0 : 1;
+        await updateHistoryItem(itemData);
+        itemElement.dataset.item = JSON.stringify(itemData);
+        renderFavoriteButton(button, itemData.favorite);
+        break;
+
+      case "edit-meta": {
+        const form = itemElement.querySelector('[data-role="meta-form"]');
+        form.querySelector('[data-field="tags"]').value = (
+          itemData.tags || []
+        ).join("، ");
+        form.querySelector('[data-field="note"]').value = itemData.note || "";
+        form.classList.remove("hidden");
+        form.querySelector('[data-field="tags"]').focus();
+        break;
+      }
+
+      case "cancel-meta":
+        itemElement
+          .querySelector('[data-role="meta-form"]')
+          .classList.add("hidden");
+        break;
+
+      case "filter-tag":
+        tagFilter.value = button.dataset.tag;
+        renderHistory();
+        break;
     }
   }
 
+  /**
+   * برچسب‌ها و یادداشت ویرایش‌شده یک کارت را ذخیره می‌کند.
+   * @param {SubmitEvent} e - رویداد ارسال فرم برچسب و یادداشت.
+   */
+  async function handleMetaSubmit(e) {
+    const form = e.target.closest('[data-role="meta-form"]');
+    if (!form) return;
+    e.preventDefault();
+    const itemElement = form.closest("[data-id]");
+    const itemData = JSON.parse(itemElement.dataset.item);
+
+    itemData.tags = parseTags(form.querySelector('[data-field="tags"]').value);
+    itemData.note = form.querySelector('[data-field="note"]').value.trim();
+    await updateHistoryItem(itemData);
+    itemElement.dataset.item = JSON.stringify(itemData);
+    renderItemMeta(itemElement, itemData);
+    form.classList.add("hidden");
+    await populateTagFilter();
+  }
+
   // ثبت event listener ها و اجرای اولیه رندر.
-  searchInput.addEventListener("input", () => renderHistory(searchInput.value));
+  searchInput.addEventListener(
+    "input",
+    debounce(() => renderHistory(), SEARCH_DEBOUNCE_MS)
+  );
+  [
+    typeFilter,
+    pairFilter,
+    dateFromInput,
+    dateToInput,
+    sideFilter,
+    favoritesFilter,
+    tagFilter,
+  ].forEach((input) => input.addEventListener("change", () => renderHistory()));
+  // تغییر گزینه «واژه کامل» فقط وقتی نتیجه را تغییر می‌دهد که عبارتی جستجو شده باشد.
+  wholeWordToggle.addEventListener("change", () => {
+    if (searchInput.value.trim()) renderHistory();
+  });
   historyContainer.addEventListener("click", handleHistoryAction);
+  historyContainer.addEventListener("submit", handleMetaSubmit);
+  exportButton.addEventListener("click", exportHistory);
+  importButton.addEventListener("click", () => importFileInput.click());
+  importFileInput.addEventListener("change", async () => {
+    const file = importFileInput.files[0];
+    // مقدار ورودی پاک می‌شود تا انتخاب دوباره همان فایل نیز رویداد change ایجاد کند.
+    importFileInput.value = "";
+    if (file) await importHistory(file);
+  });
+  await populatePairFilter(await getLangNames());
+  await populateTagFilter();
   await renderHistory(); // رندر اولیه تاریخچه هنگام بارگذاری صفحه.
 });
@@ -0,0 +1,465 @@
+/**
+ * @file historyTransfer.js
+ * خلاصه یک‌خطی: این ماژول آیتم‌های تاریخچه را به قالب‌های JSON، CSV و TMX 1.4 تبدیل می‌کند و فایل‌های همین قالب‌ها را دوباره به آیتم‌های تاریخچه برمی‌گرداند.
+ * Dependencies: ./utils.js, ./translationStyle.js, ./translationResponse.js
+ * NOTE: Internal. JSON تمام فیلدهای آیتم‌ها را حفظ می‌کند؛ CSV و TMX فقط متن‌ها، زبان‌ها، زمان، ستاره، برچسب‌ها و یادداشت را منتقل می‌کنند.
+ */
+import { toPersianDigits, parseCsv, toCsvCell } from "./utils.js";
+import { normalizeStyle } from "./translationStyle.js";
+import { parseDictionaryEntry } from "./translationResponse.js";
+
+// شناسه و نسخه قالب فایل JSON تاریخچه.
+const JSON_FORMAT_ID = "motargem-history";
+const JSON_FORMAT_VERSION = 1;
+// ستون‌های فایل CSV به ترتیب.
+const CSV_COLUMNS = [
+  "timestamp",
+  "sourceLang",
+  "targetLang",
+  "sourceText",
+  "targetText",
+  "favorite",
+  "tags",
+  "note",
+];
+// جداکننده برچسب‌ها در ستون tags فایل CSV؛ برچسب‌ها نمی‌توانند ویرگول داشته باشند، چون ویرگول جداکننده برچسب‌ها در فرم برچسب‌ها نیز هست.
+const CSV_TAG_SEPARATOR = ",";
+// متن‌هایی که با این نویسه‌ها شروع شوند در Excel به عنوان فرمول اجرا می‌شوند؛ آپاستروف‌های آغازین نیز شامل می‌شوند تا حذف پیشوند هنگام ورود بدون ابهام باشد.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+// قالب کد زبان آیتم‌های واردشده پس از یکسان‌سازی: کد دو یا سه حرفی ISO 639.
+const IMPORTED_LANG_CODE_PATTERN = /^[a-z]{2,3}$/;
+// نام برنامه در سربرگ فایل‌های TMX.
+const TMX_TOOL_NAME = "Motargem";
+// نویسه‌های کنترلی که در XML مجاز نیستند.
+const INVALID_XML_CHARS_PATTERN = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+/**
+ * قالب‌های قابل استفاده برای خروجی و ورود تاریخچه.
+ * @type {Object<string, {label: string, extension: string, type: string}>}
+ */
+const HISTORY_FILE_FORMATS = {
+  json: { label: "JSON", extension: "json", type: "application/json" },
+  csv: { label: "CSV", extension: "csv", type: "text/csv" },
+  tmx: { label: "TMX 1.4", extension: "tmx", type: "application/x-tmx+xml" },
+};
+
+/**
+ * کد زبان یک فایل (مانند `en-US` یا `fa_IR`) را به کد زبان برنامه (زیربرچسب اصلی با حروف کوچک) تبدیل می‌کند.
+ * @param {string|null|undefined} code - کد زبان فایل.
+ * @returns {string} - کد زبان برنامه، یا رشته خالی.
+ */
+function normalizeLangCode(code) {
+  return (code || "").trim().split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * کد زبان یک آیتم واردشده را یکسان کرده و قالب آن را بررسی می‌کند.
+ * کد زبان در صفحه تاریخچه نمایش داده می‌شود، پس هر مقداری جز کد زبان واقعی رد می‌شود.
+ * @param {*} code - کد زبان خوانده‌شده از فایل.
+ * @returns {string|null} - کد زبان برنامه، یا null اگر کد معتبر نباشد.
+ */
+function parseImportedLangCode(code) {
+  if (typeof code !== "string") return null;
+  const normalized = normalizeLangCode(code);
+  return IMPORTED_LANG_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * متن را برای درج در XML escape کرده و نویسه‌های غیرمجاز را حذف می‌کند.
+ * @param {string} text - متن.
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML_CHARS_PATTERN, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * متنی را که در Excel فرمول تلقی می‌شود با افزودن آپاستروف به ابتدای آن بی‌اثر می‌کند.
+ * @param {string} text - متن سلول.
+ * @returns {string}
+ */
+function escapeCsvFormula(text) {
+  return CSV_FORMULA_PATTERN.test(text) ? `'${text}` : text;
+}
+
+/**
+ * آپاستروفی را که `escapeCsvFormula` افزوده است حذف می‌کند.
+ * @param {string} text - متن سلول.
+ * @returns {string}
+ */
+function unescapeCsvFormula(text) {
+  return text.startsWith("'") && CSV_FORMULA_PATTERN.test(text)
+    ? text.slice(1)
+    : text;
+}
+
+/**
+ * مُهر زمانی را به قالب تاریخ TMX (`YYYYMMDDThhmmssZ`) تبدیل می‌کند.
+ * @param {number} timestamp - مُهر زمانی (میلی‌ثانیه).
+ * @returns {string}
+ */
+function toTmxDate(timestamp) {
+  return new Date(timestamp)
+    .toISOString()
+    .replace(/\.\d{3}/, "")
+    .replace(/[-:]/g, "");
+}
+
+/**
+ * تاریخ TMX (`YYYYMMDDThhmmssZ`) را به مُهر زمانی تبدیل می‌کند.
+ * @param {string|null} value - تاریخ TMX.
+ * @returns {number|undefined} - مُهر زمانی، یا undefined اگر تاریخ معتبر نباشد.
+ */
+function parseTmxDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+    (value || "").trim()
+  );
+  if (!match) return undefined;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * مقدار ستون زمان فایل CSV (تاریخ ISO یا مُهر زمانی عددی) را به مُهر زمانی تبدیل می‌کند.
+ * @param {string} value - مقدار ستون.
+ * @returns {number|undefined} - مُهر زمانی، یا undefined اگر مقدار معتبر نباشد.
+ */
+function parseCsvTimestamp(value) {
+  const trimmed = (value || "").trim();
+  const timestamp = /^\d+$/.test(trimmed)
+    ? Number(trimmed)
+    : Date.parse(trimmed);
+  return Number.isFinite(timestamp) ? timestamp : undefined;
+}
+
+/**
+ * فیلدهای داخلی نمایه‌ها و شناسه را از یک آیتم تاریخچه حذف می‌کند؛ شناسه هنگام ورود دوباره ساخته می‌شود.
+ * @param {object} item - آیتم تاریخچه.
+ * @returns {object}
+ */
+function toPortableItem(item) {
+  const { id, langPair, ...portable } = item;
+  return {
+    ...portable,
+    timestamp: item.timestamp ?? id,
+    favorite: Boolean(item.favorite),
+  };
+}
+
+/**
+ * آیتم‌های تاریخچه را به فایل JSON با تمام فیلدها تبدیل می‌کند.
+ * @param {Array<object>} items - آیتم‌های تاریخچه.
+ * @returns {string}
+ */
+function serializeJson(items) {
+  return JSON.stringify(
+    {
+      format: JSON_FORMAT_ID,
+      version: JSON_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      items: items.map(toPortableItem),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * آیتم‌های تاریخچه را به فایل CSV (با ردیف عنوان و BOM برای نمایش درست در Excel) تبدیل می‌کند.
+ * سلول‌های متنی که در Excel فرمول تلقی می‌شوند، با آپاستروف بی‌اثر می‌شوند.
+ * @param {Array<object>} items - آیتم‌های تاریخچه.
+ * @returns {string}
+ */
+function serializeCsv(items) {
+  const rows = items.map((item) =>
+    [
+      new Date(item.timestamp ?? item.id).toISOString(),
+      item.sourceLang || "",
+      item.targetLang,
+      escapeCsvFormula(item.sourceText),
+      escapeCsvFormula(item.targetText),
+      item.favorite ? 1 : 0,
+      escapeCsvFormula((item.tags || []).join(CSV_TAG_SEPARATOR)),
+      escapeCsvFormula(item.note || ""),
+    ]
+      .map(toCsvCell)
+      .join(",")
+  );
+  return `\uFEFF${[CSV_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+/**
+ * آیتم‌های تاریخچه را به فایل TMX 1.4 تبدیل می‌کند.
+ * آیتم‌هایی که زبان مبدأ آن‌ها مشخص نیست، در TMX قابل نمایش نیستند و کنار گذاشته می‌شوند.
+ * @param {Array<object>} items - آیتم‌های تاریخچه.
+ * @returns {{content: string, skipped: number}}
+ */
+function serializeTmx(items) {
+  const exportable = items.filter(
+    (item) => item.sourceLang && item.sourceLang !== "auto"
+  );
+  const sourceLangs = new Set(exportable.map((item) => item.sourceLang));
+  const srclang = sourceLangs.size === 1 ? [...sourceLangs][0] : "*all*";
+
+  const units = exportable.map((item) => {
+    const lines = [
+      `    <tu creationdate="${toTmxDate(item.timestamp ?? item.id)}">`,
+    ];
+    if (item.note) lines.push(`      <note>${escapeXml(item.note)}</note>`);
+    if (item.favorite) lines.push('      <prop type="x-favorite">1</prop>');
+    (item.tags || []).forEach((tag) => {
+      lines.push(`      <prop type="x-tag">${escapeXml(tag)}</prop>`);
+    });
+    lines.push(
+      `      <tuv xml:lang="${escapeXml(item.sourceLang)}"><seg>${escapeXml(
+        item.sourceText
+      )}</seg></tuv>`,
+      `      <tuv xml:lang="${escapeXml(item.targetLang)}"><seg>${escapeXml(
+        item.targetText
+      )}</seg></tuv>`,
+      "    </tu>"
+    );
+    return lines.join("\n");
+  });
+
+  const content = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<tmx version="1.4">',
+    `  <header creationtool="${TMX_TOOL_NAME}" creationtoolversion="1.0" datatype="plaintext" segtype="sentence" adminlang="en" srclang="${escapeXml(
+      srclang
+    )}" o-tmf="${TMX_TOOL_NAME}"/>`,
+    "  <body>",
+    ...units,
+    "  </body>",
+    "</tmx>",
+    "",
+  ].join("\n");
+  return { content, skipped: items.length - exportable.length };
+}
+
+/**
+ * آیتم‌های تاریخچه را به محتوای فایل با قالب داده‌شده تبدیل می‌کند.
+ * @param {Array<object>} items - آیتم‌های تاریخچه.
+ * @param {'json' | 'csv' | 'tmx'} format - قالب فایل.
+ * @returns {{content: string, skipped: number}} - محتوای فایل و تعداد آیتم‌هایی که در این قالب قابل نمایش نبودند.
+ */
+function serializeHistory(items, format) {
+  if (format === "tmx") return serializeTmx(items);
+  return {
+    content: format === "csv" ? serializeCsv(items) : serializeJson(items),
+    skipped: 0,
+  };
+}
+
+/**
+ * فیلدهای لازم یک آیتم واردشده را بررسی کرده و آن را به آیتم تاریخچه (بدون شناسه) تبدیل می‌کند.
+ * فقط فیلدهای شناخته‌شده آیتم‌های تاریخچه برداشته می‌شوند؛ سبک و مدخل فرهنگ لغت مانند پاسخ مدل اعتبارسنجی می‌شوند.
+ * @param {object} item - آیتم خوانده‌شده از فایل.
+ * @param {string} position - جایگاه آیتم در فایل برای پیام خطا (مانند «ردیف ۳»).
+ * @returns {object}
+ * @throws {Error} - اگر متن‌ها یا زبان مقصد آیتم مشخص نباشد یا کد زبان‌ها معتبر نباشد.
+ */
+function normalizeImportedItem(item, position) {
+  const targetLang = parseImportedLangCode(item?.targetLang);
+  // زبان مبدأ نامشخص همان تشخیص خودکار است.
+  const sourceLang =
+    item?.sourceLang == null ||
+    item.sourceLang === "" ||
+    normalizeLangCode(String(item.sourceLang)) === "auto"
+      ? "auto"
+      : parseImportedLangCode(item.sourceLang);
+  if (
+    typeof item?.sourceText !== "string" ||
+    typeof item.targetText !== "string" ||
+    !item.sourceText.trim() ||
+    !targetLang ||
+    !sourceLang
+  ) {
+    throw new Error(
+      `${position} فایل باید متن مبدأ، ترجمه و زبان مقصد را داشته باشد.`
+    );
+  }
+  const timestamp = Number.isFinite(item.timestamp) ? item.timestamp : item.id;
+  // مدخل فرهنگ لغت نامعتبر کنار گذاشته می‌شود و آیتم به عنوان ترجمه معمولی وارد می‌شود.
+  const dictionary =
+    item.type === "dictionary" ? parseDictionaryEntry(item.dictionary) : null;
+  return {
+    sourceLang,
+    targetLang,
+    sourceText: item.sourceText,
+    targetText: item.targetText,
+    style: normalizeStyle(item.style),
+    timestamp: Number.isFinite(timestamp) ? Math.round(timestamp) : undefined,
+    favorite: Boolean(item.favorite),
+    tags: Array.isArray(item.tags)
+      ? item.tags.filter((tag) => typeof tag === "string" && tag.trim())
+      : [],
+    note: typeof item.note === "string" ? item.note : "",
+    ...(dictionary && { type: "dictionary", dictionary }),
+  };
+}
+
+/**
+ * آیتم‌های یک فایل JSON تاریخچه (خروجی همین برنامه یا آرایه‌ای از آیتم‌ها) را می‌خواند.
+ * @param {string} content - محتوای فایل.
+ * @returns {Array<object>}
+ */
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error("فایل JSON معتبر نیست.");
+  }
+  const items = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(items)) {
+    throw new Error("فایل JSON فهرست آیتم‌های تاریخچه را ندارد.");
+  }
+  return items.map((item, index) =>
+    normalizeImportedItem(item, `آیتم ${toPersianDigits(index + 1)}`)
+  );
+}
+
+/**
+ * آیتم‌های یک فایل CSV تاریخچه را بر اساس نام ستون‌های ردیف عنوان می‌خواند.
+ * @param {string} content - محتوای فایل.
+ * @returns {Array<object>}
+ */
+function parseCsvHistory(content) {
+  const [header, ...rows] = parseCsv(content);
+  const columns = (header || []).map((name) => name.trim());
+  const missing = ["sourceText", "targetText", "targetLang"].filter(
+    (name) => !columns.includes(name)
+  );
+  if (missing.length) {
+    throw new Error(
+      `ردیف عنوان فایل CSV این ستون‌ها را ندارد: ${missing.join("، ")}`
+    );
+  }
+  return rows.map((cells, index) => {
+    const row = Object.fromEntries(
+      columns.map((name, column) => [name, cells[column] ?? ""])
+    );
+    return normalizeImportedItem(
+      {
+        sourceLang: row.sourceLang,
+        targetLang: row.targetLang,
+        sourceText: unescapeCsvFormula(row.sourceText),
+        targetText: unescapeCsvFormula(row.targetText),
+        timestamp: parseCsvTimestamp(row.timestamp),
+        favorite: ["1", "true"].includes((row.favorite || "").trim()),
+        tags: unescapeCsvFormula(row.tags || "")
+          .split(CSV_TAG_SEPARATOR)
+          .map((tag) => tag.trim()),
+        note: unescapeCsvFormula(row.note || ""),
+      },
+      `ردیف ${toPersianDigits(index + 2)}`
+    );
+  });
+}
+
+/**
+ * واحدهای ترجمه یک فایل TMX را می‌خواند.
+ * زبان مبدأ هر واحد از `srclang` سربرگ (یا در صورت `*all*`، اولین `tuv`) تعیین می‌شود و برای هر `tuv` دیگر یک آیتم ساخته می‌شود.
+ * @param {string} content - محتوای فایل.
+ * @returns {Array<object>}
+ */
+function parseTmx(content) {
+  const doc = new DOMParser().parseFromString(content, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("فایل TMX معتبر نیست.");
+  }
+  const header = doc.getElementsByTagName("header")[0];
+  const srclang = normalizeLangCode(header?.getAttribute("srclang"));
+  const getLang = (tuv) =>
+    normalizeLangCode(tuv.getAttribute("xml:lang") || tuv.getAttribute("lang"));
+
+  const items = [];
+  [...doc.getElementsByTagName("tu")].forEach((tu, index) => {
+    const tuvs = [...tu.getElementsByTagName("tuv")];
+    const source =
+      tuvs.find((tuv) => srclang && getLang(tuv) === srclang) || tuvs[0];
+    const props = [...tu.getElementsByTagName("prop")];
+    const propValues = (type) =>
+      props
+        .filter((prop) => prop.getAttribute("type") === type)
+        .map((prop) => prop.textContent.trim());
+    const notes = [...tu.children]
+      .filter((child) => child.tagName === "note")
+      .map((note) => note.textContent.trim());
+    const segText = (tuv) =>
+      tuv.getElementsByTagName("seg")[0]?.textContent ?? "";
+
+    tuvs
+      .filter((tuv) => tuv !== source)
+      .forEach((target) => {
+        items.push(
+          normalizeImportedItem(
+            {
+              sourceLang: getLang(source),
+              targetLang: getLang(target),
+              sourceText: segText(source),
+              targetText: segText(target),
+              timestamp: parseTmxDate(
+                tu.getAttribute("creationdate") ||
+                  target.getAttribute("creationdate")
+              ),
+              favorite: propValues("x-favorite").includes("1"),
+              tags: propValues("x-tag"),
+              note: notes.join("\n"),
+            },
+            `واحد ترجمه ${toPersianDigits(index + 1)}`
+          )
+        );
+      });
+  });
+  return items;
+}
+
+/**
+ * قالب یک فایل تاریخچه را از روی پسوند نام آن یا (در صورت ناشناخته بودن پسوند) از روی محتوا تشخیص می‌دهد.
+ * @param {string} fileName - نام فایل.
+ * @param {string} content - محتوای فایل.
+ * @returns {'json' | 'csv' | 'tmx'}
+ */
+function detectHistoryFormat(fileName, content) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (extension === "json" || extension === "csv") return extension;
+  if (extension === "tmx" || extension === "xml") return "tmx";
+  const start = content.replace(/^\uFEFF/, "").trimStart()[0];
+  if (start === "{" || start === "[") return "json";
+  return start === "<" ? "tmx" : "csv";
+}
+
+/**
+ * آیتم‌های یک فایل تاریخچه (JSON، CSV یا TMX) را می‌خواند.
+ * آیتم‌ها شناسه ندارند؛ آیتم‌های بدون زمان، زمان ورود را می‌گیرند.
+ * @param {string} content - محتوای فایل.
+ * @param {string} fileName - نام فایل (برای تشخیص قالب).
+ * @returns {Array<object>}
+ * @throws {Error} - اگر فایل معتبر نباشد یا هیچ آیتمی نداشته باشد.
+ */
+function parseHistoryFile(content, fileName) {
+  const format = detectHistoryFormat(fileName, content);
+  const items =
+    format === "json"
+      ? parseJson(content)
+      : format === "tmx"
+      ? parseTmx(content)
+      : parseCsvHistory(content);
+  if (items.length === 0) {
+    throw new Error("فایل هیچ ترجمه‌ای برای ورود ندارد.");
+  }
+  const now = Date.now();
+  return items.map((item, index) => ({
+    ...item,
+    timestamp: item.timestamp ?? now + index,
+  }));
+}
+
+export { HISTORY_FILE_FORMATS, serializeHistory, parseHistoryFile };
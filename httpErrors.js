@@ -1,6 +1,6 @@
 /**
  * @file httpErrors.js
- * خلاصه یک‌خطی: این ماژول یک تابع کمکی برای تبدیل کدهای وضعیت HTTP به پیام‌های خطای کاربرپسند به زبان فارسی ارائه می‌دهد.
+ * خلاصه یک‌خطی: این ماژول یک تابع کمکی برای تبدیل کدهای وضعیت HTTP به پیام‌های خطای کاربرپسند به زبان فارسی و یک کلاس خطای HTTP ارائه می‌دهد.
  * NOTE: Internal. برای نمایش بازخورد خطای واضح به کاربر در سراسر برنامه استفاده می‌شود.
  * Comments updated by AI: 2025-11-10
  */
@@ -62,3 +62,79 @@ export function getErrorMessage(statusCode) {
   // برای هر کد خطای دیگری، یک پیام ناشناخته برمی‌گرداند.
   return `یک خطای ناشناخته رخ داد. (کد: ${statusCode})`;
 }
+
+/**
+ * خطای مربوط به یک پاسخ ناموفق HTTP.
+ * پیام آن کاربرپسند است و کد وضعیت و زمان انتظار پیشنهادی سرور را برای تصمیم‌گیری درباره تلاش مجدد نگه می‌دارد.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - کد وضعیت HTTP.
+   * @param {string} message - پیام خطای کاربرپسند.
+   * @param {number|null} [retryAfterMs=null] - زمان انتظار پیشنهادی سرور پیش از تلاش مجدد (میلی‌ثانیه).
+   * @param {string|null} [reason=null] - علت ماشینی خطا در صورت اعلام توسط سرور (مانند "API_KEY_INVALID").
+   */
+  constructor(status, message, retryAfterMs = null, reason = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.reason = reason;
+  }
+}
+
+/**
+ * خطای مربوط به درخواستی که به دلیل مشکل شبکه (مانند قطع اتصال یا خطای DNS) به سرور نرسیده یا دریافت پاسخ آن نیمه‌کاره مانده است.
+ * fetch این خطاها را به صورت TypeError پرتاب می‌کند؛ جدا کردن آن‌ها باعث می‌شود خطاهای برنامه‌نویسی با خطای شبکه اشتباه گرفته نشوند.
+ */
+export class NetworkError extends Error {
+  /**
+   * @param {Error} cause - خطای اصلی fetch.
+   */
+  constructor(cause) {
+    super(
+      "اتصال به سرویس ترجمه برقرار نشد. لطفاً اتصال اینترنت خود را بررسی کنید.",
+      { cause }
+    );
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * خطای مربوط به درخواستی که پیش از دریافت پاسخ متوقف شده است؛ یا توسط کاربر لغو شده یا زمان انتظار آن به پایان رسیده است.
+ * پیام آن عمداً از پیام‌های خطای HTTP متمایز است، زیرا در این حالت پاسخی از سرور دریافت نشده است.
+ */
+export class RequestAbortedError extends Error {
+  /**
+   * @param {"cancel"|"timeout"} [reason="cancel"] - علت توقف درخواست.
+   * @param {number} [timeoutMs] - مهلت درخواست (میلی‌ثانیه) در صورتی که علت، پایان زمان انتظار باشد.
+   */
+  constructor(reason = "cancel", timeoutMs) {
+    super(
+      reason === "timeout"
+        ? `سرویس ترجمه در مهلت ${Math.round(
+            timeoutMs / 1000
+          )} ثانیه‌ای پاسخ نداد. می‌توانید مهلت درخواست را در تنظیمات افزایش دهید.`
+        : "ترجمه لغو شد."
+    );
+    this.name = "RequestAbortedError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * خطای مربوط به پاسخی که از سرویس دریافت شده اما JSON معتبر نیست یا با ساختار مورد انتظار مطابقت ندارد.
+ * فهرست مشکلات (به انگلیسی) برای درخواست اصلاح پاسخ از مدل نگهداری می‌شود.
+ */
+export class InvalidResponseError extends Error {
+  /**
+   * @param {string[]} problems - مشکلات یافت‌شده در پاسخ، به صورت جمله‌هایی قابل ارسال به مدل.
+   * @param {string} rawText - متن خام پاسخ مدل.
+   */
+  constructor(problems, rawText) {
+    super("پاسخ مدل، حتی پس از درخواست اصلاح، ساختار مورد انتظار را نداشت.");
+    this.name = "InvalidResponseError";
+    this.problems = problems;
+    this.rawText = rawText;
+  }
+}
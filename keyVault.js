@@ -0,0 +1,266 @@
+/**
+ * @file keyVault.js
+ * خلاصه یک‌خطی: این ماژول رمزگذاری اختیاری کلیدهای API ذخیره‌شده با یک عبارت عبور و باز و قفل کردن آن‌ها را مدیریت می‌کند.
+ * Dependencies: ./db.js, ./passphraseCrypto.js, ./keyVaultSession.js, ./utils.js
+ * NOTE: Internal. با فعال بودن رمزگذاری، هر کلید در تنظیم `apiKeys` و کلید هر ارائه‌دهنده در تنظیم `providerConfigs` به صورت `{id, iv, ciphertext}` ذخیره می‌شود (id یک شناسه تصادفی است که وضعیت کلید با آن ثبت می‌شود). تنظیم `apiKeyVault` نمک و یک مقدار آزمایشی رمزشده برای بررسی درستی عبارت عبور را نگه می‌دارد.
+ */
+import {
+  getSetting,
+  saveSetting,
+  saveApiKeySettings,
+  getApiKeyId,
+  getStoredApiKeyId,
+} from "./db.js";
+import {
+  KDF_NAME,
+  deriveKeyFromPassphrase,
+  encryptWithKey,
+  decryptWithKey,
+} from "./passphraseCrypto.js";
+import {
+  startVaultSession,
+  endVaultSession,
+  getVaultSessionExpiry,
+  setVaultSessionTimeout,
+  decryptApiKey,
+  encryptApiKey,
+} from "./keyVaultSession.js";
+import { toPersianDigits } from "./utils.js";
+
+// کلید تنظیماتی که کلیدهای API در آن ذخیره می‌شوند.
+const API_KEYS_SETTING = "apiKeys";
+// کلید تنظیماتی که پیکربندی ارائه‌دهندگان (از جمله کلید API هر یک) در آن ذخیره می‌شود.
+const PROVIDER_CONFIGS_SETTING = "providerConfigs";
+// کلید تنظیماتی که مشخصات رمزگذاری کلیدها در آن ذخیره می‌شود.
+const VAULT_SETTING = "apiKeyVault";
+// کلید تنظیماتی که مدت قفل خودکار (دقیقه) در آن ذخیره می‌شود.
+const LOCK_TIMEOUT_SETTING = "keyLockTimeout";
+// مدت پیش‌فرض قفل خودکار (دقیقه).
+const DEFAULT_LOCK_TIMEOUT_MINUTES = 15;
+// مقداری که برای بررسی درستی عبارت عبور رمزگذاری می‌شود.
+const VAULT_CHECK_VALUE = "motargem-key-vault";
+// حداقل طول عبارت عبور.
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * بررسی می‌کند که آیا رمزگذاری کلیدها فعال است یا خیر.
+ * @returns {Promise<boolean>}
+ */
+async function isKeyVaultEnabled() {
+  return Boolean(await getSetting(VAULT_SETTING));
+}
+
+/**
+ * بررسی می‌کند که آیا کلیدها قابل استفاده هستند (رمزگذاری غیرفعال است یا قفل باز است).
+ * @returns {Promise<boolean>}
+ */
+async function isKeyVaultUnlocked() {
+  return !(await isKeyVaultEnabled()) || getVaultSessionExpiry() !== null;
+}
+
+/**
+ * مدت قفل خودکار را برمی‌گرداند.
+ * @returns {Promise<number>} - مدت به دقیقه.
+ */
+async function getKeyLockTimeout() {
+  return (
+    (await getSetting(LOCK_TIMEOUT_SETTING)) || DEFAULT_LOCK_TIMEOUT_MINUTES
+  );
+}
+
+/**
+ * مدت قفل خودکار را ذخیره کرده و به نشست باز فعلی اعمال می‌کند.
+ * @param {number} minutes - مدت به دقیقه.
+ * @returns {Promise<void>}
+ */
+async function saveKeyLockTimeout(minutes) {
+  await saveSetting(LOCK_TIMEOUT_SETTING, minutes);
+  setVaultSessionTimeout(minutes);
+}
+
+/**
+ * کلید رمزگذاری را از عبارت عبور ساخته و نشست باز را آغاز می‌کند.
+ * @param {string} passphrase - عبارت عبور.
+ * @returns {Promise<void>}
+ * @throws {Error} - اگر رمزگذاری فعال نباشد یا عبارت عبور نادرست باشد.
+ */
+async function unlockKeyVault(passphrase) {
+  const vault = await getSetting(VAULT_SETTING);
+  if (!vault) throw new Error("رمزگذاری کلیدهای API فعال نیست.");
+  const { key } = await deriveKeyFromPassphrase(passphrase, {
+    salt: vault.salt,
+    iterations: vault.iterations,
+    extractable: true,
+  });
+  let check;
+  try {
+    check = await decryptWithKey(vault.check, key);
+  } catch (error) {
+    check = null;
+  }
+  if (check !== VAULT_CHECK_VALUE) {
+    throw new Error("عبارت عبور نادرست است.");
+  }
+  await startVaultSession(key, await getKeyLockTimeout());
+}
+
+/**
+ * قفل کلیدها را می‌بندد.
+ */
+function lockKeyVault() {
+  endVaultSession();
+}
+
+/**
+ * کلیدهای API را به متن ساده برمی‌گرداند.
+ * @returns {Promise<string[]>}
+ * @throws {KeysLockedError} - اگر کلیدها رمزشده باشند و قفل باز نباشد.
+ */
+async function getApiKeys() {
+  const stored = (await getSetting(API_KEYS_SETTING)) || [];
+  return Promise.all(stored.map(decryptApiKey));
+}
+
+/**
+ * یک کلید API را برای ذخیره آماده می‌کند؛ با فعال بودن رمزگذاری، کلید رمزگذاری می‌شود.
+ * کلید خالی بدون تغییر برگردانده می‌شود.
+ * @param {string} apiKey - کلید به متن ساده.
+ * @returns {Promise<string|{id: string, iv: string, ciphertext: string}>}
+ * @throws {KeysLockedError} - اگر رمزگذاری فعال باشد و قفل باز نباشد.
+ */
+async function encodeApiKey(apiKey) {
+  if (!apiKey || !(await isKeyVaultEnabled())) return apiKey;
+  return encryptApiKey(apiKey);
+}
+
+/**
+ * کلیدهای API را برای ذخیره آماده می‌کند؛ با فعال بودن رمزگذاری، هر کلید رمزگذاری می‌شود.
+ * @param {string[]} keys - کلیدها به متن ساده.
+ * @returns {Promise<Array<string|{id: string, iv: string, ciphertext: string}>>}
+ * @throws {KeysLockedError} - اگر رمزگذاری فعال باشد و قفل باز نباشد.
+ */
+async function encodeApiKeys(keys) {
+  return Promise.all(keys.map(encodeApiKey));
+}
+
+/**
+ * کلیدهای API را ذخیره می‌کند (با فعال بودن رمزگذاری، به صورت رمزشده).
+ * @param {string[]} keys - کلیدها به متن ساده.
+ * @returns {Promise<void>}
+ * @throws {KeysLockedError} - اگر رمزگذاری فعال باشد و قفل باز نباشد.
+ */
+async function saveApiKeys(keys) {
+  await saveSetting(API_KEYS_SETTING, await encodeApiKeys(keys));
+}
+
+/**
+ * کلید API ارائه‌دهندگان را در یک پیکربندی ارائه‌دهندگان با تابع داده‌شده تبدیل می‌کند.
+ * @param {Object<string, object>} configs - پیکربندی‌ها بر اساس شناسه ارائه‌دهنده.
+ * @param {function(*): Promise<*>} transform - تابع تبدیل کلید (رمزگذاری یا رمزگشایی).
+ * @returns {Promise<Object<string, object>>}
+ */
+async function mapProviderApiKeys(configs, transform) {
+  const entries = await Promise.all(
+    Object.entries(configs).map(async ([id, config]) => [
+      id,
+      config.apiKey
+        ? { ...config, apiKey: await transform(config.apiKey) }
+        : config,
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * رمزگذاری کلیدها را با عبارت عبور داده‌شده فعال کرده و کلیدهای فعلی را رمزگذاری می‌کند.
+ * کلیدها پیش از ذخیره رمزگذاری می‌شوند و همراه مشخصات رمزگذاری در یک تراکنش ذخیره می‌شوند تا خطا در میانه کار کلیدها را نیمه‌رمزشده باقی نگذارد؛ قفل فقط پس از ذخیره موفق باز می‌شود.
+ * @param {string} passphrase - عبارت عبور.
+ * @returns {Promise<void>}
+ * @throws {Error} - اگر عبارت عبور کوتاه باشد یا رمزگذاری از قبل فعال باشد.
+ */
+async function enableKeyVault(passphrase) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `عبارت عبور باید حداقل ${toPersianDigits(
+        MIN_PASSPHRASE_LENGTH
+      )} نویسه داشته باشد.`
+    );
+  }
+  if (await isKeyVaultEnabled()) {
+    throw new Error("رمزگذاری کلیدهای API از قبل فعال است.");
+  }
+  const keys = await getApiKeys();
+  const providerConfigs = (await getSetting(PROVIDER_CONFIGS_SETTING)) || {};
+  const { key, salt, iterations } = await deriveKeyFromPassphrase(passphrase, {
+    extractable: true,
+  });
+  const encrypt = (apiKey) => encryptApiKey(apiKey, key);
+  const encryptedKeys = await Promise.all(keys.map(encrypt));
+  await saveApiKeySettings(
+    {
+      [API_KEYS_SETTING]: encryptedKeys,
+      [PROVIDER_CONFIGS_SETTING]: await mapProviderApiKeys(
+        providerConfigs,
+        encrypt
+      ),
+      [VAULT_SETTING]: {
+        kdf: KDF_NAME,
+        iterations,
+        salt,
+        check: await encryptWithKey(VAULT_CHECK_VALUE, key),
+      },
+    },
+    // وضعیت هر کلید از هش متن ساده آن به شناسه تصادفی کلید رمزشده منتقل می‌شود.
+    new Map(
+      keys.map((apiKey, index) => [
+        getApiKeyId(apiKey),
+        encryptedKeys[index].id,
+      ])
+    )
+  );
+  await startVaultSession(key, await getKeyLockTimeout());
+}
+
+/**
+ * رمزگذاری کلیدها را غیرفعال کرده و آن‌ها را دوباره به متن ساده ذخیره می‌کند.
+ * @returns {Promise<void>}
+ * @throws {KeysLockedError} - اگر قفل باز نباشد.
+ */
+async function disableKeyVault() {
+  const storedKeys = (await getSetting(API_KEYS_SETTING)) || [];
+  const keys = await Promise.all(storedKeys.map(decryptApiKey));
+  const providerConfigs = await mapProviderApiKeys(
+    (await getSetting(PROVIDER_CONFIGS_SETTING)) || {},
+    decryptApiKey
+  );
+  await saveApiKeySettings(
+    {
+      [API_KEYS_SETTING]: keys,
+      [PROVIDER_CONFIGS_SETTING]: providerConfigs,
+      [VAULT_SETTING]: null,
+    },
+    new Map(
+      storedKeys.map((stored, index) => [
+        getStoredApiKeyId(stored),
+        getApiKeyId(keys[index]),
+      ])
+    )
+  );
+  endVaultSession();
+}
+
+export {
+  MIN_PASSPHRASE_LENGTH,
+  isKeyVaultEnabled,
+  isKeyVaultUnlocked,
+  getKeyLockTimeout,
+  saveKeyLockTimeout,
+  unlockKeyVault,
+  lockKeyVault,
+  getApiKeys,
+  encodeApiKey,
+  encodeApiKeys,
+  saveApiKeys,
+  enableKeyVault,
+  disableKeyVault,
+};
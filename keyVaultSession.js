@@ -0,0 +1,319 @@
+/**
+ * @file keyVaultSession.js
+ * خلاصه یک‌خطی: این ماژول کلید باز کردن قفل کلیدهای API رمزشده را برای مدت نشست مرورگر نگه می‌دارد، آن را پس از مدت بی‌استفاده ماندن قفل می‌کند و کلیدهای ذخیره‌شده را رمزگشایی می‌کند.
+ * Dependencies: ./passphraseCrypto.js
+ * NOTE: Internal. کلید رمزگشایی هرگز به صورت خام ذخیره نمی‌شود: در حافظه صفحه غیرقابل استخراج است و برای باقی ماندن بین صفحه‌های همان زبانه، رمزشده با یک کلید یک‌بارمصرف در sessionStorage نگه داشته می‌شود؛ آن کلید (غیرقابل استخراج) در پایگاه داده جداگانه `TranslatorKeySession` است تا در پشتیبان‌گیری نیاید. هر کلید رمزشده یک شناسه تصادفی دارد که وضعیت کلید با آن ثبت می‌شود؛ نگاشت متن ساده کلیدها به این شناسه‌ها فقط تا قفل شدن در حافظه صفحه می‌ماند. هر صفحه‌ای که این ماژول را بارگذاری کند زمان‌سنج قفل خودکار را اجرا کرده و نشست‌های منقضی را پاک می‌کند. این ماژول به db.js وابسته نیست تا db.js بتواند از آن استفاده کند.
+ */
+import {
+  encryptWithKey,
+  decryptWithKey,
+  generateWrappingKey,
+  wrapKey,
+  unwrapKey,
+} from "./passphraseCrypto.js";
+
+// کلید sessionStorage که اطلاعات نشست باز (کلید رمزشده و زمان انقضا) در آن ذخیره می‌شود.
+const SESSION_STORAGE_KEY = "apiKeyVaultSession";
+// پایگاه داده و انباری که کلیدهای رمزگذاری کلید نشست‌ها در آن نگه داشته می‌شوند.
+const SESSION_DB_NAME = "TranslatorKeySession";
+const SESSION_DB_VERSION = 1;
+const WRAPPING_KEYS_STORE = "wrappingKeys";
+
+let sessionKey = null; // کلید رمزگشایی نشست باز در حافظه این صفحه
+let autoLockTimeout = null; // زمان‌بندی قفل خودکار در این صفحه
+const autoLockListeners = new Set(); // توابعی که پس از قفل خودکار فراخوانی می‌شوند
+let sessionDBPromise = null; // اتصال باز به پایگاه داده کلیدهای رمزگذاری نشست‌ها
+const apiKeyEntryIds = new Map(); // شناسه کلیدهای رمزشده بر اساس متن ساده آن‌ها
+
+/**
+ * خطایی که وقتی کلیدهای API رمزشده هستند و قفل آن‌ها باز نیست پرتاب می‌شود.
+ */
+class KeysLockedError extends Error {
+  constructor(
+    message = "کلیدهای API قفل هستند. برای استفاده از آن‌ها عبارت عبور را وارد کنید."
+  ) {
+    super(message);
+    this.name = "KeysLockedError";
+  }
+}
+
+/**
+ * پایگاه داده کلیدهای رمزگذاری نشست‌ها را باز می‌کند.
+ * یک اتصال مشترک استفاده می‌شود تا تراکنش‌ها به ترتیب فراخوانی اجرا شوند و حذف کلید نشست با به‌روزرسانی قبلی آن جابه‌جا نشود.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSessionDB() {
+  if (!sessionDBPromise) {
+    sessionDBPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(WRAPPING_KEYS_STORE, {
+          keyPath: "id",
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = (event) => {
+        sessionDBPromise = null;
+        reject(event.target.error);
+      };
+    });
+  }
+  return sessionDBPromise;
+}
+
+/**
+ * یک عملیات را روی انبار کلیدهای رمزگذاری نشست‌ها اجرا می‌کند.
+ * @param {IDBTransactionMode} mode - حالت تراکنش.
+ * @param {function(IDBObjectStore): (IDBRequest|void)} operation - عملیات؛ نتیجه درخواست برگردانده‌شده پس از پایان تراکنش برگردانده می‌شود.
+ * @returns {Promise<*>}
+ */
+async function withWrappingKeys(mode, operation) {
+  const db = await openSessionDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([WRAPPING_KEYS_STORE], mode);
+    const request = operation(transaction.objectStore(WRAPPING_KEYS_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = (event) => reject(event.target.error);
+  });
+}
+
+/**
+ * کلیدهای رمزگذاری نشست‌های منقضی (مثلاً زبانه‌هایی که پیش از قفل خودکار بسته شده‌اند) را حذف می‌کند.
+ * @returns {Promise<void>}
+ */
+function deleteExpiredWrappingKeys() {
+  const now = Date.now();
+  return withWrappingKeys("readwrite", (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (cursor.value.expiresAt <= now) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * اطلاعات نشست باز فعلی را می‌خواند.
+ * @returns {{id: string, iv: string, wrappedKey: string, expiresAt: number, timeoutMs: number}|null}
+ */
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (error) {
+    console.error("Failed to read key vault session:", error);
+    return null;
+  }
+}
+
+/**
+ * اطلاعات نشست را ذخیره کرده و زمان انقضای آن را در کلید رمزگذاری نشست نیز ثبت می‌کند تا پس از بسته شدن زبانه قابل پاک کردن باشد.
+ * @param {{id: string, iv: string, wrappedKey: string, expiresAt: number, timeoutMs: number}} session - اطلاعات نشست.
+ */
+function writeSession(session) {
+  sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  withWrappingKeys("readwrite", (store) => {
+    const request = store.get(session.id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, expiresAt: session.expiresAt });
+      }
+    };
+  }).catch((error) => {
+    console.error("Failed to update key vault session:", error);
+  });
+  scheduleAutoLock();
+}
+
+/**
+ * نشست باز را با کلید داده‌شده آغاز می‌کند.
+ * @param {CryptoKey} key - کلید رمزگذاری کلیدها؛ باید قابل استخراج باشد تا بتوان آن را رمزشده نگه داشت.
+ * @param {number} timeoutMinutes - مدت بی‌استفاده ماندن تا قفل خودکار (دقیقه).
+ * @returns {Promise<void>}
+ */
+async function startVaultSession(key, timeoutMinutes) {
+  endVaultSession();
+  const timeoutMs = timeoutMinutes * 60 * 1000;
+  const expiresAt = Date.now() + timeoutMs;
+  const id = crypto.randomUUID();
+  const wrappingKey = await generateWrappingKey();
+  const wrapped = await wrapKey(key, wrappingKey);
+  await withWrappingKeys("readwrite", (store) => {
+    store.put({ id, key: wrappingKey, expiresAt });
+  });
+  sessionKey = await unwrapKey(wrapped, wrappingKey);
+  writeSession({ id, ...wrapped, expiresAt, timeoutMs });
+}
+
+/**
+ * نشست باز را پایان می‌دهد (قفل کردن کلیدها) و کلید آن را از حافظه و پایگاه داده پاک می‌کند.
+ */
+function endVaultSession() {
+  const session = readSession();
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  sessionKey = null;
+  apiKeyEntryIds.clear();
+  clearTimeout(autoLockTimeout);
+  if (!session?.id) return;
+  withWrappingKeys("readwrite", (store) => {
+    store.delete(session.id);
+  }).catch((error) => {
+    console.error("Failed to delete key vault session:", error);
+  });
+}
+
+/**
+ * نشست باز و معتبر فعلی را برمی‌گرداند؛ نشست منقضی‌شده پاک می‌شود.
+ * @returns {{id: string, iv: string, wrappedKey: string, expiresAt: number, timeoutMs: number}|null}
+ */
+function getActiveSession() {
+  const session = readSession();
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    endVaultSession();
+    return null;
+  }
+  return session;
+}
+
+/**
+ * زمان‌سنج قفل خودکار این صفحه را برای زمان انقضای نشست باز تنظیم می‌کند.
+ */
+function scheduleAutoLock() {
+  clearTimeout(autoLockTimeout);
+  const session = readSession();
+  if (!session) return;
+  autoLockTimeout = setTimeout(() => {
+    if (getActiveSession()) {
+      scheduleAutoLock();
+      return;
+    }
+    autoLockListeners.forEach((listener) => listener());
+  }, Math.max(0, session.expiresAt - Date.now()));
+}
+
+/**
+ * تابعی را ثبت می‌کند که پس از قفل خودکار کلیدها در این صفحه فراخوانی می‌شود.
+ * @param {function(): void} listener - تابع.
+ */
+function onVaultAutoLock(listener) {
+  autoLockListeners.add(listener);
+}
+
+/**
+ * زمان قفل خودکار نشست باز فعلی را برمی‌گرداند.
+ * @returns {number|null} - زمان انقضا (میلی‌ثانیه) یا null اگر قفل باز نباشد.
+ */
+function getVaultSessionExpiry() {
+  return getActiveSession()?.expiresAt ?? null;
+}
+
+/**
+ * مدت قفل خودکار نشست باز فعلی را تغییر می‌دهد و زمان انقضا را از همین حالا دوباره حساب می‌کند.
+ * @param {number} timeoutMinutes - مدت جدید (دقیقه).
+ */
+function setVaultSessionTimeout(timeoutMinutes) {
+  const session = getActiveSession();
+  if (!session) return;
+  const timeoutMs = timeoutMinutes * 60 * 1000;
+  writeSession({ ...session, timeoutMs, expiresAt: Date.now() + timeoutMs });
+}
+
+/**
+ * کلید رمزگذاری نشست باز را برمی‌گرداند و زمان قفل خودکار را تمدید می‌کند.
+ * پس از جابه‌جایی بین صفحه‌ها، کلید با کلید رمزگذاری نشست از sessionStorage بازگشوده می‌شود.
+ * @returns {Promise<CryptoKey|null>} - کلید یا null اگر قفل باز نباشد.
+ */
+async function getVaultSessionKey() {
+  const session = getActiveSession();
+  if (!session) return null;
+  if (!sessionKey) {
+    try {
+      const record = await withWrappingKeys("readonly", (store) =>
+        store.get(session.id)
+      );
+      if (!record) throw new Error("Session wrapping key not found.");
+      sessionKey = await unwrapKey(session, record.key);
+    } catch (error) {
+      console.error("Failed to restore key vault session:", error);
+      endVaultSession();
+      return null;
+    }
+  }
+  writeSession({ ...session, expiresAt: Date.now() + session.timeoutMs });
+  return sessionKey;
+}
+
+/**
+ * یک کلید API ذخیره‌شده را به متن ساده برمی‌گرداند.
+ * کلیدهای رمزنشده (رشته) بدون تغییر برگردانده می‌شوند.
+ * @param {string|{id: string, iv: string, ciphertext: string}} stored - کلید ذخیره‌شده.
+ * @returns {Promise<string>}
+ * @throws {KeysLockedError} - اگر کلید رمزشده باشد و قفل باز نباشد یا کلید نشست دیگر معتبر نباشد.
+ */
+async function decryptApiKey(stored) {
+  if (typeof stored === "string") return stored;
+  const key = await getVaultSessionKey();
+  if (!key) throw new KeysLockedError();
+  let apiKey;
+  try {
+    apiKey = await decryptWithKey(stored, key);
+  } catch (error) {
+    // عبارت عبور در زبانه دیگری تغییر کرده یا رمزگذاری غیرفعال شده است.
+    endVaultSession();
+    throw new KeysLockedError();
+  }
+  apiKeyEntryIds.set(apiKey, stored.id);
+  return apiKey;
+}
+
+/**
+ * یک کلید API را برای ذخیره رمزگذاری می‌کند.
+ * کلیدی که پیش‌تر در این صفحه رمزگشایی یا رمزگذاری شده شناسه قبلی خود را نگه می‌دارد تا وضعیتش از دست نرود؛ کلید جدید یک شناسه تصادفی می‌گیرد.
+ * @param {string} apiKey - کلید به متن ساده.
+ * @param {CryptoKey|null} [key=null] - کلید رمزگذاری؛ در صورت عدم ارسال، کلید نشست باز استفاده می‌شود.
+ * @returns {Promise<{id: string, iv: string, ciphertext: string}>}
+ * @throws {KeysLockedError} - اگر کلیدی داده نشده باشد و قفل باز نباشد.
+ */
+async function encryptApiKey(apiKey, key = null) {
+  const encryptionKey = key || (await getVaultSessionKey());
+  if (!encryptionKey) throw new KeysLockedError();
+  const id = apiKeyEntryIds.get(apiKey) || crypto.randomUUID();
+  apiKeyEntryIds.set(apiKey, id);
+  return { id, ...(await encryptWithKey(apiKey, encryptionKey)) };
+}
+
+/**
+ * شناسه کلید رمزشده‌ای را که متن ساده آن داده شده برمی‌گرداند تا وضعیت کلید بدون هش متن ساده آن ثبت شود.
+ * برای کلیدی که هنوز ذخیره نشده (مثلاً هنگام بررسی کلید جدید) یک شناسه رزرو می‌شود که هنگام رمزگذاری همان کلید استفاده می‌شود.
+ * @param {string} apiKey - کلید به متن ساده.
+ * @returns {string|null} - شناسه یا null اگر قفل باز نباشد.
+ */
+function getApiKeyEntryId(apiKey) {
+  if (!getActiveSession()) return null;
+  if (!apiKeyEntryIds.has(apiKey)) {
+    apiKeyEntryIds.set(apiKey, crypto.randomUUID());
+  }
+  return apiKeyEntryIds.get(apiKey);
+}
+
+// نشست منقضی این زبانه و کلیدهای نشست‌های منقضی زبانه‌های دیگر در بارگذاری هر صفحه پاک می‌شوند.
+getActiveSession();
+scheduleAutoLock();
+deleteExpiredWrappingKeys().catch((error) => {
+  console.error("Failed to delete expired key vault sessions:", error);
+});
+
+export {
+  KeysLockedError,
+  startVaultSession,
+  endVaultSession,
+  onVaultAutoLock,
+  getVaultSessionExpiry,
+  setVaultSessionTimeout,
+  getVaultSessionKey,
+  decryptApiKey,
+  encryptApiKey,
+  getApiKeyEntryId,
+};
@@ -1,18 +1,68 @@
 /**
  * @file main.js
  * خلاصه یک‌خطی: این فایل اسکریپت اصلی صفحه مترجم (index.html) است که تمام منطق رابط کاربری، تعاملات کاربر و هماهنگی فرآیند ترجمه را مدیریت می‌کند.
- * Dependencies: ./db.js, ./api.js, ./utils.js, ./languageService.js
+ * Dependencies: ./db.js, ./api.js, ./providers.js, ./httpErrors.js, ./subtitles.js, ./glossary.js, ./translationMemory.js, ./translationStyle.js, ./promptTemplates.js, ./translationResponse.js, ./dictionary.js, ./textDiff.js, ./utils.js, ./languageService.js, ./keyVault.js, ./keyVaultSession.js
  * NOTE: Internal. این اسکریپت قلب تپنده بخش کاربری برنامه است.
  * Comments updated by AI: 2025-11-11
  */
-import { getSetting, addHistoryItem } from "./db.js";
-import { translateText } from "./api.js";
+import {
+  getSetting,
+  saveSetting,
+  addHistoryItem,
+  updateHistoryItem,
+  getGlossary,
+} from "./db.js";
+import {
+  translateChunks,
+  backTranslate,
+  splitTextIntoChunks,
+  MAX_CHUNK_CHARS,
+} from "./api.js";
+import { getActiveProvider } from "./providers.js";
+import { RequestAbortedError } from "./httpErrors.js";
+import {
+  SUBTITLE_INSTRUCTIONS,
+  detectSubtitleFormat,
+  parseSubtitles,
+  buildSubtitleChunks,
+  applySubtitleTranslations,
+  serializeSubtitles,
+  downloadSubtitle,
+} from "./subtitles.js";
+import { findGlossaryMatches, findGlossaryViolations } from "./glossary.js";
+import { lookupTranslationMemory } from "./translationMemory.js";
+import {
+  FORMALITY_OPTIONS,
+  DOMAIN_OPTIONS,
+  AUDIENCE_OPTIONS,
+  MAX_STYLE_NOTE_CHARS,
+  normalizeStyle,
+  describeStyle,
+  getPairStyle,
+  savePairStyle,
+} from "./translationStyle.js";
+import {
+  validatePromptTemplate,
+  getPromptTemplates,
+  getPairTemplateId,
+  savePairTemplateId,
+  getPairPromptTemplate,
+} from "./promptTemplates.js";
+import { findAnswerSigns } from "./translationResponse.js";
+import {
+  MAX_DICTIONARY_CHARS,
+  isDictionaryCandidate,
+  createDictionaryCard,
+} from "./dictionary.js";
+import { diffWords } from "./textDiff.js";
 import { toPersianDigits, copyToClipboard } from "./utils.js";
 import {
   getAllLanguages,
   getLangNames,
   addNewLanguage,
 } from "./languageService.js";
+import { isKeyVaultUnlocked, unlockKeyVault } from "./keyVault.js";
+import { KeysLockedError, onVaultAutoLock } from "./keyVaultSession.js";
 
 // تمام اسکریپت پس از بارگذاری کامل محتوای DOM اجرا می‌شود تا اطمینان حاصل شود که تمام عناصر در دسترس هستند.
 document.addEventListener("DOMContentLoaded", async () => {
@@ -20,16 +70,66 @@ document.addEventListener("DOMContentLoaded", async () => {
   const sourceTextarea = document.getElementById("source-text");
   const targetTextarea = document.getElementById("target-text");
   const translateButton = document.getElementById("translate-button");
+  const cancelButton = document.getElementById("cancel-button");
   const swapButton = document.getElementById("swap-button");
   const sourceLangButton = document.getElementById("source-lang-button");
   const targetLangButton = document.getElementById("target-lang-button");
   const loadingSpinner = document.getElementById("loading-spinner");
   const apiKeyWarning = document.getElementById("api-key-warning");
+  const apiKeyUnlockForm = document.getElementById("api-key-unlock");
+  const unlockKeysInput = document.getElementById("unlock-keys-input");
+  const unlockKeysButton = document.getElementById("unlock-keys-button");
   const pasteButton = document.getElementById("paste-button");
   const copySourceButton = document.getElementById("copy-source-button");
   const clearButton = document.getElementById("clear-button");
+  const uploadSubtitleButton = document.getElementById(
+    "upload-subtitle-button"
+  );
+  const subtitleFileInput = document.getElementById("subtitle-file-input");
+  const downloadSubtitleButton = document.getElementById(
+    "download-subtitle-button"
+  );
   const copyTargetButton = document.getElementById("copy-target-button");
   const charCounter = document.getElementById("char-counter");
+  const modelOverrideSelect = document.getElementById("model-override");
+  const translationMeta = document.getElementById("translation-meta");
+  const glossaryWarning = document.getElementById("glossary-warning");
+  const answerWarning = document.getElementById("answer-warning");
+  const memoryBadge = document.getElementById("memory-badge");
+  const memorySuggestions = document.getElementById("memory-suggestions");
+  const alternativesToggle = document.getElementById("alternatives-toggle");
+  const alternativesList = document.getElementById("alternatives-list");
+  const dictionaryToggle = document.getElementById("dictionary-toggle");
+  const dictionaryCard = document.getElementById("dictionary-card");
+
+  // --- عناصر مربوط به بررسی با ترجمه برگشتی ---
+  const verifyButton = document.getElementById("verify-button");
+  const verifyPanel = document.getElementById("verify-panel");
+  const verifyCloseButton = document.getElementById("verify-close-button");
+  const verifyStatus = document.getElementById("verify-status");
+  const verifyResult = document.getElementById("verify-result");
+  const verifyScores = document.getElementById("verify-scores");
+  const verifyOriginal = document.getElementById("verify-original");
+  const verifyBackTranslation = document.getElementById(
+    "verify-back-translation"
+  );
+  const verifyShifts = document.getElementById("verify-shifts");
+
+  // --- عناصر مربوط به ترجمه هم‌زمان به چند زبان ---
+  const multiTargetButton = document.getElementById("multi-target-button");
+  const multiTargetCount = document.getElementById("multi-target-count");
+  const multiTargetPanels = document.getElementById("multi-target-panels");
+
+  // --- عناصر مربوط به سبک ترجمه ---
+  const styleSummary = document.getElementById("style-summary");
+  const styleInputs = document.querySelectorAll("[data-style-key]");
+  const formalitySelect = document.getElementById("formality-select");
+  const domainSelect = document.getElementById("domain-select");
+  const audienceSelect = document.getElementById("audience-select");
+  const styleNoteInput = document.getElementById("style-note-input");
+  const promptTemplateSelect = document.getElementById(
+    "prompt-template-select"
+  );
 
   // --- عناصر مربوط به مودال انتخاب زبان ---
   const langModal = document.getElementById("lang-modal");
@@ -40,8 +140,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   );
   const langModalBackdrop = document.getElementById("lang-modal-backdrop");
 
-  const MAX_CHARS = 5000; // حداکثر تعداد کاراکتر مجاز برای متن ورودی
   let toastTimeout; // متغیری برای مدیریت زمان‌بندی نمایش اعلان‌ها
+  let lastHistoryId = 0; // آخرین شناسه تاریخچه؛ تا ترجمه‌هایی که هم‌زمان ذخیره می‌شوند شناسه یکسان نگیرند.
+  const extraTargetPanels = new Map(); // پنل‌های نتیجه زبان‌های مقصد دیگر بر اساس کد زبان.
 
   /**
    * شیء وضعیت برنامه که تمام داده‌های پویا را در خود نگهداری می‌کند.
@@ -50,11 +151,27 @@ document.addEventListener("DOMContentLoaded", async () => {
   let state = {
     sourceLang: "auto", // زبان مبدأ فعلی
     targetLang: "fa", // زبان مقصد فعلی
-    apiKeysAvailable: false, // آیا کلید API معتبری تنظیم شده است؟
+    apiKeysAvailable: false, // آیا کلید API معتبری تنظیم شده است (یا ارائه‌دهنده فعال به آن نیازی ندارد)؟
+    usesStoredKeys: false, // آیا ارائه‌دهنده فعال از کلیدهای ذخیره‌شده (که ممکن است رمزشده باشند) استفاده می‌کند؟
     isTranslating: false, // آیا فرآیند ترجمه در حال انجام است؟
     autoTranslateOnPaste: false, // آیا ترجمه خودکار پس از جایگذاری فعال است؟
     autoCopyResult: false, // آیا کپی خودکار نتیجه ترجمه فعال است؟
-    modalContext: null, // مشخص می‌کند مودال برای زبان مبدأ ('source') یا مقصد ('target') باز شده است.
+    streamTranslation: true, // آیا ترجمه به صورت تدریجی (streaming) نمایش داده می‌شود؟
+    useTranslationMemory: true, // آیا پیش از فراخوانی API، حافظه ترجمه (تاریخچه) جستجو می‌شود؟
+    showAlternatives: false, // آیا به جای یک ترجمه، چند ترجمه جایگزین درخواست می‌شود؟
+    dictionaryMode: false, // آیا متن (تا حداکثر طول مجاز) همیشه در فرهنگ لغت جستجو می‌شود؟
+    autoDictionary: true, // آیا واژه‌ها و عبارت‌های کوتاه به صورت خودکار در فرهنگ لغت جستجو می‌شوند؟
+    isLlmProvider: false, // آیا ارائه‌دهنده فعال یک مدل زبان است (و ممکن است به جای ترجمه به متن پاسخ دهد)؟
+    extraTargetLangs: [], // زبان‌های مقصد دیگری که متن هم‌زمان به آن‌ها نیز ترجمه می‌شود.
+    style: {}, // سبک ترجمه (لحن، حوزه، مخاطب و یادداشت سبک) برای جفت زبان فعلی
+    promptTemplates: [], // قالب‌های پرامپت سفارشی معتبر ({id, name, body})
+    promptTemplateId: "", // شناسه قالب پرامپت جفت زبان فعلی؛ رشته خالی یعنی قالب پیش‌فرض
+    modalContext: null, // مشخص می‌کند مودال برای زبان مبدأ ('source')، مقصد ('target') یا زبان‌های مقصد دیگر ('extra') باز شده است.
+    abortController: null, // کنترل‌کننده لغو ترجمه در حال انجام (در غیر این صورت null).
+    verifyController: null, // کنترل‌کننده لغو ترجمه برگشتی در حال انجام (در غیر این صورت null).
+    translationJob: null, // آخرین کار ترجمه ناتمام (بخش‌ها و نتایج آن‌ها) برای ادامه ترجمه بخش‌های ناموفق.
+    subtitleFileName: null, // نام آخرین فایل زیرنویس بارگذاری‌شده (برای نام‌گذاری فایل خروجی).
+    subtitleResult: null, // آخرین زیرنویس ترجمه‌شده ({content, format, targetLang}) برای دانلود.
   };
 
   /**
@@ -64,14 +181,54 @@ document.addEventListener("DOMContentLoaded", async () => {
   async function initializeApp() {
     try {
       // بارگذاری تنظیمات کاربر از IndexedDB
+      // فقط ارائه‌دهندگانی که از مجموعه کلیدهای ذخیره‌شده استفاده می‌کنند (مانند Gemini) به کلید API نیاز دارند.
+      // کلید ارائه‌دهنده اینجا لازم نیست و ممکن است قفل باشد.
+      const { provider, config } = await getActiveProvider({
+        withApiKey: false,
+      });
       const apiKeys = await getSetting("apiKeys");
-      state.apiKeysAvailable = Array.isArray(apiKeys) && apiKeys.length > 0;
+      const providerConfigs = (await getSetting("providerConfigs")) || {};
+      state.apiKeysAvailable =
+        !provider.usesKeyPool || (Array.isArray(apiKeys) && apiKeys.length > 0);
+      state.usesStoredKeys =
+        provider.usesKeyPool || Boolean(providerConfigs[provider.id]?.apiKey);
+      populateModelOverride(provider, config);
       state.autoTranslateOnPaste =
         (await getSetting("autoTranslateOnPaste")) || false;
       state.autoCopyResult = (await getSetting("autoCopyResult")) || false;
+      state.streamTranslation = (await getSetting("streamTranslation")) ?? true;
+      state.useTranslationMemory =
+        (await getSetting("translationMemory")) ?? true;
+      state.isLlmProvider = provider.kind === "llm";
+      // ترجمه‌های جایگزین فقط از ارائه‌دهندگان مبتنی بر مدل زبان قابل درخواست است.
+      state.showAlternatives =
+        state.isLlmProvider &&
+        ((await getSetting("showAlternatives")) || false);
+      alternativesToggle.classList.toggle("hidden", provider.kind !== "llm");
+      // فرهنگ لغت نیز فقط از ارائه‌دهندگان مبتنی بر مدل زبان قابل درخواست است.
+      state.dictionaryMode =
+        state.isLlmProvider && ((await getSetting("dictionaryMode")) || false);
+      state.autoDictionary = (await getSetting("autoDictionary")) ?? true;
+      dictionaryToggle.classList.toggle("hidden", provider.kind !== "llm");
+      // قالب‌های نامعتبر (مثلاً ذخیره‌شده با نسخه‌ای قدیمی‌تر) قابل انتخاب نیستند.
+      state.promptTemplates = state.isLlmProvider
+        ? (await getPromptTemplates()).filter(
+            (template) => validatePromptTemplate(template.body).length === 0
+          )
+        : [];
+      renderModeToggles();
+      state.extraTargetLangs = (await getSetting("extraTargetLangs")) || [];
 
-      // اگر کلید API تنظیم نشده باشد، هشدار را نمایش داده و دکمه ترجمه را غیرفعال می‌کند.
-      if (!state.apiKeysAvailable) {
+      // کلیدهای رمزشده تا باز شدن قفل قابل استفاده نیستند؛ به جای هشدار، فرم باز کردن قفل نمایش داده می‌شود.
+      if (
+        state.apiKeysAvailable &&
+        state.usesStoredKeys &&
+        !(await isKeyVaultUnlocked())
+      ) {
+        showKeysUnlock();
+        translateButton.disabled = true;
+      } else if (!state.apiKeysAvailable) {
+        // اگر کلید API تنظیم نشده باشد، هشدار را نمایش داده و دکمه ترجمه را غیرفعال می‌کند.
         apiKeyWarning.classList.remove("hidden");
         translateButton.disabled = true;
       }
@@ -79,76 +236,920 @@ document.addEventListener("DOMContentLoaded", async () => {
       showToast("خطا در بارگذاری تنظیمات.", "error");
     }
     await getAllLanguages(); // بارگذاری اولیه زبان‌ها برای کش شدن
-    checkForReuseData(); // بررسی وجود داده برای "استفاده مجدد" از صفحه تاریخچه
+    populateStyleOptions();
+    populatePromptTemplateOptions();
+    const reusedItem = checkForReuseData(); // بررسی وجود داده برای "استفاده مجدد" از صفحه تاریخچه
     updateUI(); // به‌روزرسانی رابط کاربری بر اساس وضعیت اولیه
+    // سبک آیتم استفاده‌مجدد (در صورت وجود) بر سبک ذخیره‌شده جفت زبان اولویت دارد.
+    await loadPairStyle(reusedItem?.style);
+  }
+
+  /**
+   * فرم باز کردن قفل کلیدهای رمزشده را نمایش می‌دهد (در بارگذاری صفحه یا پس از قفل خودکار).
+   */
+  function showKeysUnlock() {
+    state.apiKeysAvailable = false;
+    apiKeyUnlockForm.classList.remove("hidden");
+  }
+
+  /**
+   * قفل کلیدها را با عبارت عبور واردشده باز کرده و ترجمه را فعال می‌کند.
+   */
+  async function unlockKeys() {
+    unlockKeysButton.disabled = true;
+    try {
+      await unlockKeyVault(unlockKeysInput.value);
+      unlockKeysInput.value = "";
+      apiKeyUnlockForm.classList.add("hidden");
+      state.apiKeysAvailable = true;
+      translateButton.disabled = state.isTranslating;
+      showToast("قفل کلیدهای API باز شد.", "success");
+    } catch (error) {
+      showToast(error.message, "error");
+    } finally {
+      unlockKeysButton.disabled = false;
+    }
+  }
+
+  /**
+   * گزینه‌های انتخاب سریع مدل را برای ارائه‌دهنده فعال پر می‌کند.
+   * برای ارائه‌دهندگانی که مدل ندارند (مانند LibreTranslate) این کنترل مخفی می‌ماند.
+   * @param {object} provider - ارائه‌دهنده فعال.
+   * @param {{model: string, models: string[]}} config - پیکربندی ارائه‌دهنده فعال.
+   */
+  function populateModelOverride(provider, config) {
+    const models = config.models.filter((model) => model !== config.model);
+    if (provider.kind !== "llm" || models.length === 0) return;
+
+    const defaultLabel = config.model
+      ? `${config.model} (پیش‌فرض)`
+      : "مدل پیش‌فرض";
+    modelOverrideSelect.add(new Option(defaultLabel, ""));
+    models.forEach((model) => modelOverrideSelect.add(new Option(model)));
+    modelOverrideSelect.classList.remove("hidden");
+  }
+
+  /**
+   * کلیدی یکتا برای ورودی‌های فعلی ترجمه (متن، زبان‌ها، مدل و سبک) می‌سازد.
+   * @returns {string}
+   */
+  function getTranslationJobKey() {
+    return JSON.stringify([
+      sourceTextarea.value,
+      state.sourceLang,
+      state.targetLang,
+      modelOverrideSelect.value,
+      normalizeStyle(state.style),
+      state.promptTemplateId,
+    ]);
+  }
+
+  /**
+   * کار ترجمه متن فعلی را برمی‌گرداند.
+   * اگر متن، زبان‌ها و مدل تغییر نکرده باشند، کار قبلی (با بخش‌های ترجمه‌شده آن) ادامه می‌یابد تا فقط بخش‌های ناموفق دوباره ترجمه شوند.
+   * متنی که یک زیرنویس SRT یا WebVTT باشد، به جای تقسیم به پاراگراف‌ها، به دسته‌هایی از کیوها تقسیم می‌شود.
+   * @returns {{key: string, chunks: Array<Object>, subtitle: Object|null}}
+   */
+  function getTranslationJob() {
+    const key = getTranslationJobKey();
+    if (state.translationJob?.key !== key) {
+      const text = sourceTextarea.value;
+      const subtitle = detectSubtitleFormat(text) ? parseSubtitles(text) : null;
+      state.translationJob = {
+        key,
+        subtitle,
+        chunks: subtitle
+          ? buildSubtitleChunks(subtitle)
+          : splitTextIntoChunks(text),
+      };
+    }
+    return state.translationJob;
+  }
+
+  /**
+   * متن کادر مقصد را از ترجمه بخش‌ها (نتیجه نهایی یا ترجمه جزئی) بازسازی می‌کند.
+   * بخش‌های ناموفق با یک نشانگر مشخص می‌شوند.
+   * @param {Array<Object>} chunks - بخش‌های کار ترجمه.
+   * @param {string[]} partials - ترجمه جزئی هر بخش در حالت جریانی.
+   */
+  function renderChunkTranslations(chunks, partials) {
+    targetTextarea.value = chunks
+      .map((chunk, index) => {
+        let text = chunk.result?.translatedText ?? partials[index] ?? "";
+        if (chunk.error) {
+          text = `[بخش ${toPersianDigits(index + 1)} ترجمه نشد]`;
+        }
+        return chunk.before + text + chunk.after;
+      })
+      .join("")
+      .trim();
+  }
+
+  /**
+   * نتیجه یک ترجمه موفق (از API یا حافظه ترجمه) را نمایش داده و کارهای پس از ترجمه را انجام می‌دهد:
+   * بررسی واژه‌نامه، به‌روزرسانی زبان مبدأ شناسایی‌شده، کپی خودکار و ذخیره در تاریخچه.
+   * @param {Object} result - نتیجه ترجمه؛ `fromMemory` یعنی نتیجه از حافظه ترجمه آمده و دوباره در تاریخچه ذخیره نمی‌شود.
+   * @param {Object|null} subtitle - زیرنویس تجزیه‌شده، اگر متن مبدأ یک فایل زیرنویس باشد.
+   */
+  async function showTranslationResult(result, subtitle) {
+    state.translationJob = null;
+    if (subtitle) {
+      state.subtitleResult = {
+        content: result.translatedText,
+        format: subtitle.format,
+        targetLang: state.targetLang,
+      };
+      downloadSubtitleButton.classList.remove("hidden");
+    }
+
+    targetTextarea.value = result.translatedText;
+    renderTranslationMeta(result.meta);
+    memoryBadge.classList.toggle("hidden", !result.fromMemory);
+    await renderGlossaryWarning(
+      sourceTextarea.value,
+      result.detectedSourceLanguage || state.sourceLang,
+      result.translatedText
+    );
+    // زیرنویس‌ها به دلیل نشانگرهای بخش‌ها و مدخل‌های فرهنگ لغت به دلیل ساختارشان با متن عادی قابل مقایسه نیستند.
+    renderAnswerWarning(
+      subtitle || result.dictionary ? "" : sourceTextarea.value,
+      result.translatedText
+    );
+    if (result.dictionary) {
+      dictionaryCard.replaceChildren(createDictionaryCard(result.dictionary));
+      dictionaryCard.classList.remove("hidden");
+    }
+    await applyDetectedLanguage(result);
+
+    // اگر تنظیم "کپی خودکار" فعال باشد، نتیجه را در کلیپ‌بورد کپی می‌کند.
+    if (state.autoCopyResult && result.translatedText) {
+      if (await copyToClipboard(result.translatedText)) {
+        provideFeedback(copyTargetButton);
+      }
+    }
+
+    // آیتم ترجمه را به تاریخچه اضافه می‌کند.
+    if (!result.fromMemory) {
+      await addHistoryItem({
+        id: createHistoryId(),
+        sourceLang: result.detectedSourceLanguage,
+        targetLang: state.targetLang,
+        sourceText: sourceTextarea.value,
+        targetText: result.translatedText,
+        style: normalizeStyle(state.style),
+        ...(result.dictionary && {
+          type: "dictionary",
+          dictionary: result.dictionary,
+        }),
+      });
+    }
+  }
+
+  /**
+   * زبان جدید شناسایی‌شده را ذخیره کرده و زبان مبدأ را به زبان شناسایی‌شده تغییر می‌دهد.
+   * @param {Object} result - نتیجه ترجمه.
+   */
+  async function applyDetectedLanguage(result) {
+    // اگر API زبان جدیدی را شناسایی و اطلاعات آن را برگرداند، آن را به پایگاه داده اضافه می‌کند.
+    if (result.newLanguageInfo) {
+      await addNewLanguage(result.newLanguageInfo);
+    }
+
+    // بررسی می‌کند که زبان شناسایی‌شده در لیست زبان‌های موجود وجود دارد یا خیر.
+    const allLangs = await getAllLanguages();
+    const detectedLangExists = allLangs.some(
+      (l) => l.code === result.detectedSourceLanguage
+    );
+
+    // اگر زبان مبدأ به درستی شناسایی شده بود، آن را در UI به‌روز می‌کند.
+    if (result.detectedSourceLanguage && detectedLangExists) {
+      state.sourceLang = result.detectedSourceLanguage;
+      updateUI();
+    }
+  }
+
+  /**
+   * ترجمه‌های جایگزین را به صورت کارت‌های قابل انتخاب زیر کادر ترجمه نمایش می‌دهد.
+   * تا زمانی که کاربر یکی از کارت‌ها را انتخاب نکند، ترجمه‌ای در کادر مقصد قرار نمی‌گیرد و فقط ترجمه انتخاب‌شده در تاریخچه ذخیره می‌شود.
+   * انتخاب دوباره، همان آیتم تاریخچه را به‌روز می‌کند. متن‌ها خروجی مدل هستند و با textContent درج می‌شوند.
+   * @param {Object} result - نتیجه ترجمه شامل `alternatives`.
+   */
+  async function showAlternatives(result) {
+    state.translationJob = null;
+    renderTranslationMeta(result.meta);
+    await applyDetectedLanguage(result);
+
+    // ورودی‌های ترجمه در همین لحظه ثبت می‌شوند تا تغییر بعدی متن مبدأ، آیتم تاریخچه را تغییر ندهد.
+    const sourceText = sourceTextarea.value;
+    const sourceLang = result.detectedSourceLanguage || state.sourceLang;
+    const targetLang = state.targetLang;
+    const style = normalizeStyle(state.style);
+    let historyItem = null;
+
+    alternativesList.innerHTML = "";
+    const title = document.createElement("p");
+    title.className = "text-xs font-semibold text-gray-500 dark:text-gray-400";
+    title.textContent = "یکی از ترجمه‌های جایگزین را انتخاب کنید:";
+    alternativesList.appendChild(title);
+
+    result.alternatives.forEach((candidate) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.setAttribute("aria-pressed", "false");
+      button.className =
+        "w-full text-start bg-gray-50 dark:bg-gray-700/50 lg:hover:bg-gray-100 dark:lg:hover:bg-gray-700 rounded-lg p-3 text-sm transition-colors duration-200";
+      button.innerHTML = `
+        <bdi data-field="text" class="block text-gray-800 dark:text-gray-200"></bdi>
+        <span data-field="note" class="block mt-1 text-xs text-gray-500 dark:text-gray-400"></span>
+      `;
+      button.querySelector('[data-field="text"]').textContent =
+        candidate.translatedText;
+      button.querySelector('[data-field="note"]').textContent = candidate.note;
+      button.addEventListener("click", async () => {
+        if (state.isTranslating) return;
+        alternativesList.querySelectorAll("button").forEach((other) => {
+          const selected = other === button;
+          other.setAttribute("aria-pressed", String(selected));
+          other.classList.toggle("ring-2", selected);
+          other.classList.toggle("ring-blue-500", selected);
+        });
+        targetTextarea.value = candidate.translatedText;
+        await renderGlossaryWarning(
+          sourceText,
+          sourceLang,
+          candidate.translatedText
+        );
+        renderAnswerWarning(sourceText, candidate.translatedText);
+
+        if (state.autoCopyResult) {
+          if (await copyToClipboard(candidate.translatedText)) {
+            provideFeedback(copyTargetButton);
+          }
+        }
+
+        if (historyItem) {
+          historyItem.targetText = candidate.translatedText;
+          await updateHistoryItem(historyItem);
+        } else {
+          historyItem = {
+            id: createHistoryId(),
+            sourceLang: result.detectedSourceLanguage,
+            targetLang,
+            sourceText,
+            targetText: candidate.translatedText,
+            style,
+          };
+          await addHistoryItem(historyItem);
+        }
+      });
+      alternativesList.appendChild(button);
+    });
+    alternativesList.classList.remove("hidden");
+  }
+
+  /**
+   * ترجمه فعلی را به زبان مبدأ برمی‌گرداند و نتیجه را برای مقایسه کنار متن اصلی نمایش می‌دهد.
+   * برای این کار زبان مبدأ باید مشخص (یا شناسایی‌شده) باشد.
+   */
+  async function handleVerify() {
+    const translatedText = targetTextarea.value;
+    if (state.isTranslating || !translatedText.trim()) return;
+    if (state.subtitleResult) {
+      showToast(
+        "بررسی با ترجمه برگشتی برای زیرنویس‌ها در دسترس نیست.",
+        "error"
+      );
+      return;
+    }
+    if (state.sourceLang === "auto") {
+      showToast(
+        "زبان مبدأ مشخص نیست. لطفاً ابتدا زبان مبدأ را انتخاب کنید.",
+        "error"
+      );
+      return;
+    }
+
+    state.verifyController?.abort();
+    const controller = new AbortController();
+    state.verifyController = controller;
+    const originalText = sourceTextarea.value;
+    const sourceLang = state.sourceLang;
+    verifyPanel.classList.remove("hidden");
+    verifyResult.classList.add("hidden");
+    verifyStatus.textContent = "در حال ترجمه برگشتی...";
+    verifyStatus.classList.remove("hidden");
+    verifyButton.disabled = true;
+
+    try {
+      const result = await backTranslate(
+        translatedText,
+        originalText,
+        sourceLang,
+        state.targetLang,
+        {
+          model: modelOverrideSelect.value || undefined,
+          signal: controller.signal,
+        }
+      );
+      await renderVerification(originalText, sourceLang, result);
+    } catch (error) {
+      // بستن پنل یا شروع ترجمه جدید، ترجمه برگشتی را لغو می‌کند و پیامی لازم نیست.
+      if (controller.signal.aborted) return;
+      verifyStatus.textContent = `ترجمه برگشتی با خطا مواجه شد: ${error.message}`;
+    } finally {
+      if (state.verifyController === controller) {
+        state.verifyController = null;
+        verifyButton.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * نتیجه ترجمه برگشتی را نمایش می‌دهد: متن اصلی و ترجمه برگشتی با واژه‌های متفاوت مشخص‌شده، امتیازها و جابجایی‌های معنا.
+   * @param {string} originalText - متن اصلی.
+   * @param {string} sourceLang - کد زبان متن اصلی.
+   * @param {Object} result - نتیجه `backTranslate`.
+   */
+  async function renderVerification(originalText, sourceLang, result) {
+    const languages = await getAllLanguages();
+    const dir = languages.find((l) => l.code === sourceLang)?.dir || "ltr";
+    const diff = diffWords(originalText, result.backTranslation);
+    // واژه‌هایی از متن اصلی که در ترجمه برگشتی نیامده‌اند قرمز و واژه‌های تازه ترجمه برگشتی سبز می‌شوند.
+    renderDiffTokens(
+      verifyOriginal,
+      diff?.original,
+      originalText,
+      dir,
+      "bg-red-100 dark:bg-red-900/50"
+    );
+    renderDiffTokens(
+      verifyBackTranslation,
+      diff?.revised,
+      result.backTranslation,
+      dir,
+      "bg-green-100 dark:bg-green-900/50"
+    );
+
+    const scores = [];
+    if (result.adequacy !== null) {
+      scores.push(`کفایت معنایی: ${toPersianDigits(result.adequacy)} از ۵`);
+    }
+    if (result.fluency !== null) {
+      scores.push(`روانی: ${toPersianDigits(result.fluency)} از ۵`);
+    }
+    if (result.meaningShifts?.length === 0) {
+      scores.push("جابجایی معنایی گزارش نشد");
+    }
+    verifyScores.textContent = scores.join(" · ");
+    verifyScores.classList.toggle("hidden", scores.length === 0);
+
+    verifyShifts.innerHTML = "";
+    (result.meaningShifts || []).forEach((shift) => {
+      const li = document.createElement("li");
+      li.textContent = shift;
+      verifyShifts.appendChild(li);
+    });
+    verifyShifts.classList.toggle("hidden", !result.meaningShifts?.length);
+
+    verifyStatus.textContent = diff
+      ? ""
+      : "متن برای مقایسه واژه‌به‌واژه بیش از حد طولانی است.";
+    verifyStatus.classList.toggle("hidden", Boolean(diff));
+    verifyResult.classList.remove("hidden");
+  }
+
+  /**
+   * توکن‌های یک متن را با مشخص کردن واژه‌های تغییرکرده در یک عنصر درج می‌کند.
+   * @param {HTMLElement} element - عنصر مقصد.
+   * @param {Array<{text: string, changed: boolean}>|undefined} tokens - توکن‌های خروجی `diffWords`؛ اگر نباشد متن بدون علامت نمایش داده می‌شود.
+   * @param {string} text - متن کامل.
+   * @param {'ltr'|'rtl'} dir - جهت متن.
+   * @param {string} highlightClass - کلاس‌های واژه‌های تغییرکرده.
+   */
+  function renderDiffTokens(element, tokens, text, dir, highlightClass) {
+    element.dir = dir;
+    element.innerHTML = "";
+    if (!tokens) {
+      element.textContent = text;
+      return;
+    }
+    tokens.forEach((token) => {
+      if (!token.changed) {
+        element.append(token.text);
+        return;
+      }
+      const mark = document.createElement("mark");
+      mark.className = `${highlightClass} text-current rounded px-0.5`;
+      mark.textContent = token.text;
+      element.appendChild(mark);
+    });
+  }
+
+  /**
+   * پنل بررسی ترجمه برگشتی را پنهان کرده و ترجمه برگشتی در حال انجام را لغو می‌کند.
+   */
+  function hideVerification() {
+    state.verifyController?.abort();
+    state.verifyController = null;
+    verifyButton.disabled = false;
+    verifyPanel.classList.add("hidden");
+  }
+
+  /**
+   * ظاهر دکمه یک حالت ترجمه (روشن یا خاموش) را به‌روز می‌کند.
+   * @param {HTMLButtonElement} button - دکمه حالت.
+   * @param {boolean} active - آیا حالت روشن است؟
+   */
+  function renderToggleButton(button, active) {
+    button.setAttribute("aria-pressed", String(active));
+    button.classList.toggle("bg-blue-100", active);
+    button.classList.toggle("text-blue-700", active);
+    button.classList.toggle("dark:bg-blue-900/40", active);
+    button.classList.toggle("dark:text-blue-300", active);
+    button.classList.toggle("bg-white", !active);
+    button.classList.toggle("dark:bg-gray-800", !active);
+    button.classList.toggle("text-gray-600", !active);
+    button.classList.toggle("dark:text-gray-300", !active);
+  }
+
+  /**
+   * ظاهر دکمه‌های حالت ترجمه‌های جایگزین و فرهنگ لغت را بر اساس `state.showAlternatives` و `state.dictionaryMode` به‌روز می‌کند.
+   */
+  function renderModeToggles() {
+    renderToggleButton(alternativesToggle, state.showAlternatives);
+    renderToggleButton(dictionaryToggle, state.dictionaryMode);
+  }
+
+  /**
+   * ترجمه‌های مشابه یافت‌شده در حافظه ترجمه را زیر کادر ترجمه به عنوان پیشنهاد نمایش می‌دهد.
+   * متن‌ها ورودی کاربر هستند و با textContent درج می‌شوند.
+   * @param {Array<{item: object, score: number}>} suggestions - پیشنهادها به ترتیب شباهت.
+   */
+  function renderMemorySuggestions(suggestions) {
+    memorySuggestions.innerHTML = "";
+    memorySuggestions.classList.toggle("hidden", suggestions.length === 0);
+    if (suggestions.length === 0) return;
+
+    const title = document.createElement("p");
+    title.className = "text-xs font-semibold text-gray-500 dark:text-gray-400";
+    title.textContent = "ترجمه‌های مشابه در حافظه ترجمه:";
+    memorySuggestions.appendChild(title);
+
+    suggestions.forEach(({ item, score }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.title = "استفاده از این ترجمه";
+      button.className =
+        "w-full text-start bg-gray-50 dark:bg-gray-700/50 lg:hover:bg-gray-100 dark:lg:hover:bg-gray-700 rounded-lg p-2 text-sm transition-colors duration-200";
+      button.innerHTML = `
+        <span class="flex items-center gap-x-2 text-xs text-gray-500 dark:text-gray-400">
+          <span class="flex-shrink-0 font-semibold text-blue-700 dark:text-blue-400">${toPersianDigits(
+            Math.round(score * 100)
+          )}٪</span>
+          <bdi data-field="source" class="truncate"></bdi>
+        </span>
+        <bdi data-field="target" class="block mt-1 text-gray-800 dark:text-gray-200"></bdi>
+      `;
+      button.querySelector('[data-field="source"]').textContent =
+        item.sourceText;
+      button.querySelector('[data-field="target"]').textContent =
+        item.targetText;
+      button.addEventListener("click", () => {
+        if (state.isTranslating) return;
+        targetTextarea.value = item.targetText;
+        translationMeta.textContent = "";
+        memoryBadge.classList.remove("hidden");
+      });
+      memorySuggestions.appendChild(button);
+    });
   }
 
   /**
    * فرآیند اصلی ترجمه متن را مدیریت می‌کند.
    * این تابع حالت بارگذاری را فعال کرده، با API ارتباط برقرار می‌کند، نتیجه را نمایش می‌دهد و آن را در تاریخچه ذخیره می‌کند.
+   * متن‌های بلندتر از حد مجاز یک درخواست، در چند بخش ترجمه و سپس به ترتیب کنار هم قرار می‌گیرند.
+   * اگر ترجمه دقیق همین متن در حافظه ترجمه (تاریخچه) وجود داشته باشد، بدون فراخوانی API نمایش داده می‌شود.
+   * در حالت ترجمه‌های جایگزین (فقط برای متن‌های تک‌بخشی و غیر از زیرنویس)، حافظه ترجمه جستجو نمی‌شود و نتیجه به صورت کارت‌های قابل انتخاب نمایش داده می‌شود.
+   * واژه‌ها و عبارت‌های کوتاه (یا هر متن کوتاه در حالت فرهنگ لغت) به جای ترجمه در فرهنگ لغت جستجو شده و نتیجه به صورت کارت نمایش داده می‌شود.
+   * اگر زبان‌های مقصد دیگری انتخاب شده باشند، متن هم‌زمان به آن‌ها نیز ترجمه می‌شود (به جز زیرنویس‌ها، حالت‌های ترجمه‌های جایگزین و فرهنگ لغت و ادامه بخش‌های ناموفق)؛ حافظه ترجمه برای آن‌ها نیز جستجو می‌شود.
+   * @param {{skipMemory?: boolean}} [options={}] - `skipMemory`: حافظه ترجمه نادیده گرفته شده و متن دوباره ترجمه شود.
    */
-  async function handleTranslation() {
+  async function handleTranslation({ skipMemory = false } = {}) {
     if (state.isTranslating || !sourceTextarea.value.trim()) return;
+    const { chunks, subtitle } = getTranslationJob();
+    if (chunks.length === 0) {
+      showToast("این زیرنویس هیچ متنی برای ترجمه ندارد.", "error");
+      return;
+    }
+    // زیرنویس‌ها همیشه به صورت عادی ترجمه می‌شوند.
+    const useDictionary =
+      state.isLlmProvider &&
+      !subtitle &&
+      (state.dictionaryMode ||
+        (state.autoDictionary &&
+          !state.showAlternatives &&
+          isDictionaryCandidate(sourceTextarea.value)));
+    if (
+      useDictionary &&
+      sourceTextarea.value.trim().length > MAX_DICTIONARY_CHARS
+    ) {
+      showToast(
+        `فرهنگ لغت فقط برای متن‌های حداکثر ${toPersianDigits(
+          MAX_DICTIONARY_CHARS
+        )} نویسه‌ای در دسترس است.`,
+        "error"
+      );
+      return;
+    }
+    const useAlternatives =
+      state.showAlternatives && !subtitle && !useDictionary;
+    if (useAlternatives && chunks.length > 1) {
+      showToast(
+        `ترجمه‌های جایگزین فقط برای متن‌های حداکثر ${toPersianDigits(
+          MAX_CHUNK_CHARS
+        )} نویسه‌ای در دسترس است.`,
+        "error"
+      );
+      return;
+    }
+    const partials = [];
+    state.abortController = new AbortController();
+    const { signal } = state.abortController;
     toggleLoading(true);
     targetTextarea.value = "";
+    translationMeta.textContent = "";
+    glossaryWarning.classList.add("hidden");
+    answerWarning.classList.add("hidden");
+    memoryBadge.classList.add("hidden");
+    memorySuggestions.classList.add("hidden");
+    alternativesList.classList.add("hidden");
+    dictionaryCard.classList.add("hidden");
+    hideVerification();
+    state.subtitleResult = null;
+    downloadSubtitleButton.classList.add("hidden");
     targetTextarea.placeholder =
       state.sourceLang === "auto"
         ? "در حال تشخیص زبان و ترجمه..."
         : "در حال ترجمه...";
 
-    try {
-      const result = await translateText(
-        sourceTextarea.value,
-        state.sourceLang,
-        state.targetLang
-      );
+    // حافظه ترجمه و زبان‌های مقصد دیگر فقط برای شروع یک ترجمه تازه استفاده می‌شوند، نه برای ادامه بخش‌های ناموفق.
+    const isNewJob = chunks.every((chunk) => !chunk.result);
+    const useMemory =
+      state.useTranslationMemory &&
+      !skipMemory &&
+      !useAlternatives &&
+      !useDictionary &&
+      isNewJob;
+    let extraTranslations = null;
 
-      targetTextarea.value = result.translatedText;
+    /**
+     * پیشرفت ترجمه بخش‌ها را (در صورت بیش از یک بخش) زیر کادر ترجمه نمایش می‌دهد.
+     */
+    const renderChunkProgress = () => {
+      if (chunks.length < 2) return;
+      const done = chunks.filter((chunk) => chunk.result).length;
+      translationMeta.textContent = `بخش ${toPersianDigits(
+        done
+      )} از ${toPersianDigits(chunks.length)}`;
+    };
+    renderChunkProgress();
 
-      // اگر API زبان جدیدی را شناسایی و اطلاعات آن را برگرداند، آن را به پایگاه داده اضافه می‌کند.
-      if (result.newLanguageInfo) {
-        await addNewLanguage(result.newLanguageInfo);
+    try {
+      const memory = useMemory
+        ? await lookupTranslationMemory(
+            sourceTextarea.value,
+            state.sourceLang,
+            state.targetLang,
+            state.style
+          )
+        : null;
+      // ترجمه زبان‌های مقصد دیگر پس از جستجوی حافظه و به موازات ترجمه زبان مقصد اصلی انجام می‌شود.
+      // ترجمه‌های جایگزین و مدخل‌های فرهنگ لغت فقط برای زبان مقصد اصلی نمایش داده می‌شوند.
+      if (!subtitle && !useAlternatives && !useDictionary && isNewJob) {
+        extraTranslations = translateExtraTargets(
+          sourceTextarea.value,
+          signal,
+          { useMemory }
+        );
       }
+      if (memory?.exact) {
+        await showTranslationResult(
+          {
+            translatedText: memory.exact.targetText,
+            detectedSourceLanguage: memory.exact.sourceLang,
+            fromMemory: true,
+          },
+          subtitle
+        );
+        return;
+      }
+      renderMemorySuggestions(memory?.suggestions || []);
+
+      // در حالت جریانی، ترجمه جزئی به محض دریافت در کادر مقصد نمایش داده می‌شود.
+      // متن دسته‌های زیرنویس شامل نشانگرهای داخلی است و به صورت جزئی نمایش داده نمی‌شود.
+      const onProgress =
+        state.streamTranslation &&
+        !subtitle &&
+        !useAlternatives &&
+        !useDictionary
+          ? (index, partialText) => {
+              if (signal.aborted) return;
+              loadingSpinner.classList.add("hidden");
+              partials[index] = partialText;
+              renderChunkTranslations(chunks, partials);
+            }
+          : undefined;
 
-      // بررسی می‌کند که زبان شناسایی‌شده در لیست زبان‌های موجود وجود دارد یا خیر.
-      const allLangs = await getAllLanguages();
-      const detectedLangExists = allLangs.some(
-        (l) => l.code === result.detectedSourceLanguage
+      const result = await translateChunks(
+        chunks,
+        state.sourceLang,
+        state.targetLang,
+        {
+          onProgress,
+          onChunkSettled: () => {
+            // بخش‌هایی که پس از لغو به پایان می‌رسند، دیگر نمایش داده نمی‌شوند.
+            if (signal.aborted) return;
+            renderChunkProgress();
+            if (chunks.length > 1 && !subtitle) {
+              renderChunkTranslations(chunks, partials);
+            }
+          },
+          // مقدار خالی یعنی مدل پیش‌فرض تنظیمات استفاده شود.
+          model: modelOverrideSelect.value || undefined,
+          signal,
+          style: state.style,
+          promptTemplate: getCurrentPromptTemplate(),
+          alternatives: useAlternatives,
+          dictionary: useDictionary,
+          extraInstructions: subtitle ? SUBTITLE_INSTRUCTIONS : undefined,
+        }
       );
 
-      // اگر زبان مبدأ به درستی شناسایی شده بود، آن را در UI به‌روز می‌کند.
-      if (result.detectedSourceLanguage && detectedLangExists) {
-        state.sourceLang = result.detectedSourceLanguage;
-        updateUI();
+      // برای زیرنویس، ترجمه دسته‌ها روی کیوها اعمال شده و فایل کامل با همان زمان‌بندی‌ها بازسازی می‌شود.
+      if (subtitle) {
+        await applySubtitleTranslations(
+          subtitle,
+          chunks,
+          result.detectedSourceLanguage || state.sourceLang,
+          state.targetLang,
+          {
+            model: modelOverrideSelect.value || undefined,
+            signal,
+            style: state.style,
+            promptTemplate: getCurrentPromptTemplate(),
+          }
+        );
+        const languages = await getAllLanguages();
+        const rtl =
+          languages.find((l) => l.code === state.targetLang)?.dir === "rtl";
+        result.translatedText = serializeSubtitles(subtitle, { rtl });
       }
-
-      // اگر تنظیم "کپی خودکار" فعال باشد، نتیجه را در کلیپ‌بورد کپی می‌کند.
-      if (state.autoCopyResult && result.translatedText) {
-        if (await copyToClipboard(result.translatedText)) {
-          provideFeedback(copyTargetButton);
-        }
+      if (result.alternatives) await showAlternatives(result);
+      else await showTranslationResult(result, subtitle);
+    } catch (error) {
+      if (error instanceof RequestAbortedError) {
+        // لغو یا پایان مهلت یک خطای سرور نیست و پیام جداگانه خود را دارد.
+        showToast(error.message, "error");
+      } else if (error instanceof KeysLockedError) {
+        // قفل کلیدها (مثلاً به صورت خودکار) بسته شده است.
+        showToast(error.message, "error");
+        showKeysUnlock();
+        unlockKeysInput.focus();
+      } else if (error.failedChunks && error.totalChunks > 1) {
+        // بخش‌های موفق حفظ می‌شوند تا کلیک دوباره روی دکمه ترجمه فقط بخش‌های ناموفق را ترجمه کند.
+        showToast(
+          `ترجمه ${toPersianDigits(
+            error.failedChunks
+          )} بخش از ${toPersianDigits(error.totalChunks)} ناموفق بود: ${
+            error.message
+          } برای ترجمه دوباره همین بخش‌ها، دوباره روی دکمه ترجمه بزنید.`,
+          "error"
+        );
+      } else {
+        // اگر پیش از شکست چند تلاش (با کلیدهای مختلف) انجام شده باشد، تعداد آن نیز اعلام می‌شود.
+        const attemptsNote =
+          error.attempts > 1
+            ? ` (پس از ${toPersianDigits(error.attempts)} تلاش)`
+            : "";
+        showToast(
+          `ترجمه با خطا مواجه شد: ${error.message}${attemptsNote}`,
+          "error"
+        );
       }
 
-      // آیتم ترجمه را به تاریخچه اضافه می‌کند.
-      await addHistoryItem({
-        id: Date.now(),
-        sourceLang: result.detectedSourceLanguage,
-        targetLang: state.targetLang,
-        sourceText: sourceTextarea.value,
-        targetText: result.translatedText,
-      });
-    } catch (error) {
-      showToast(`ترجمه با خطا مواجه شد: ${error.message}`, "error");
-      targetTextarea.placeholder = "ترجمه با خطا مواجه شد.";
+      if (
+        chunks.length > 1 &&
+        !subtitle &&
+        chunks.some((chunk) => chunk.result)
+      ) {
+        // ترجمه بخش‌های موفق نمایش داده می‌شود، اما تا کامل شدن ترجمه در تاریخچه ذخیره نمی‌شود.
+        renderChunkTranslations(chunks, []);
+      } else {
+        // ترجمه ناقصی که در حالت جریانی نمایش داده شده بود، پاک می‌شود.
+        targetTextarea.value = "";
+        targetTextarea.placeholder = "ترجمه با خطا مواجه شد.";
+      }
     } finally {
+      // تا پایان ترجمه زبان‌های دیگر، دکمه لغو فعال می‌ماند اما نتیجه زبان اصلی پوشانده نمی‌شود.
+      loadingSpinner.classList.add("hidden");
+      await extraTranslations;
+      state.abortController = null;
       toggleLoading(false);
-      // اگر ترجمه ناموفق بود، placeholder را به حالت پیش‌فرض برمی‌گرداند.
+      updateTranslateButtonLabel();
+      // اگر ترجمه ناموفق بود (یا هنوز ترجمه جایگزینی انتخاب نشده)، placeholder مناسب را نمایش می‌دهد.
       if (!targetTextarea.value) {
-        targetTextarea.placeholder = "ترجمه در اینجا نمایش داده می‌شود...";
+        targetTextarea.placeholder = alternativesList.classList.contains(
+          "hidden"
+        )
+          ? "ترجمه در اینجا نمایش داده می‌شود..."
+          : "ترجمه انتخاب‌شده در اینجا نمایش داده می‌شود...";
       }
     }
   }
 
+  /**
+   * برچسب دکمه ترجمه را بر اساس وجود بخش‌های ناتمام در کار ترجمه فعلی به‌روز می‌کند.
+   */
+  function updateTranslateButtonLabel() {
+    const job = state.translationJob;
+    const isCurrent = job?.key === getTranslationJobKey();
+    const remaining =
+      isCurrent && job.chunks.length > 1
+        ? job.chunks.filter((chunk) => !chunk.result).length
+        : 0;
+    const resumable = remaining > 0 && job.chunks.some((chunk) => chunk.result);
+    translateButton.textContent = resumable
+      ? `ترجمه بخش‌های باقی‌مانده (${toPersianDigits(remaining)})`
+      : "ترجمه کن";
+  }
+
+  /**
+   * تعداد تلاش‌ها، تعداد بخش‌ها و کلیدی را که در نهایت موفق شد، زیر کادر ترجمه نمایش می‌دهد.
+   * @param {{attempts: number, keyHint: string|null, chunks?: number}} [meta] - اطلاعات درخواست برگردانده‌شده از translateChunks.
+   */
+  function renderTranslationMeta(meta) {
+    if (!meta) return;
+    const chunkCount = meta.chunks || 1;
+    const parts = [];
+    if (chunkCount > 1) parts.push(`${toPersianDigits(chunkCount)} بخش`);
+    if (meta.keyHint) parts.push(`کلید ${meta.keyHint}`);
+    // هر بخش دست‌کم یک تلاش دارد؛ فقط تلاش‌های اضافی (تلاش مجدد) اهمیت دارند.
+    if (meta.attempts > chunkCount) {
+      parts.push(`${toPersianDigits(meta.attempts)} تلاش`);
+    }
+    translationMeta.textContent = parts.join(" · ");
+    translationMeta.dir = "auto";
+  }
+
+  /**
+   * اصطلاحات واژه‌نامه‌ای را که در متن مبدأ آمده‌اند اما معادل اجباری آن‌ها در ترجمه دیده نمی‌شود، زیر کادر ترجمه فهرست می‌کند.
+   * @param {string} sourceText - متن مبدأ.
+   * @param {string} sourceLang - کد زبان مبدأ (در صورت امکان، زبان شناسایی‌شده).
+   * @param {string} translatedText - متن ترجمه‌شده.
+   */
+  async function renderGlossaryWarning(sourceText, sourceLang, translatedText) {
+    const matches = findGlossaryMatches(
+      await getGlossary(),
+      sourceText,
+      sourceLang,
+      state.targetLang
+    );
+    const violations = findGlossaryViolations(matches, translatedText);
+    glossaryWarning.textContent = violations.length
+      ? `واژه‌نامه رعایت نشد: ${violations
+          .map((entry) => `«${entry.sourceTerm}» ← «${entry.targetTerm}»`)
+          .join("، ")}`
+      : "";
+    glossaryWarning.classList.toggle("hidden", violations.length === 0);
+  }
+
+  /**
+   * اگر ترجمه به جای برگردان متن، شبیه پاسخ به آن باشد (مثلاً مدل از دستورات داخل یک ایمیل پیروی کرده باشد)، زیر کادر ترجمه هشدار می‌دهد.
+   * @param {string} sourceText - متن مبدأ؛ رشته خالی یعنی بررسی انجام نشود.
+   * @param {string} translatedText - متن ترجمه‌شده.
+   */
+  function renderAnswerWarning(sourceText, translatedText) {
+    const signs = state.isLlmProvider
+      ? findAnswerSigns(sourceText, translatedText)
+      : [];
+    answerWarning.textContent = signs.length
+      ? `ممکن است مدل به جای ترجمه، به متن پاسخ داده باشد: ${signs.join("، ")}.`
+      : "";
+    answerWarning.classList.toggle("hidden", signs.length === 0);
+  }
+
+  /**
+   * گزینه‌های فهرست‌های لحن، حوزه و مخاطب را پر می‌کند.
+   */
+  function populateStyleOptions() {
+    [
+      [formalitySelect, FORMALITY_OPTIONS],
+      [domainSelect, DOMAIN_OPTIONS],
+      [audienceSelect, AUDIENCE_OPTIONS],
+    ].forEach(([select, options]) => {
+      options.forEach(({ value, label }) =>
+        select.add(new Option(label, value))
+      );
+    });
+    styleNoteInput.maxLength = MAX_STYLE_NOTE_CHARS;
+  }
+
+  /**
+   * گزینه‌های فهرست قالب پرامپت را پر می‌کند؛ اگر قالب سفارشی معتبری وجود نداشته باشد فهرست مخفی می‌ماند.
+   */
+  function populatePromptTemplateOptions() {
+    state.promptTemplates.forEach((template) => {
+      promptTemplateSelect.add(new Option(template.name, template.id));
+    });
+    promptTemplateSelect.classList.toggle(
+      "hidden",
+      state.promptTemplates.length === 0
+    );
+  }
+
+  /**
+   * متن قالب پرامپت انتخاب‌شده برای جفت زبان فعلی را برمی‌گرداند.
+   * @returns {string|undefined} - undefined یعنی قالب پیش‌فرض.
+   */
+  function getCurrentPromptTemplate() {
+    return state.promptTemplates.find(
+      (template) => template.id === state.promptTemplateId
+    )?.body;
+  }
+
+  /**
+   * خلاصه سبک ترجمه (و نام قالب پرامپت سفارشی) را در عنوان بخش سبک نمایش می‌دهد.
+   */
+  function renderStyleSummary() {
+    const templateName = state.promptTemplates.find(
+      (template) => template.id === state.promptTemplateId
+    )?.name;
+    styleSummary.textContent =
+      [describeStyle(state.style), templateName].filter(Boolean).join(" · ") ||
+      "پیش‌فرض";
+  }
+
+  /**
+   * کنترل‌های سبک ترجمه و خلاصه آن را بر اساس `state.style` و `state.promptTemplateId` به‌روز می‌کند.
+   */
+  function renderStyleControls() {
+    styleInputs.forEach((input) => {
+      input.value = state.style[input.dataset.styleKey] || "";
+    });
+    promptTemplateSelect.value = state.promptTemplateId;
+    renderStyleSummary();
+  }
+
+  /**
+   * سبک و قالب پرامپت ذخیره‌شده برای جفت زبان فعلی را بارگذاری و نمایش می‌دهد.
+   * @param {Object} [override] - سبکی که به جای سبک ذخیره‌شده استفاده می‌شود (مثلاً سبک آیتم تاریخچه).
+   */
+  async function loadPairStyle(override) {
+    state.style = override
+      ? normalizeStyle(override)
+      : await getPairStyle(state.sourceLang, state.targetLang);
+    const templateId = await getPairTemplateId(
+      state.sourceLang,
+      state.targetLang
+    );
+    // قالبی که حذف یا نامعتبر شده باشد، با قالب پیش‌فرض جایگزین می‌شود.
+    state.promptTemplateId = state.promptTemplates.some(
+      (template) => template.id === templateId
+    )
+      ? templateId
+      : "";
+    renderStyleControls();
+    updateTranslateButtonLabel();
+  }
+
+  /**
+   * سبک وارد شده در کنترل‌ها را در state قرار داده و برای جفت زبان فعلی ذخیره می‌کند.
+   */
+  async function handleStyleChange() {
+    const style = {};
+    styleInputs.forEach((input) => {
+      style[input.dataset.styleKey] = input.value;
+    });
+    state.style = normalizeStyle(style);
+    renderStyleSummary();
+    updateTranslateButtonLabel();
+    await savePairStyle(state.sourceLang, state.targetLang, state.style);
+  }
+
+  /**
+   * قالب پرامپت انتخاب‌شده را در state قرار داده و برای جفت زبان فعلی ذخیره می‌کند.
+   */
+  async function handlePromptTemplateChange() {
+    state.promptTemplateId = promptTemplateSelect.value;
+    renderStyleSummary();
+    updateTranslateButtonLabel();
+    await savePairTemplateId(
+      state.sourceLang,
+      state.targetLang,
+      state.promptTemplateId
+    );
+  }
+
   /**
    * زبان‌های مبدأ و مقصد و محتوای متنی آن‌ها را با یکدیگر جابجا می‌کند.
    */
@@ -171,11 +1172,13 @@ document.addEventListener("DOMContentLoaded", async () => {
       sourceTextarea.value,
     ];
     updateUI();
+    loadPairStyle();
   }
 
   /**
    * بررسی می‌کند آیا داده‌ای در localStorage برای "استفاده مجدد" (مثلاً از صفحه تاریخچه) وجود دارد یا خیر.
    * اگر وجود داشته باشد، فرم را با آن داده‌ها پر کرده و سپس داده را پاک می‌کند.
+   * @returns {object|null} - آیتم استفاده‌شده یا null.
    */
   function checkForReuseData() {
     const dataToReuse = localStorage.getItem("translationToReuse");
@@ -186,6 +1189,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         targetTextarea.value = item.targetText;
         state.sourceLang = item.sourceLang;
         state.targetLang = item.targetLang;
+        return item;
       } catch (e) {
         console.error("Failed to parse reuse data", e);
       } finally {
@@ -196,12 +1200,15 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   /**
    * مودال انتخاب زبان را باز می‌کند.
-   * @param {'source' | 'target'} context مشخص می‌کند که مودال برای انتخاب زبان مبدأ باز شده یا مقصد.
+   * @param {'source' | 'target' | 'extra'} context مشخص می‌کند که مودال برای انتخاب زبان مبدأ، مقصد یا زبان‌های مقصد دیگر باز شده است.
    */
   async function openLanguageModal(context) {
     state.modalContext = context;
-    langModalTitle.textContent =
-      context === "source" ? "انتخاب زبان مبدأ" : "انتخاب زبان مقصد";
+    langModalTitle.textContent = {
+      source: "انتخاب زبان مبدأ",
+      target: "انتخاب زبان مقصد",
+      extra: "زبان‌های مقصد دیگر",
+    }[context];
     await populateModalOptions();
     langModal.classList.remove("hidden");
   }
@@ -225,10 +1232,17 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     languages.forEach((lang) => {
       // "تشخیص خودکار" نباید برای زبان مقصد نمایش داده شود.
-      if (lang.code === "auto" && state.modalContext === "target") return;
+      if (lang.code === "auto" && state.modalContext !== "source") return;
+      // در انتخاب زبان‌های مقصد دیگر، زبان مقصد اصلی نمایش داده نمی‌شود و چند زبان می‌توانند انتخاب شوند.
+      if (state.modalContext === "extra" && lang.code === state.targetLang) {
+        return;
+      }
 
       const button = document.createElement("button");
-      const isSelected = lang.code === selectedLangCode;
+      const isSelected =
+        state.modalContext === "extra"
+          ? state.extraTargetLangs.includes(lang.code)
+          : lang.code === selectedLangCode;
       button.className = `w-full text-center p-3 rounded-lg font-semibold transition-colors duration-200 ${
         isSelected
           ? "bg-blue-600 text-white"
@@ -244,7 +1258,17 @@ document.addEventListener("DOMContentLoaded", async () => {
    * انتخاب زبان توسط کاربر در مودال را پردازش می‌کند.
    * @param {string} selectedLangCode کد زبان انتخاب شده.
    */
-  function handleLanguageSelection(selectedLangCode) {
+  async function handleLanguageSelection(selectedLangCode) {
+    // زبان‌های مقصد دیگر با هر کلیک اضافه یا حذف می‌شوند و مودال باز می‌ماند.
+    if (state.modalContext === "extra") {
+      state.extraTargetLangs = state.extraTargetLangs.includes(selectedLangCode)
+        ? state.extraTargetLangs.filter((code) => code !== selectedLangCode)
+        : [...state.extraTargetLangs, selectedLangCode];
+      await populateModalOptions();
+      await renderExtraTargetPanels();
+      await saveSetting("extraTargetLangs", state.extraTargetLangs);
+      return;
+    }
     if (state.modalContext === "source") {
       // اگر کاربر زبانی را انتخاب کند که با زبان مقصد یکسان است، زبان‌ها جابجا می‌شوند.
       if (selectedLangCode === state.targetLang) handleSwap();
@@ -254,6 +1278,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       else state.targetLang = selectedLangCode;
     }
     updateUI();
+    loadPairStyle();
     closeLanguageModal();
   }
 
@@ -275,6 +1300,162 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
     targetTextarea.dir = targetLangData?.dir || "ltr";
     updateCharCounter();
+    updateTranslateButtonLabel();
+    await renderExtraTargetPanels();
+  }
+
+  /**
+   * زبان‌های مقصد دیگری را که باید ترجمه شوند برمی‌گرداند؛ زبان‌های مبدأ و مقصد اصلی کنار گذاشته می‌شوند.
+   * @returns {string[]}
+   */
+  function getExtraTargetLangs() {
+    return state.extraTargetLangs.filter(
+      (code) => code !== state.targetLang && code !== state.sourceLang
+    );
+  }
+
+  /**
+   * یک پنل نتیجه برای یک زبان مقصد دیگر (شامل نام زبان، دکمه کپی، کادر ترجمه و وضعیت) می‌سازد.
+   * @returns {{element: HTMLDivElement, name: HTMLElement, textarea: HTMLTextAreaElement, status: HTMLElement}}
+   */
+  function createExtraTargetPanel() {
+    const element = document.createElement("div");
+    element.className = "bg-white dark:bg-gray-800 rounded-2xl";
+    element.innerHTML = `
+      <div class="flex items-center justify-between ps-4 pe-2 pt-2">
+        <h3 data-field="name" class="text-sm font-semibold text-blue-700 dark:text-blue-400"></h3>
+        <button data-action="copy" title="کپی" class="p-2 text-gray-500 dark:text-gray-400 lg:hover:bg-gray-100 dark:lg:hover:bg-gray-700 rounded-lg transition-colors duration-200">
+          <svg class="w-6 h-6" fill="none" stroke="currentColor"><use href="/icons.svg#icon-copy"></use></svg>
+        </button>
+      </div>
+      <textarea rows="5" readonly class="w-full px-4 pb-4 bg-transparent text-base text-justify text-gray-800 dark:text-gray-200 resize-none cursor-default" placeholder="ترجمه در اینجا نمایش داده می‌شود..."></textarea>
+      <p data-field="status" class="hidden px-4 pb-3 text-sm"></p>
+    `;
+    const panel = {
+      element,
+      name: element.querySelector('[data-field="name"]'),
+      textarea: element.querySelector("textarea"),
+      status: element.querySelector('[data-field="status"]'),
+    };
+    const copyButton = element.querySelector('[data-action="copy"]');
+    copyButton.addEventListener("click", async () => {
+      if (await copyToClipboard(panel.textarea.value)) {
+        provideFeedback(copyButton);
+      }
+    });
+    return panel;
+  }
+
+  /**
+   * پنل‌های زبان‌های مقصد دیگر را با انتخاب فعلی هماهنگ می‌کند.
+   * پنل‌های موجود (و ترجمه داخل آن‌ها) حفظ شده و فقط نام، جهت و ترتیب آن‌ها به‌روز می‌شود.
+   */
+  async function renderExtraTargetPanels() {
+    const languages = await getAllLanguages();
+    const codes = getExtraTargetLangs();
+    multiTargetCount.textContent = toPersianDigits(codes.length);
+    multiTargetCount.classList.toggle("hidden", codes.length === 0);
+
+    extraTargetPanels.forEach((panel, code) => {
+      if (codes.includes(code)) return;
+      panel.element.remove();
+      extraTargetPanels.delete(code);
+    });
+    codes.forEach((code) => {
+      if (!extraTargetPanels.has(code)) {
+        extraTargetPanels.set(code, createExtraTargetPanel());
+      }
+      const panel = extraTargetPanels.get(code);
+      const lang = languages.find((l) => l.code === code);
+      panel.name.textContent = lang?.name || code.toUpperCase();
+      panel.textarea.dir = lang?.dir || "ltr";
+      // افزودن دوباره یک عنصر موجود، آن را به انتهای فهرست منتقل می‌کند و ترتیب انتخاب حفظ می‌شود.
+      multiTargetPanels.appendChild(panel.element);
+    });
+  }
+
+  /**
+   * وضعیت یک پنل زبان مقصد دیگر را نمایش یا پنهان می‌کند.
+   * @param {Object} panel - پنل ساخته‌شده توسط `createExtraTargetPanel`.
+   * @param {string} message - پیام وضعیت؛ رشته خالی پیام را پنهان می‌کند.
+   * @param {boolean} [isError=false] - آیا پیام یک خطا است؟
+   */
+  function setExtraPanelStatus(panel, message, isError = false) {
+    panel.status.textContent = message;
+    panel.status.classList.toggle("hidden", !message);
+    panel.status.classList.toggle("text-red-600", isError);
+    panel.status.classList.toggle("dark:text-red-400", isError);
+    panel.status.classList.toggle("text-gray-500", !isError);
+    panel.status.classList.toggle("dark:text-gray-400", !isError);
+  }
+
+  /**
+   * متن مبدأ را به صورت موازی به همه زبان‌های مقصد دیگر ترجمه کرده و نتیجه هر زبان را در پنل آن نمایش می‌دهد.
+   * درخواست‌ها مانند بخش‌های یک متن بلند بین کلیدهای ذخیره‌شده چرخش می‌کنند و هر زبان آیتم تاریخچه جداگانه‌ای دارد.
+   * خطای یک زبان فقط در پنل همان زبان نمایش داده می‌شود؛ بنابراین این تابع هرگز رد نمی‌شود.
+   * @param {string} text - متن مبدأ.
+   * @param {AbortSignal} signal - سیگنال لغو ترجمه.
+   * @param {{useMemory: boolean}} options - `useMemory`: ترجمه دقیق موجود در حافظه ترجمه بدون فراخوانی API نمایش داده شود.
+   * @returns {Promise<void>}
+   */
+  async function translateExtraTargets(text, signal, { useMemory }) {
+    const sourceLang = state.sourceLang;
+    const model = modelOverrideSelect.value || undefined;
+    await Promise.all(
+      getExtraTargetLangs().map(async (targetLang) => {
+        const panel = extraTargetPanels.get(targetLang);
+        panel.textarea.value = "";
+        setExtraPanelStatus(panel, "در حال ترجمه...");
+        try {
+          // هر جفت زبان سبک و قالب پرامپت ذخیره‌شده خود را دارد.
+          const style = await getPairStyle(sourceLang, targetLang);
+          const promptTemplate = state.isLlmProvider
+            ? await getPairPromptTemplate(sourceLang, targetLang)
+            : undefined;
+          const memory = useMemory
+            ? await lookupTranslationMemory(text, sourceLang, targetLang, style)
+            : null;
+          if (memory?.exact) {
+            panel.textarea.value = memory.exact.targetText;
+            setExtraPanelStatus(panel, "از حافظه ترجمه");
+            return;
+          }
+          const result = await translateChunks(
+            splitTextIntoChunks(text),
+            sourceLang,
+            targetLang,
+            { model, signal, style, promptTemplate }
+          );
+          panel.textarea.value = result.translatedText;
+          setExtraPanelStatus(panel, "");
+          await addHistoryItem({
+            id: createHistoryId(),
+            sourceLang: result.detectedSourceLanguage,
+            targetLang,
+            sourceText: text,
+            targetText: result.translatedText,
+            style,
+          });
+        } catch (error) {
+          setExtraPanelStatus(
+            panel,
+            error instanceof RequestAbortedError
+              ? error.message
+              : `ترجمه با خطا مواجه شد: ${error.message}`,
+            true
+          );
+        }
+      })
+    );
+  }
+
+  /**
+   * یک شناسه یکتا (بر پایه زمان) برای آیتم جدید تاریخچه می‌سازد.
+   * @returns {number}
+   */
+  function createHistoryId() {
+    lastHistoryId = Math.max(Date.now(), lastHistoryId + 1);
+    return lastHistoryId;
   }
 
   /**
@@ -321,10 +1502,20 @@ document.addEventListener("DOMContentLoaded", async () => {
    */
   function updateCharCounter() {
     const count = sourceTextarea.value.length;
-    charCounter.textContent = `${toPersianDigits(count)} / ${toPersianDigits(
-      MAX_CHARS
-    )}`;
-    charCounter.classList.toggle("text-red-500", count > MAX_CHARS);
+    if (detectSubtitleFormat(sourceTextarea.value)) {
+      const cueCount = parseSubtitles(sourceTextarea.value).cues.length;
+      charCounter.textContent = `${toPersianDigits(count)} · ${toPersianDigits(
+        cueCount
+      )} زیرنویس`;
+      return;
+    }
+    // متن‌های بلندتر از حد یک درخواست رد نمی‌شوند؛ تعداد بخش‌هایی که جداگانه ترجمه می‌شوند نمایش داده می‌شود.
+    charCounter.textContent =
+      count > MAX_CHUNK_CHARS
+        ? `${toPersianDigits(count)} · ${toPersianDigits(
+            splitTextIntoChunks(sourceTextarea.value).length
+          )} بخش`
+        : `${toPersianDigits(count)} / ${toPersianDigits(MAX_CHUNK_CHARS)}`;
   }
 
   /**
@@ -334,6 +1525,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   function toggleLoading(isLoading) {
     state.isTranslating = isLoading;
     translateButton.disabled = isLoading;
+    cancelButton.classList.toggle("hidden", !isLoading);
     loadingSpinner.classList.toggle("hidden", !isLoading);
   }
 
@@ -354,7 +1546,63 @@ document.addEventListener("DOMContentLoaded", async () => {
   // --- ثبت Event Listeners برای تعاملات کاربر ---
 
   // کلیک روی دکمه "ترجمه کن"
-  translateButton.addEventListener("click", handleTranslation);
+  translateButton.addEventListener("click", () => handleTranslation());
+
+  // باز کردن قفل کلیدهای رمزشده API
+  apiKeyUnlockForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    unlockKeys();
+  });
+  // پس از قفل خودکار، فرم باز کردن قفل بدون نیاز به بارگذاری دوباره صفحه نمایش داده می‌شود.
+  onVaultAutoLock(() => {
+    if (!state.usesStoredKeys) return;
+    showKeysUnlock();
+    translateButton.disabled = true;
+  });
+
+  // ترجمه دوباره متنی که از حافظه ترجمه نمایش داده شده است، با فراخوانی سرویس
+  memoryBadge.addEventListener("click", () =>
+    handleTranslation({ skipMemory: true })
+  );
+
+  // لغو ترجمه در حال انجام
+  cancelButton.addEventListener("click", () => {
+    state.abortController?.abort();
+  });
+
+  // تغییر مدل، کار ترجمه ناتمام قبلی را بی‌اعتبار می‌کند.
+  modelOverrideSelect.addEventListener("change", updateTranslateButtonLabel);
+
+  // بررسی ترجمه با ترجمه برگشتی و بستن پنل نتیجه آن
+  verifyButton.addEventListener("click", handleVerify);
+  verifyCloseButton.addEventListener("click", hideVerification);
+
+  // روشن یا خاموش کردن حالت ترجمه‌های جایگزین؛ این حالت و حالت فرهنگ لغت با هم قابل استفاده نیستند و روشن کردن یکی، دیگری را خاموش می‌کند.
+  alternativesToggle.addEventListener("click", async () => {
+    state.showAlternatives = !state.showAlternatives;
+    if (state.showAlternatives) state.dictionaryMode = false;
+    renderModeToggles();
+    await saveSetting("showAlternatives", state.showAlternatives);
+    await saveSetting("dictionaryMode", state.dictionaryMode);
+  });
+
+  // روشن یا خاموش کردن حالت فرهنگ لغت
+  dictionaryToggle.addEventListener("click", async () => {
+    state.dictionaryMode = !state.dictionaryMode;
+    if (state.dictionaryMode) state.showAlternatives = false;
+    renderModeToggles();
+    await saveSetting("dictionaryMode", state.dictionaryMode);
+    await saveSetting("showAlternatives", state.showAlternatives);
+  });
+
+  // تغییر سبک ترجمه؛ یادداشت سبک هنگام تایپ و فهرست‌ها هنگام انتخاب ذخیره می‌شوند.
+  styleInputs.forEach((input) => {
+    input.addEventListener(
+      input.tagName === "SELECT" ? "change" : "input",
+      handleStyleChange
+    );
+  });
+  promptTemplateSelect.addEventListener("change", handlePromptTemplateChange);
 
   // کلیک روی دکمه جابجایی زبان‌ها
   swapButton.addEventListener("click", handleSwap);
@@ -362,6 +1610,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // تایپ کردن در ناحیه متن مبدأ
   sourceTextarea.addEventListener("input", async () => {
     updateCharCounter();
+    updateTranslateButtonLabel();
     const langNames = await getLangNames();
     // اگر متن پاک شود، زبان مبدأ به حالت "تشخیص خودکار" برمی‌گردد.
     if (!sourceTextarea.value.trim() && langNames[state.sourceLang]) {
@@ -373,6 +1622,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   // باز کردن مودال انتخاب زبان مبدأ و مقصد
   sourceLangButton.addEventListener("click", () => openLanguageModal("source"));
   targetLangButton.addEventListener("click", () => openLanguageModal("target"));
+  multiTargetButton.addEventListener("click", () => openLanguageModal("extra"));
 
   // بستن مودال با کلیک روی دکمه بستن یا پس‌زمینه
   langModalCloseButton.addEventListener("click", closeLanguageModal);
@@ -396,8 +1646,25 @@ document.addEventListener("DOMContentLoaded", async () => {
   clearButton.addEventListener("click", () => {
     sourceTextarea.value = "";
     targetTextarea.value = "";
+    translationMeta.textContent = "";
+    glossaryWarning.classList.add("hidden");
+    answerWarning.classList.add("hidden");
+    memoryBadge.classList.add("hidden");
+    memorySuggestions.classList.add("hidden");
+    alternativesList.classList.add("hidden");
+    dictionaryCard.classList.add("hidden");
+    hideVerification();
+    targetTextarea.placeholder = "ترجمه در اینجا نمایش داده می‌شود...";
+    extraTargetPanels.forEach((panel) => {
+      panel.textarea.value = "";
+      setExtraPanelStatus(panel, "");
+    });
+    state.subtitleFileName = null;
+    state.subtitleResult = null;
+    downloadSubtitleButton.classList.add("hidden");
     state.sourceLang = "auto";
     updateUI();
+    loadPairStyle();
   });
 
   // جایگذاری متن از کلیپ‌بورد و ترجمه خودکار در صورت فعال بودن
@@ -413,6 +1680,7 @@ document.addEventListener("DOMContentLoaded", async () => {
       const text = await navigator.clipboard.readText();
       sourceTextarea.value = text;
       updateCharCounter();
+      updateTranslateButtonLabel();
       if (state.autoTranslateOnPaste && text && state.apiKeysAvailable)
         handleTranslation();
     } catch (err) {
@@ -423,6 +1691,47 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // بارگذاری فایل زیرنویس در کادر متن مبدأ
+  uploadSubtitleButton.addEventListener("click", () =>
+    subtitleFileInput.click()
+  );
+  subtitleFileInput.addEventListener("change", async () => {
+    const file = subtitleFileInput.files[0];
+    // مقدار ورودی پاک می‌شود تا انتخاب دوباره همان فایل نیز رویداد change ایجاد کند.
+    subtitleFileInput.value = "";
+    if (!file || state.isTranslating) return;
+    try {
+      const content = await file.text();
+      if (!detectSubtitleFormat(content)) {
+        showToast(
+          "فایل انتخاب‌شده یک زیرنویس معتبر SRT یا WebVTT نیست.",
+          "error"
+        );
+        return;
+      }
+      sourceTextarea.value = content;
+      targetTextarea.value = "";
+      state.subtitleFileName = file.name;
+      updateCharCounter();
+      updateTranslateButtonLabel();
+    } catch (error) {
+      console.error("Failed to read subtitle file:", error);
+      showToast("خواندن فایل زیرنویس با خطا مواجه شد.", "error");
+    }
+  });
+
+  // دانلود زیرنویس ترجمه‌شده
+  downloadSubtitleButton.addEventListener("click", () => {
+    if (!state.subtitleResult) return;
+    const { content, format, targetLang } = state.subtitleResult;
+    downloadSubtitle(
+      content,
+      format,
+      state.subtitleFileName || "subtitle",
+      targetLang
+    );
+  });
+
   // کپی کردن متن مبدأ
   copySourceButton.addEventListener("click", async () => {
     if (sourceTextarea.value) {
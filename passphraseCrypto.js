@@ -0,0 +1,198 @@
+/**
+ * @file passphraseCrypto.js
+ * خلاصه یک‌خطی: این ماژول داده‌ها را با یک عبارت عبور (رمز عبور) و با استفاده از WebCrypto رمزگذاری و رمزگشایی می‌کند.
+ * Dependencies: None
+ * NOTE: Internal. کلید رمزگذاری با PBKDF2 (SHA-256) از عبارت عبور ساخته می‌شود و داده با AES-GCM رمزگذاری می‌شود؛ نمک، بردار اولیه و متن رمزشده به صورت base64 ذخیره می‌شوند.
+ */
+
+// تعداد تکرارهای PBKDF2؛ هرچه بیشتر باشد، حدس زدن عبارت عبور کندتر است.
+const PBKDF2_ITERATIONS = 310000;
+// نام روش ساخت کلید که همراه داده‌های رمزشده ذخیره می‌شود.
+const KDF_NAME = "PBKDF2-SHA256";
+// طول نمک (salt) و بردار اولیه (IV) به بایت.
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * آرایه بایت را به رشته base64 تبدیل می‌کند.
+ * @param {Uint8Array} bytes - بایت‌ها.
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * رشته base64 را به آرایه بایت تبدیل می‌کند.
+ * @param {string} base64 - رشته base64.
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * کلید AES-GCM را با PBKDF2 از عبارت عبور می‌سازد.
+ * کلید به صورت پیش‌فرض قابل استخراج نیست؛ کلیدی که باید با `wrapKey` برای نشست نگه داشته شود با `extractable` ساخته می‌شود.
+ * @param {string} passphrase - عبارت عبور.
+ * @param {{salt?: string, iterations?: number, extractable?: boolean}} [options={}] - نمک (base64) و تعداد تکرارهای یک کلید موجود؛ بدون آن‌ها نمک تازه ساخته می‌شود.
+ * @returns {Promise<{key: CryptoKey, salt: string, iterations: number}>}
+ */
+async function deriveKeyFromPassphrase(
+  passphrase,
+  {
+    salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES))),
+    iterations = PBKDF2_ITERATIONS,
+    extractable = false,
+  } = {}
+) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  const key = await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: base64ToBytes(salt), iterations },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+  return { key, salt, iterations };
+}
+
+/**
+ * یک کلید غیرقابل استخراج برای رمزگذاری (wrap) کلیدهای دیگر می‌سازد.
+ * @returns {Promise<CryptoKey>}
+ */
+async function generateWrappingKey() {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, [
+    "wrapKey",
+    "unwrapKey",
+  ]);
+}
+
+/**
+ * یک کلید AES-GCM قابل استخراج را با کلید رمزگذاری کلید رمزگذاری می‌کند.
+ * @param {CryptoKey} key - کلیدی که باید رمزگذاری شود.
+ * @param {CryptoKey} wrappingKey - کلید ساخته‌شده با `generateWrappingKey`.
+ * @returns {Promise<{iv: string, wrappedKey: string}>}
+ */
+async function wrapKey(key, wrappingKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const wrappedKey = await crypto.subtle.wrapKey("raw", key, wrappingKey, {
+    name: "AES-GCM",
+    iv,
+  });
+  return {
+    iv: bytesToBase64(iv),
+    wrappedKey: bytesToBase64(new Uint8Array(wrappedKey)),
+  };
+}
+
+/**
+ * کلیدی را که با `wrapKey` رمزگذاری شده به صورت کلید غیرقابل استخراج بازمی‌گرداند.
+ * @param {{iv: string, wrappedKey: string}} payload - کلید رمزشده.
+ * @param {CryptoKey} wrappingKey - کلید رمزگذاری کلید.
+ * @returns {Promise<CryptoKey>}
+ */
+async function unwrapKey(payload, wrappingKey) {
+  return crypto.subtle.unwrapKey(
+    "raw",
+    base64ToBytes(payload.wrappedKey),
+    wrappingKey,
+    { name: "AES-GCM", iv: base64ToBytes(payload.iv) },
+    { name: "AES-GCM" },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * یک مقدار قابل تبدیل به JSON را با کلید داده‌شده رمزگذاری می‌کند.
+ * @param {*} data - داده‌ای که باید رمزگذاری شود.
+ * @param {CryptoKey} key - کلید AES-GCM.
+ * @returns {Promise<{iv: string, ciphertext: string}>}
+ */
+async function encryptWithKey(data, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+  return {
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+  };
+}
+
+/**
+ * بسته‌ای را که با `encryptWithKey` ساخته شده رمزگشایی می‌کند.
+ * @param {{iv: string, ciphertext: string}} payload - بسته رمزشده.
+ * @param {CryptoKey} key - کلید AES-GCM.
+ * @returns {Promise<*>} - داده اصلی.
+ * @throws {Error} - اگر کلید نادرست یا بسته آسیب‌دیده باشد.
+ */
+async function decryptWithKey(payload, key) {
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(payload.iv) },
+      key,
+      base64ToBytes(payload.ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    console.error("Failed to decrypt payload:", error);
+    throw new Error("رمز عبور نادرست است یا داده رمزشده آسیب دیده است.");
+  }
+}
+
+/**
+ * یک مقدار قابل تبدیل به JSON را با عبارت عبور رمزگذاری می‌کند.
+ * @param {*} data - داده‌ای که باید رمزگذاری شود.
+ * @param {string} passphrase - عبارت عبور.
+ * @returns {Promise<{kdf: string, iterations: number, salt: string, iv: string, ciphertext: string}>} - بسته رمزشده که همه چیز جز عبارت عبور را برای رمزگشایی دارد.
+ */
+async function encryptWithPassphrase(data, passphrase) {
+  const { key, salt, iterations } = await deriveKeyFromPassphrase(passphrase);
+  return {
+    kdf: KDF_NAME,
+    iterations,
+    salt,
+    ...(await encryptWithKey(data, key)),
+  };
+}
+
+/**
+ * بسته‌ای را که با `encryptWithPassphrase` ساخته شده رمزگشایی می‌کند.
+ * @param {{iterations: number, salt: string, iv: string, ciphertext: string}} payload - بسته رمزشده.
+ * @param {string} passphrase - عبارت عبور.
+ * @returns {Promise<*>} - داده اصلی.
+ * @throws {Error} - اگر عبارت عبور نادرست یا بسته آسیب‌دیده باشد.
+ */
+async function decryptWithPassphrase(payload, passphrase) {
+  const { key } = await deriveKeyFromPassphrase(passphrase, {
+    salt: payload.salt,
+    iterations: payload.iterations,
+  });
+  return decryptWithKey(payload, key);
+}
+
+export {
+  KDF_NAME,
+  deriveKeyFromPassphrase,
+  generateWrappingKey,
+  wrapKey,
+  unwrapKey,
+  encryptWithKey,
+  decryptWithKey,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+};
@@ -0,0 +1,596 @@
+/**
+ * @file providers.js
+ * خلاصه یک‌خطی: این ماژول لایه ارائه‌دهندگان (providers) ترجمه را تعریف می‌کند تا translateText به یک سرویس خاص وابسته نباشد.
+ * Dependencies: ./db.js, ./httpErrors.js, ./keyVaultSession.js
+ * NOTE: Internal. هر ارائه‌دهنده فقط مسئول انتقال درخواست (transport) است؛ ساخت پرامپت و پردازش JSON در api.js انجام می‌شود.
+ * Comments updated by AI: 2025-11-11
+ */
+import { getSetting } from "./db.js";
+import { ApiError, NetworkError, getErrorMessage } from "./httpErrors.js";
+import { decryptApiKey } from "./keyVaultSession.js";
+
+// شناسه ارائه‌دهنده پیش‌فرض در صورتی که کاربر ارائه‌دهنده‌ای انتخاب نکرده باشد.
+const DEFAULT_PROVIDER_ID = "gemini";
+
+// دسته‌بندی‌های محتوای آسیب‌زا که آستانه ایمنی انتخاب‌شده توسط کاربر روی همه آن‌ها اعمال می‌شود.
+const GEMINI_HARM_CATEGORIES = [
+  "HARM_CATEGORY_HARASSMENT",
+  "HARM_CATEGORY_HATE_SPEECH",
+  "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+  "HARM_CATEGORY_DANGEROUS_CONTENT",
+];
+
+/**
+ * آستانه‌های ایمنی قابل انتخاب برای Gemini به همراه برچسب فارسی آن‌ها.
+ * مقدار خالی یعنی از پیش‌فرض خود API استفاده شود.
+ * @type {Array<{value: string, label: string}>}
+ */
+const SAFETY_THRESHOLDS = [
+  { value: "", label: "پیش‌فرض سرویس" },
+  { value: "BLOCK_NONE", label: "بدون مسدودسازی" },
+  { value: "BLOCK_ONLY_HIGH", label: "فقط موارد با احتمال بالا" },
+  { value: "BLOCK_MEDIUM_AND_ABOVE", label: "احتمال متوسط و بالاتر" },
+  { value: "BLOCK_LOW_AND_ABOVE", label: "احتمال کم و بالاتر" },
+];
+
+/**
+ * زمان انتظار پیشنهادی سرور پیش از تلاش مجدد را استخراج می‌کند.
+ * ابتدا هدر `Retry-After` (ثانیه یا تاریخ HTTP) و سپس فیلد `retryDelay` در جزئیات خطای Google (مانند "12s") بررسی می‌شود.
+ * @param {Response} response - پاسخ ناموفق.
+ * @param {object|null} errorData - بدنه JSON پاسخ در صورت وجود.
+ * @returns {number|null} - زمان انتظار به میلی‌ثانیه یا null اگر سرور زمانی پیشنهاد نکرده باشد.
+ */
+function parseRetryAfter(response, errorData) {
+  const header = response.headers.get("Retry-After");
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const retryDelay = errorData?.error?.details?.find?.(
+    (detail) => detail.retryDelay
+  )?.retryDelay;
+  const seconds = parseFloat(retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * پاسخ ناموفق HTTP را به یک خطای کاربرپسند تبدیل می‌کند.
+ * جزئیات فنی خطا (در صورت وجود در بدنه پاسخ) فقط در کنسول ثبت می‌شود.
+ * @param {Response} response - پاسخ ناموفق دریافت‌شده از fetch.
+ * @returns {Promise<never>}
+ * @throws {ApiError} - همیشه خطایی با پیام کاربرپسند، کد وضعیت و زمان انتظار پیشنهادی پرتاب می‌کند.
+ */
+async function throwResponseError(response) {
+  const statusCode = response.status;
+  const userFriendlyMessage = getErrorMessage(statusCode);
+  let apiSpecificMessage =
+    "No specific details could be read from the API response.";
+  let errorData = null;
+
+  try {
+    // تلاش برای خواندن جزئیات بیشتر خطا از بدنه پاسخ API.
+    // Gemini و سرویس‌های سازگار با OpenAI خطا را به صورت شیء و LibreTranslate به صورت رشته برمی‌گردانند.
+    errorData = await response.json();
+    apiSpecificMessage =
+      errorData.error?.message ||
+      (typeof errorData.error === "string" && errorData.error) ||
+      apiSpecificMessage;
+  } catch (e) {
+    // ممکن است بدنه پاسخ JSON معتبر نباشد که اشکالی ندارد.
+    // پیام خطای API همان مقدار پیش‌فرض باقی می‌ماند.
+  }
+
+  console.error(
+    `API Error: Status ${statusCode} | Details: ${apiSpecificMessage}`
+  );
+
+  // پرتاب خطا با پیام کاربرپسند که در رابط کاربری نمایش داده خواهد شد.
+  // Gemini علت خطا (مثلاً نامعتبر بودن کلید با کد 400) را در جزئیات ErrorInfo اعلام می‌کند.
+  const reason =
+    errorData?.error?.details?.find?.((detail) => detail.reason)?.reason ||
+    null;
+  throw new ApiError(
+    statusCode,
+    userFriendlyMessage,
+    parseRetryAfter(response, errorData),
+    reason
+  );
+}
+
+/**
+ * خطای شبکه fetch (که به صورت TypeError پرتاب می‌شود) را به NetworkError تبدیل می‌کند؛ خطاهای دیگر بدون تغییر برگردانده می‌شوند.
+ * @param {Error} error - خطای رخ‌داده هنگام ارسال درخواست یا خواندن پاسخ.
+ * @returns {Error}
+ */
+function toNetworkError(error) {
+  return error instanceof TypeError ? new NetworkError(error) : error;
+}
+
+/**
+ * یک درخواست HTTP ارسال می‌کند و خطای شبکه آن را به NetworkError تبدیل می‌کند.
+ * @param {string} url - نشانی درخواست.
+ * @param {RequestInit} [options] - تنظیمات درخواست.
+ * @returns {Promise<Response>}
+ * @throws {NetworkError} - اگر درخواست به دلیل مشکل شبکه ناموفق باشد.
+ */
+async function sendRequest(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    throw toNetworkError(error);
+  }
+}
+
+/**
+ * بدنه یک پاسخ Server-Sent Events را خوانده و داده هر رویداد را به تابع callback می‌دهد.
+ * @param {Response} response - پاسخ موفق از یک نقطه پایانی جریانی.
+ * @param {function(string): void} onData - با محتوای فیلد `data` هر رویداد فراخوانی می‌شود.
+ * @returns {Promise<void>}
+ */
+async function readEventStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let pending = "";
+
+  /**
+   * یک رویداد کامل SSE را پردازش می‌کند.
+   * @param {string} event - متن خام یک رویداد SSE.
+   */
+  const handleEvent = (event) => {
+    const data = event
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("");
+    if (data) onData(data);
+  };
+
+  while (true) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      throw toNetworkError(error);
+    }
+    const { done, value } = chunk;
+    if (done) break;
+    pending += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+
+    // رویدادهای SSE با یک خط خالی از هم جدا می‌شوند.
+    let boundary;
+    while ((boundary = pending.indexOf("\n\n")) !== -1) {
+      handleEvent(pending.slice(0, boundary));
+      pending = pending.slice(boundary + 2);
+    }
+  }
+  if (pending.trim()) handleEvent(pending);
+}
+
+/**
+ * داده JSON یک رویداد جریانی را پارس کرده و در صورت بروز خطا null برمی‌گرداند.
+ * @param {string} data - محتوای فیلد `data` رویداد.
+ * @returns {object|null}
+ */
+function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    console.error("Failed to parse stream event:", data);
+    return null;
+  }
+}
+
+/**
+ * آدرس پایه را بدون اسلش انتهایی برمی‌گرداند تا مسیرها به درستی به آن اضافه شوند.
+ * @param {string} baseUrl - آدرس پایه سرویس.
+ * @returns {string}
+ */
+function trimBaseUrl(baseUrl) {
+  return baseUrl.replace(/\/+$/, "");
+}
+
+/**
+ * پارامترهای تولید ذخیره‌شده توسط کاربر را به فیلدهای `generationConfig` و `safetySettings` در Gemini تبدیل می‌کند.
+ * پارامترهای تنظیم‌نشده ارسال نمی‌شوند تا مقدار پیش‌فرض مدل استفاده شود.
+ * @param {object} [generation={}] - پارامترهای تولید (temperature، maxOutputTokens، thinkingBudget، safetyThreshold).
+ * @returns {{generationConfig?: object, safetySettings?: Array<object>}}
+ */
+function buildGeminiGenerationFields(generation = {}) {
+  const fields = {};
+  const generationConfig = {};
+  if (Number.isFinite(generation.temperature)) {
+    generationConfig.temperature = generation.temperature;
+  }
+  if (Number.isFinite(generation.maxOutputTokens)) {
+    generationConfig.maxOutputTokens = generation.maxOutputTokens;
+  }
+  if (Number.isFinite(generation.thinkingBudget)) {
+    generationConfig.thinkingConfig = {
+      thinkingBudget: generation.thinkingBudget,
+    };
+  }
+  if (Object.keys(generationConfig).length > 0) {
+    fields.generationConfig = generationConfig;
+  }
+  if (generation.safetyThreshold) {
+    fields.safetySettings = GEMINI_HARM_CATEGORIES.map((category) => ({
+      category,
+      threshold: generation.safetyThreshold,
+    }));
+  }
+  return fields;
+}
+
+/**
+ * بدنه درخواست generateContent را از دستورالعمل‌ها، متن مبدأ، پارامترهای تولید و ساختار پاسخ می‌سازد.
+ * دستورالعمل‌ها به صورت دستورالعمل سیستمی و متن مبدأ به صورت تنها بخش پیام کاربر ارسال می‌شوند.
+ * @param {string} instructions - دستورالعمل‌های مدل.
+ * @param {string} text - متن مبدأ.
+ * @param {object} [generation] - پارامترهای تولید ذخیره‌شده توسط کاربر.
+ * @param {object} [responseSchema] - ساختار پاسخ JSON (در صورت وجود).
+ * @returns {object}
+ */
+function buildGeminiRequestBody(
+  instructions,
+  text,
+  generation,
+  responseSchema
+) {
+  const { generationConfig = {}, ...fields } =
+    buildGeminiGenerationFields(generation);
+  if (responseSchema) {
+    generationConfig.responseMimeType = "application/json";
+    generationConfig.responseSchema = responseSchema;
+  }
+  const body = {
+    systemInstruction: { parts: [{ text: instructions }] },
+    contents: [{ role: "user", parts: [{ text }] }],
+    ...fields,
+  };
+  if (Object.keys(generationConfig).length > 0) {
+    body.generationConfig = generationConfig;
+  }
+  return body;
+}
+
+/**
+ * ارائه‌دهنده Google Gemini.
+ * از مجموعه کلیدهای API ذخیره‌شده (به صورت چرخشی) استفاده می‌کند.
+ */
+const geminiProvider = {
+  id: "gemini",
+  name: "Google Gemini",
+  kind: "llm",
+  usesKeyPool: true,
+  defaultBaseUrl: "https://generativelanguage.googleapis.com/v1beta",
+  defaultModel: "gemini-2.5-pro",
+  knownModels: [
+    "gemini-2.5-pro",
+    "gemini-2.5-flash",
+    "gemini-2.5-flash-lite",
+    "gemini-2.0-flash",
+  ],
+
+  /**
+   * فهرست مدل‌هایی را که از تولید محتوا پشتیبانی می‌کنند از نقطه پایانی models دریافت می‌کند.
+   * @param {object} request
+   * @param {string} request.apiKey - کلید API.
+   * @param {{baseUrl: string}} request.config - پیکربندی ارائه‌دهنده.
+   * @returns {Promise<string[]>} - نام مدل‌ها بدون پیشوند `models/`.
+   */
+  async listModels({ apiKey, config }) {
+    const response = await sendRequest(
+      `${trimBaseUrl(config.baseUrl)}/models?pageSize=1000&key=${apiKey}`
+    );
+    if (!response.ok) await throwResponseError(response);
+    const data = await response.json();
+    return (data.models || [])
+      .filter((model) =>
+        model.supportedGenerationMethods?.includes("generateContent")
+      )
+      .map((model) => model.name.replace(/^models\//, ""));
+  },
+
+  /**
+   * دستورالعمل‌ها و متن مبدأ را به مدل Gemini ارسال کرده و متن تولیدشده را برمی‌گرداند.
+   * @param {object} request
+   * @param {string} request.instructions - دستورالعمل‌های مدل (دستورالعمل سیستمی).
+   * @param {string} request.text - متن مبدأ که جدا از دستورالعمل‌ها ارسال می‌شود.
+   * @param {string} request.apiKey - کلید API.
+   * @param {{baseUrl: string, model: string, generation: object}} request.config - پیکربندی ارائه‌دهنده.
+   * @param {function(string): void} [request.onText] - در صورت وجود، پاسخ به صورت جریانی دریافت و متن تجمعی به آن داده می‌شود.
+   * @param {object} [request.responseSchema] - ساختار پاسخ JSON؛ در صورت وجود، مدل ملزم به تولید JSON مطابق آن می‌شود.
+   * @param {AbortSignal} [request.signal] - سیگنال لغو درخواست.
+   * @returns {Promise<string|undefined>} - متن خام تولیدشده توسط مدل.
+   */
+  async generate({
+    instructions,
+    text,
+    apiKey,
+    config,
+    onText,
+    responseSchema,
+    signal,
+  }) {
+    const modelUrl = `${trimBaseUrl(config.baseUrl)}/models/${config.model}`;
+    // نقطه پایانی جریانی پاسخ را به صورت رویدادهای SSE ارسال می‌کند.
+    const url = onText
+      ? `${modelUrl}:streamGenerateContent?alt=sse&key=${apiKey}`
+      : `${modelUrl}:generateContent?key=${apiKey}`;
+
+    const response = await sendRequest(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(
+        buildGeminiRequestBody(
+          instructions,
+          text,
+          config.generation,
+          responseSchema
+        )
+      ),
+      signal,
+    });
+    if (!response.ok) await throwResponseError(response);
+
+    if (!onText) {
+      const data = await response.json();
+      // استخراج متن از ساختار پیچیده پاسخ API.
+      const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!generatedText) {
+        console.error("Invalid response structure from API:", data);
+      }
+      return generatedText;
+    }
+
+    let fullText = "";
+    await readEventStream(response, (data) => {
+      const chunk =
+        parseEventData(data)?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (chunk) {
+        fullText += chunk;
+        onText(fullText);
+      }
+    });
+    return fullText;
+  },
+};
+
+/**
+ * ارائه‌دهنده سازگار با OpenAI (نقطه پایانی chat/completions).
+ * سرورهای محلی مانند Ollama و LM Studio را نیز پوشش می‌دهد و امکان کار کاملاً آفلاین را فراهم می‌کند.
+ */
+const openAiCompatibleProvider = {
+  id: "openai",
+  name: "سازگار با OpenAI (Ollama، LM Studio و ...)",
+  kind: "llm",
+  usesKeyPool: false,
+  defaultBaseUrl: "http://localhost:11434/v1",
+  defaultModel: "",
+  knownModels: [],
+
+  /**
+   * فهرست مدل‌های موجود را از نقطه پایانی /models دریافت می‌کند.
+   * @param {object} request
+   * @param {string} [request.apiKey] - کلید API (اختیاری).
+   * @param {{baseUrl: string}} request.config - پیکربندی ارائه‌دهنده.
+   * @returns {Promise<string[]>} - شناسه مدل‌ها.
+   */
+  async listModels({ apiKey, config }) {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await sendRequest(
+      `${trimBaseUrl(config.baseUrl)}/models`,
+      { headers }
+    );
+    if (!response.ok) await throwResponseError(response);
+    const data = await response.json();
+    return (data.data || []).map((model) => model.id);
+  },
+
+  /**
+   * دستورالعمل‌ها و متن مبدأ را به نقطه پایانی chat/completions ارسال کرده و متن تولیدشده را برمی‌گرداند.
+   * @param {object} request
+   * @param {string} request.instructions - دستورالعمل‌های مدل (پیام سیستمی).
+   * @param {string} request.text - متن مبدأ که به عنوان پیام جداگانه کاربر ارسال می‌شود.
+   * @param {string} [request.apiKey] - کلید API (برای سرورهای محلی اختیاری است).
+   * @param {{baseUrl: string, model: string, generation: object}} request.config - پیکربندی ارائه‌دهنده.
+   * @param {function(string): void} [request.onText] - در صورت وجود، پاسخ به صورت جریانی دریافت می‌شود.
+   * @param {object} [request.responseSchema] - نادیده گرفته می‌شود؛ سرورهای سازگار با OpenAI از قالب یکسانی برای آن پشتیبانی نمی‌کنند و پاسخ فقط پس از دریافت اعتبارسنجی می‌شود.
+   * @param {AbortSignal} [request.signal] - سیگنال لغو درخواست.
+   * @returns {Promise<string|undefined>} - متن خام تولیدشده توسط مدل.
+   */
+  async generate({ instructions, text, apiKey, config, onText, signal }) {
+    if (!config.model) {
+      throw new Error(
+        "نام مدل برای سرویس سازگار با OpenAI تنظیم نشده است. لطفاً به صفحه تنظیمات بروید."
+      );
+    }
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    // فقط پارامترهای تنظیم‌شده ارسال می‌شوند؛ آستانه ایمنی و بودجه تفکر در این پروتکل معادلی ندارند.
+    const generation = config.generation || {};
+    const samplingParams = {};
+    if (Number.isFinite(generation.temperature)) {
+      samplingParams.temperature = generation.temperature;
+    }
+    if (Number.isFinite(generation.maxOutputTokens)) {
+      samplingParams.max_tokens = generation.maxOutputTokens;
+    }
+
+    const response = await sendRequest(
+      `${trimBaseUrl(config.baseUrl)}/chat/completions`,
+      {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          messages: [
+            { role: "system", content: instructions },
+            { role: "user", content: text },
+          ],
+          stream: Boolean(onText),
+          ...samplingParams,
+        }),
+        signal,
+      }
+    );
+    if (!response.ok) await throwResponseError(response);
+
+    if (!onText) {
+      const data = await response.json();
+      const generatedText = data.choices?.[0]?.message?.content;
+      if (!generatedText) {
+        console.error("Invalid response structure from API:", data);
+      }
+      return generatedText;
+    }
+
+    let fullText = "";
+    await readEventStream(response, (data) => {
+      // پایان جریان در این پروتکل با رویداد ویژه [DONE] اعلام می‌شود.
+      if (data === "[DONE]") return;
+      const chunk = parseEventData(data)?.choices?.[0]?.delta?.content;
+      if (chunk) {
+        fullText += chunk;
+        onText(fullText);
+      }
+    });
+    return fullText;
+  },
+};
+
+/**
+ * ارائه‌دهنده LibreTranslate (یک سرور REST ترجمه ماشینی، قابل میزبانی محلی).
+ * این سرویس پرامپت نمی‌پذیرد و مستقیماً نتیجه ترجمه را برمی‌گرداند.
+ */
+const libreTranslateProvider = {
+  id: "libretranslate",
+  name: "LibreTranslate",
+  kind: "mt",
+  usesKeyPool: false,
+  defaultBaseUrl: "http://localhost:5000",
+  defaultModel: "",
+  knownModels: [],
+
+  /**
+   * متن را با استفاده از نقطه پایانی /translate ترجمه می‌کند.
+   * @param {object} request
+   * @param {string} request.text - متنی که باید ترجمه شود.
+   * @param {string} request.sourceLang - کد زبان مبدأ یا 'auto'.
+   * @param {string} request.targetLang - کد زبان مقصد.
+   * @param {string} [request.apiKey] - کلید API سرور (اختیاری).
+   * @param {{baseUrl: string}} request.config - پیکربندی ارائه‌دهنده.
+   * @param {AbortSignal} [request.signal] - سیگنال لغو درخواست.
+   * @returns {Promise<{detectedSourceLanguage: string, translatedText: string}>}
+   */
+  async translate({ text, sourceLang, targetLang, apiKey, config, signal }) {
+    const body = {
+      q: text,
+      source: sourceLang,
+      target: targetLang,
+      format: "text",
+    };
+    if (apiKey) body.api_key = apiKey;
+
+    const response = await sendRequest(
+      `${trimBaseUrl(config.baseUrl)}/translate`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal,
+      }
+    );
+    if (!response.ok) await throwResponseError(response);
+
+    const data = await response.json();
+    if (typeof data.translatedText !== "string") {
+      console.error("Invalid response structure from API:", data);
+      throw new Error(
+        "پاسخ معتبری از API دریافت نشد. ساختار پاسخ تغییر کرده است."
+      );
+    }
+    return {
+      detectedSourceLanguage: data.detectedLanguage?.language || sourceLang,
+      translatedText: data.translatedText,
+    };
+  },
+};
+
+/**
+ * فهرست تمام ارائه‌دهندگان پشتیبانی‌شده بر اساس شناسه.
+ * @type {Object.<string, object>}
+ */
+const PROVIDERS = {
+  [geminiProvider.id]: geminiProvider,
+  [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+  [libreTranslateProvider.id]: libreTranslateProvider,
+};
+
+/**
+ * بررسی می‌کند که نشانی سرویس واردشده یک نشانی معتبر http یا https باشد.
+ * نشانی خالی معتبر است و یعنی از نشانی پیش‌فرض ارائه‌دهنده استفاده شود.
+ * @param {string} baseUrl - نشانی سرویس.
+ * @returns {boolean}
+ */
+function isValidBaseUrl(baseUrl) {
+  if (baseUrl === "") return true;
+  try {
+    return ["http:", "https:"].includes(new URL(baseUrl).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * یک ارائه‌دهنده را بر اساس شناسه آن برمی‌گرداند.
+ * در صورت نامعتبر بودن شناسه، ارائه‌دهنده پیش‌فرض (Gemini) برگردانده می‌شود.
+ * @param {string} id - شناسه ارائه‌دهنده.
+ * @returns {object}
+ */
+function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+/**
+ * ارائه‌دهنده فعال و پیکربندی آن را از تنظیمات کاربر بازیابی می‌کند.
+ * مقادیر تنظیم‌نشده با مقادیر پیش‌فرض همان ارائه‌دهنده پر می‌شوند.
+ * کلید API ارائه‌دهنده در صورت رمزشده بودن رمزگشایی می‌شود؛ فراخوانی‌هایی که به کلید نیاز ندارند می‌توانند با `withApiKey: false` از آن صرف‌نظر کنند (در این صورت `apiKey` برابر null است).
+ * @param {{withApiKey?: boolean}} [options={}] - تنظیمات.
+ * @returns {Promise<{provider: object, config: {baseUrl: string, model: string, apiKey: string|null, models: string[], generation: object}}>}
+ * @throws {KeysLockedError} - اگر کلید ارائه‌دهنده رمزشده باشد و قفل باز نباشد.
+ */
+async function getActiveProvider({ withApiKey = true } = {}) {
+  const provider = getProvider(await getSetting("provider"));
+  const storedConfigs = (await getSetting("providerConfigs")) || {};
+  const storedConfig = storedConfigs[provider.id] || {};
+
+  return {
+    provider,
+    config: {
+      baseUrl: storedConfig.baseUrl || provider.defaultBaseUrl,
+      model: storedConfig.model || provider.defaultModel,
+      apiKey: withApiKey
+        ? await decryptApiKey(storedConfig.apiKey || "")
+        : null,
+      // فهرست مدل‌های دریافت‌شده از سرویس یا در نبود آن، مدل‌های شناخته‌شده ارائه‌دهنده.
+      models: storedConfig.models?.length
+        ? storedConfig.models
+        : provider.knownModels,
+      generation: (await getSetting("generationConfig")) || {},
+    },
+  };
+}
+
+export {
+  SAFETY_THRESHOLDS,
+  PROVIDERS,
+  isValidBaseUrl,
+  getProvider,
+  getActiveProvider,
+};
@@ -1,12 +1,71 @@
 /**
  * @file settings.js
  * خلاصه یک‌خطی: این فایل منطق صفحه تنظیمات (settings.html) را مدیریت می‌کند، شامل مدیریت کلیدهای API، تم، و سایر تنظیمات برنامه.
- * Dependencies: ./db.js, ./utils.js
+ * Dependencies: ./db.js, ./utils.js, ./providers.js, ./api.js, ./glossary.js, ./translationStyle.js, ./promptTemplates.js, ./languageService.js, ./backup.js, ./keyVault.js, ./keyVaultSession.js
  * NOTE: Internal. این اسکریپت به طور انحصاری برای settings.html استفاده می‌شود.
  * Comments updated by AI: 2025-11-11
  */
-import { getSetting, saveSetting, clearHistory } from "./db.js";
-import { copyToClipboard } from "./utils.js";
+import {
+  getSetting,
+  saveSetting,
+  clearHistory,
+  getApiKeyStatusId,
+  getApiKeyStatuses,
+  deleteApiKeyStatus,
+  getGlossary,
+  saveGlossaryEntries,
+  deleteGlossaryEntry,
+} from "./db.js";
+import {
+  copyToClipboard,
+  toPersianDigits,
+  formatTimestamp,
+  downloadTextFile,
+} from "./utils.js";
+import {
+  PROVIDERS,
+  SAFETY_THRESHOLDS,
+  isValidBaseUrl,
+  getProvider,
+} from "./providers.js";
+import { validateApiKey, buildUnifiedPrompt } from "./api.js";
+import { parseGlossaryCsv } from "./glossary.js";
+import { buildStyleInstructions } from "./translationStyle.js";
+import {
+  PROMPT_PLACEHOLDERS,
+  DEFAULT_PROMPT_TEMPLATE,
+  validatePromptTemplate,
+  getPromptTemplates,
+  savePromptTemplates,
+} from "./promptTemplates.js";
+import { getAllLanguages, getLangNames } from "./languageService.js";
+import {
+  createBackup,
+  parseBackup,
+  decryptBackupSecrets,
+  previewRestore,
+  restoreBackup,
+  describeBackup,
+} from "./backup.js";
+import {
+  isKeyVaultEnabled,
+  isKeyVaultUnlocked,
+  getKeyLockTimeout,
+  saveKeyLockTimeout,
+  unlockKeyVault,
+  lockKeyVault,
+  getApiKeys,
+  encodeApiKey,
+  saveApiKeys,
+  enableKeyVault,
+  disableKeyVault,
+} from "./keyVault.js";
+import {
+  KeysLockedError,
+  getVaultSessionExpiry,
+  onVaultAutoLock,
+  decryptApiKey,
+} from "./keyVaultSession.js";
 
 document.addEventListener("DOMContentLoaded", async () => {
   // --- ثابت‌ها ---
@@ -16,24 +75,122 @@ document.addEventListener("DOMContentLoaded", async () => {
    * این کار از بروز خطا به دلیل اشتباهات تایپی جلوگیری کرده و نگهداری کد را آسان‌تر می‌کند.
    */
   const SETTINGS = {
-    API_KEYS: "apiKeys",
     LAST_KEY_INDEX: "lastKeyIndex",
     AUTO_TRANSLATE: "autoTranslateOnPaste",
     AUTO_COPY: "autoCopyResult",
+    STREAM: "streamTranslation",
     THEME: "theme",
+    PROVIDER: "provider",
+    PROVIDER_CONFIGS: "providerConfigs",
+    GENERATION_CONFIG: "generationConfig",
+    REQUEST_TIMEOUT: "requestTimeout",
+    TRANSLATION_MEMORY: "translationMemory",
+    MEMORY_THRESHOLD: "translationMemoryThreshold",
+    AUTO_DICTIONARY: "autoDictionary",
   };
   let toastTimeout; // متغیری برای مدیریت زمان‌بندی نمایش اعلان‌ها
 
   // --- ذخیره‌سازی ارجاع به عناصر DOM برای دسترسی سریع‌تر ---
   const addKeyForm = document.getElementById("add-key-form");
   const apiKeyInput = document.getElementById("api-key-input");
+  const addKeyButton = document.getElementById("add-key-button");
   const toggleNewKeyVisibility = document.getElementById(
     "toggle-new-key-visibility"
   );
   const apiKeysList = document.getElementById("api-keys-list");
   const emptyKeysState = document.getElementById("empty-keys-state");
+  const retestKeysButton = document.getElementById("retest-keys-button");
+  const savedKeysSection = document.getElementById("saved-keys-section");
+  const enableVaultForm = document.getElementById("enable-vault-form");
+  const vaultPassphraseInput = document.getElementById(
+    "vault-passphrase-input"
+  );
+  const vaultPassphraseConfirmInput = document.getElementById(
+    "vault-passphrase-confirm-input"
+  );
+  const unlockVaultForm = document.getElementById("unlock-vault-form");
+  const unlockVaultInput = document.getElementById("unlock-vault-input");
+  const vaultUnlocked = document.getElementById("vault-unlocked");
+  const vaultTimeoutSelect = document.getElementById("vault-timeout-select");
+  const lockVaultButton = document.getElementById("lock-vault-button");
+  const disableVaultButton = document.getElementById("disable-vault-button");
   const autoTranslateToggle = document.getElementById("auto-translate-toggle");
   const autoCopyToggle = document.getElementById("auto-copy-toggle");
+  const streamToggle = document.getElementById("stream-toggle");
+  const requestTimeoutInput = document.getElementById("request-timeout-input");
+  const translationMemoryToggle = document.getElementById(
+    "translation-memory-toggle"
+  );
+  const memoryThresholdInput = document.getElementById(
+    "memory-threshold-input"
+  );
+  const autoDictionaryToggle = document.getElementById(
+    "auto-dictionary-toggle"
+  );
+
+  // عناصر بخش واژه‌نامه
+  const glossaryForm = document.getElementById("glossary-form");
+  const glossarySourceTermInput = document.getElementById(
+    "glossary-source-term"
+  );
+  const glossaryTargetTermInput = document.getElementById(
+    "glossary-target-term"
+  );
+  const glossarySourceLangSelect = document.getElementById(
+    "glossary-source-lang"
+  );
+  const glossaryTargetLangSelect = document.getElementById(
+    "glossary-target-lang"
+  );
+  const glossaryCaseSensitiveInput = document.getElementById(
+    "glossary-case-sensitive"
+  );
+  const glossarySubmitButton = document.getElementById(
+    "glossary-submit-button"
+  );
+  const glossaryCancelEditButton = document.getElementById(
+    "glossary-cancel-edit-button"
+  );
+  const importGlossaryButton = document.getElementById(
+    "import-glossary-button"
+  );
+  const glossaryFileInput = document.getElementById("glossary-file-input");
+  const glossaryList = document.getElementById("glossary-list");
+  const emptyGlossaryState = document.getElementById("empty-glossary-state");
+
+  // عناصر بخش قالب‌های پرامپت
+  const templateSelect = document.getElementById("template-select");
+  const deleteTemplateButton = document.getElementById(
+    "delete-template-button"
+  );
+  const templateNameInput = document.getElementById("template-name-input");
+  const templateBodyInput = document.getElementById("template-body-input");
+  const templatePlaceholders = document.getElementById("template-placeholders");
+  const templateProblems = document.getElementById("template-problems");
+  const resetTemplateButton = document.getElementById("reset-template-button");
+  const previewTemplateButton = document.getElementById(
+    "preview-template-button"
+  );
+  const saveTemplateButton = document.getElementById("save-template-button");
+  const templatePreview = document.getElementById("template-preview");
+
+  // عناصر بخش سرویس ترجمه
+  const providerSelect = document.getElementById("provider-select");
+  const providerHint = document.getElementById("provider-hint");
+  const providerBaseUrlInput = document.getElementById("provider-base-url");
+  const providerModelField = document.getElementById("provider-model-field");
+  const providerModelInput = document.getElementById("provider-model");
+  const providerModelOptions = document.getElementById(
+    "provider-model-options"
+  );
+  const fetchModelsButton = document.getElementById("fetch-models-button");
+  const providerApiKeyField = document.getElementById("provider-api-key-field");
+  const providerApiKeyInput = document.getElementById("provider-api-key");
+  const generationSettings = document.getElementById("generation-settings");
+  const generationInputs = document.querySelectorAll("[data-generation-key]");
+  const safetyThresholdSelect = document.getElementById(
+    "safety-threshold-select"
+  );
 
   const themeSelector = document.getElementById("theme-selector");
   const themeButtons = document.querySelectorAll(".theme-button");
@@ -57,9 +214,56 @@ document.addEventListener("DOMContentLoaded", async () => {
   );
   const cancelClearButton = document.getElementById("cancel-clear-button");
   const confirmClearButton = document.getElementById("confirm-clear-button");
+  const includeFavoritesCheckbox = document.getElementById(
+    "include-favorites-checkbox"
+  );
+
+  // عناصر بخش پشتیبان‌گیری و مودال بازیابی
+  const backupIncludeKeysCheckbox = document.getElementById(
+    "backup-include-keys"
+  );
+  const backupPasswordField = document.getElementById("backup-password-field");
+  const backupPasswordInput = document.getElementById("backup-password-input");
+  const createBackupButton = document.getElementById("create-backup-button");
+  const restoreBackupButton = document.getElementById("restore-backup-button");
+  const backupFileInput = document.getElementById("backup-file-input");
+  const restoreModal = document.getElementById("restore-modal");
+  const restoreModalBackdrop = document.getElementById(
+    "restore-modal-backdrop"
+  );
+  const restoreSummary = document.getElementById("restore-summary");
+  const restoreModeInputs = document.querySelectorAll(
+    'input[name="restore-mode"]'
+  );
+  const restoreSecrets = document.getElementById("restore-secrets");
+  const restoreSecretsForm = document.getElementById("restore-secrets-form");
+  const restorePasswordInput = document.getElementById(
+    "restore-password-input"
+  );
+  const restoreSecretsStatus = document.getElementById(
+    "restore-secrets-status"
+  );
+  const restorePreview = document.getElementById("restore-preview");
+  const restoreProviderUrls = document.getElementById("restore-provider-urls");
+  const restoreProviderUrlsList = document.getElementById(
+    "restore-provider-urls-list"
+  );
+  const restoreProviderUrlsConfirm = document.getElementById(
+    "restore-provider-urls-confirm"
+  );
+  const cancelRestoreButton = document.getElementById("cancel-restore-button");
+  const confirmRestoreButton = document.getElementById(
+    "confirm-restore-button"
+  );
 
   // --- وضعیت (State) ---
   let keys = []; // آرایه‌ای برای نگهداری کلیدهای API در حافظه
+  let providerConfigs = {}; // پیکربندی ذخیره‌شده هر ارائه‌دهنده بر اساس شناسه آن
+  let generationConfig = {}; // پارامترهای تولید مدل (دما، حداکثر توکن و ...)
+  let glossary = []; // مدخل‌های واژه‌نامه
+  let editingGlossaryId = null; // شناسه مدخلی که در فرم واژه‌نامه در حال ویرایش است
+  let promptTemplates = []; // قالب‌های سفارشی پرامپت
+  let pendingRestore = null; // فایل پشتیبان در انتظار تایید بازیابی و کلیدهای بازگشوده آن ({backup, secrets})
 
   // --- توابع مربوط به UI و رندرینگ ---
 
@@ -113,23 +317,101 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   }
 
+  /**
+   * برچسب و رنگ نشان وضعیت یک کلید را بر اساس سابقه سلامت آن تعیین می‌کند.
+   * @param {object|undefined} status - رکورد وضعیت کلید از پایگاه داده.
+   * @returns {{label: string, className: string}}
+   */
+  function describeKeyStatus(status) {
+    if (status?.dead) {
+      return {
+        label: "نامعتبر",
+        className:
+          "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+      };
+    }
+    if (status?.cooldownUntil > Date.now()) {
+      const until = new Date(status.cooldownUntil).toLocaleTimeString("fa-IR", {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      return {
+        label: `در حال استراحت تا ${until}`,
+        className:
+          "bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300",
+      };
+    }
+    if (status?.lastSuccess || status?.lastValidated) {
+      return {
+        label: "فعال",
+        className:
+          "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+      };
+    }
+    return {
+      label: "بدون استفاده",
+      className:
+        "bg-gray-200 text-gray-600 dark:bg-gray-600 dark:text-gray-300",
+    };
+  }
+
+  /**
+   * خلاصه آماری استفاده از یک کلید (آخرین استفاده، تعداد موفقیت و خطا) را به صورت متن برمی‌گرداند.
+   * @param {object|undefined} status - رکورد وضعیت کلید از پایگاه داده.
+   * @returns {string}
+   */
+  function formatKeyStats(status) {
+    const parts = [];
+    if (status?.lastUsed) {
+      parts.push(
+        `آخرین استفاده: ${formatTimestamp(status.lastUsed)}`,
+        `موفق: ${toPersianDigits(status.successCount || 0)}`,
+        `خطا: ${toPersianDigits(status.errorCount || 0)}`
+      );
+    }
+    if (status?.lastValidated) {
+      parts.push(`آخرین بررسی: ${formatTimestamp(status.lastValidated)}`);
+    }
+    if (status?.lastErrorCode) {
+      parts.push(`آخرین خطا: ${toPersianDigits(status.lastErrorCode)}`);
+    }
+    return parts.length ? parts.join(" · ") : "هنوز استفاده نشده است.";
+  }
+
   /**
    * لیست کلیدهای API را بر اساس آرایه `keys` در صفحه رندر می‌کند.
+   * برای هر کلید، وضعیت سلامت و آمار استفاده آن نیز نمایش داده می‌شود.
    * در صورت خالی بودن لیست، پیام مناسب را نمایش می‌دهد.
    */
-  function renderApiKeys() {
+  async function renderApiKeys() {
+    const statuses = await getApiKeyStatuses();
+    const statusIds = await Promise.all(keys.map(getApiKeyStatusId));
     apiKeysList.innerHTML = "";
     emptyKeysState.classList.toggle("hidden", keys.length > 0);
+    retestKeysButton.classList.toggle("hidden", keys.length === 0);
 
     keys.forEach((key, index) => {
+      const status = statuses[statusIds[index]];
+      const badge = describeKeyStatus(status);
+      // دکمه بازنشانی فقط برای کلیدهای غیرفعال یا در حال استراحت نمایش داده می‌شود.
+      const canReset = status?.dead || status?.cooldownUntil > Date.now();
+      const resetClass = canReset ? "" : "hidden";
+      const stats = formatKeyStats(status);
       const keyElement = document.createElement("div");
       keyElement.className =
         "flex items-center justify-between bg-gray-50 dark:bg-gray-700/50 p-2 ps-4 rounded-lg gap-x-2";
       keyElement.innerHTML = `
                 <div class="flex-grow min-w-0">
-                    <input type="password" value="${key}" readonly class="w-full bg-transparent text-gray-800 dark:text-gray-200 font-mono text-sm focus:outline-none truncate">
+                    <div class="flex items-center gap-x-2">
+                        <input type="password" readonly class="flex-grow min-w-0 bg-transparent text-gray-800 dark:text-gray-200 font-mono text-sm focus:outline-none truncate">
+                        <span class="flex-shrink-0 text-xs font-medium px-2 py-0.5 rounded-full ${badge.className}">${badge.label}</span>
+                    </div>
+                    <p class="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate">${stats}</p>
                 </div>
                 <div class="flex flex-shrink-0 items-center">
+                    <button data-action="reset" data-index="${index}" aria-label="بازنشانی وضعیت کلید" class="${resetClass} p-2 text-gray-500 dark:text-gray-400 lg:hover:text-gray-800 dark:lg:hover:text-gray-200 rounded-lg transition-colors">
+                        <svg class="w-6 h-6 pointer-events-none"><use href="/icons.svg#icon-refresh"></use></svg>
+                    </button>
                     <button data-action="toggle" data-index="${index}" aria-label="نمایش کلید" class="p-2 text-gray-500 dark:text-gray-400 lg:hover:text-gray-800 dark:lg:hover:text-gray-200 rounded-lg transition-colors">
                         <svg class="w-6 h-6 pointer-events-none"><use href="/icons.svg#icon-eye"></use></svg>
                     </button>
@@ -141,10 +423,189 @@ document.addEventListener("DOMContentLoaded", async () => {
                     </button>
                 </div>
             `;
+      // کلید به جای صفت value از طریق ویژگی ورودی درج می‌شود تا در HTML صفحه دیده نشود.
+      keyElement.querySelector("input").value = key;
       apiKeysList.appendChild(keyElement);
     });
   }
 
+  /**
+   * لیست مدخل‌های واژه‌نامه را رندر می‌کند.
+   * اصطلاحات ورودی کاربر هستند و به جای innerHTML با textContent درج می‌شوند.
+   */
+  async function renderGlossary() {
+    const langNames = await getLangNames();
+    glossaryList.innerHTML = "";
+    emptyGlossaryState.classList.toggle("hidden", glossary.length > 0);
+
+    glossary.forEach((entry) => {
+      const entryElement = document.createElement("div");
+      entryElement.className =
+        "flex items-center justify-between bg-gray-50 dark:bg-gray-700/50 p-2 ps-4 rounded-lg gap-x-2";
+      entryElement.innerHTML = `
+                <div class="flex-grow min-w-0">
+                    <p class="text-sm text-gray-800 dark:text-gray-200 truncate">
+                        <bdi data-field="source" class="font-medium"></bdi>
+                        <span class="text-gray-400 mx-1">←</span>
+                        <bdi data-field="target" class="font-medium"></bdi>
+                    </p>
+                    <p data-field="details" class="mt-1 text-xs text-gray-500 dark:text-gray-400 truncate"></p>
+                </div>
+                <div class="flex flex-shrink-0 items-center">
+                    <button data-action="edit" data-id="${entry.id}" aria-label="ویرایش اصطلاح" class="p-2 text-gray-500 dark:text-gray-400 lg:hover:text-gray-800 dark:lg:hover:text-gray-200 rounded-lg transition-colors">
+                        <svg class="w-6 h-6 pointer-events-none" fill="none" stroke="currentColor"><use href="/icons.svg#icon-edit"></use></svg>
+                    </button>
+                    <button data-action="delete" data-id="${entry.id}" aria-label="حذف اصطلاح" class="p-2 text-gray-500 dark:text-gray-400 lg:hover:text-red-600 dark:lg:hover:text-red-400 rounded-lg transition-colors">
+                        <svg class="w-6 h-6 pointer-events-none"><use href="/icons.svg#icon-delete"></use></svg>
+                    </button>
+                </div>
+            `;
+      entryElement.querySelector('[data-field="source"]').textContent =
+        entry.sourceTerm;
+      entryElement.querySelector('[data-field="target"]').textContent =
+        entry.targetTerm;
+      const details = [
+        `${
+          entry.sourceLang
+            ? langNames[entry.sourceLang] || entry.sourceLang
+            : "هر زبان"
+        } ← ${langNames[entry.targetLang] || entry.targetLang}`,
+      ];
+      if (entry.caseSensitive) details.push("حساس به حروف");
+      entryElement.querySelector('[data-field="details"]').textContent =
+        details.join(" · ");
+      glossaryList.appendChild(entryElement);
+    });
+  }
+
+  /**
+   * گزینه‌های زبان مبدأ و مقصد فرم واژه‌نامه را از فهرست زبان‌ها پر می‌کند.
+   */
+  async function renderGlossaryLanguageOptions() {
+    const languages = (await getAllLanguages()).filter(
+      (lang) => lang.code !== "auto"
+    );
+    languages.forEach((lang) => {
+      glossarySourceLangSelect.add(new Option(lang.name, lang.code));
+      glossaryTargetLangSelect.add(new Option(lang.name, lang.code));
+    });
+    glossaryTargetLangSelect.value = "fa";
+  }
+
+  /**
+   * فرم واژه‌نامه را از حالت ویرایش خارج کرده و فیلدهای اصطلاح را خالی می‌کند.
+   * زبان‌های انتخاب‌شده حفظ می‌شوند تا افزودن چند اصطلاح برای یک جفت زبان ساده باشد.
+   */
+  function resetGlossaryForm() {
+    editingGlossaryId = null;
+    glossarySourceTermInput.value = "";
+    glossaryTargetTermInput.value = "";
+    glossaryCaseSensitiveInput.checked = false;
+    glossarySubmitButton.textContent = "افزودن";
+    glossaryCancelEditButton.classList.add("hidden");
+  }
+
+  /**
+   * فهرست قالب‌های پرامپت را رندر کرده و قالب مشخص‌شده را در ویرایشگر باز می‌کند.
+   * @param {string} [selectedId=""] - شناسه قالب انتخاب‌شده؛ رشته خالی یعنی یک قالب جدید بر پایه قالب پیش‌فرض.
+   */
+  function renderPromptTemplates(selectedId = "") {
+    templateSelect.length = 1;
+    promptTemplates.forEach((template) => {
+      templateSelect.add(new Option(template.name, template.id));
+    });
+    templateSelect.value = selectedId;
+    const template = promptTemplates.find((item) => item.id === selectedId);
+    templateNameInput.value = template?.name || "";
+    templateBodyInput.value = template?.body || DEFAULT_PROMPT_TEMPLATE;
+    deleteTemplateButton.classList.toggle("hidden", !template);
+    renderTemplateProblems([]);
+    templatePreview.classList.add("hidden");
+  }
+
+  /**
+   * مشکلات اعتبارسنجی قالب را زیر ویرایشگر نمایش می‌دهد.
+   * @param {string[]} problems - مشکلات قالب؛ آرایه خالی کادر را مخفی می‌کند.
+   */
+  function renderTemplateProblems(problems) {
+    templateProblems.innerHTML = "";
+    problems.forEach((problem) => {
+      const item = document.createElement("li");
+      item.textContent = problem;
+      templateProblems.appendChild(item);
+    });
+    templateProblems.classList.toggle("hidden", problems.length === 0);
+  }
+
+  /**
+   * فیلدهای بخش سرویس ترجمه را بر اساس ارائه‌دهنده انتخاب‌شده و پیکربندی ذخیره‌شده آن پر می‌کند.
+   * فیلدهایی که برای ارائه‌دهنده فعلی کاربردی ندارند (مانند نام مدل برای LibreTranslate) مخفی می‌شوند.
+   * @param {string} providerId - شناسه ارائه‌دهنده انتخاب‌شده.
+   */
+  async function renderProviderSettings(providerId) {
+    const provider = getProvider(providerId);
+    const config = providerConfigs[provider.id] || {};
+
+    providerSelect.value = provider.id;
+    providerBaseUrlInput.placeholder = provider.defaultBaseUrl;
+    providerBaseUrlInput.value = config.baseUrl || "";
+    providerModelInput.placeholder = provider.defaultModel || "مثلاً llama3.1";
+    providerModelInput.value = config.model || "";
+    await renderProviderApiKey();
+    renderModelOptions(
+      config.models?.length ? config.models : provider.knownModels
+    );
+
+    providerModelField.classList.toggle("hidden", provider.kind !== "llm");
+    generationSettings.classList.toggle("hidden", provider.kind !== "llm");
+    // ارائه‌دهندگانی که از مجموعه کلیدهای بالا استفاده می‌کنند، فیلد کلید جداگانه ندارند.
+    providerApiKeyField.classList.toggle("hidden", provider.usesKeyPool);
+    providerHint.textContent = provider.usesKeyPool
+      ? "این سرویس از کلیدهای API ذخیره‌شده در بخش بالا به صورت چرخشی استفاده می‌کند."
+      : "این سرویس می‌تواند روی یک سرور محلی و به صورت کاملاً آفلاین اجرا شود.";
+  }
+
+  /**
+   * کلید API ارائه‌دهنده انتخاب‌شده را در فیلد آن نمایش می‌دهد.
+   * کلید رمزشده تا باز شدن قفل کلیدها نمایش داده نمی‌شود و فیلد آن قابل ویرایش نیست.
+   */
+  async function renderProviderApiKey() {
+    const config = providerConfigs[providerSelect.value] || {};
+    let apiKey = "";
+    let locked = false;
+    try {
+      apiKey = await decryptApiKey(config.apiKey || "");
+    } catch (error) {
+      if (!(error instanceof KeysLockedError)) throw error;
+      locked = true;
+    }
+    providerApiKeyInput.value = apiKey;
+    providerApiKeyInput.disabled = locked;
+    providerApiKeyInput.placeholder = locked
+      ? "کلید رمزگذاری شده است؛ برای ویرایش، قفل کلیدها را باز کنید."
+      : "اختیاری";
+  }
+
+  /**
+   * گزینه‌های پیشنهادی فیلد مدل را بر اساس فهرست مدل‌های موجود رندر می‌کند.
+   * @param {string[]} models - نام مدل‌ها.
+   */
+  function renderModelOptions(models) {
+    providerModelOptions.innerHTML = "";
+    models.forEach((model) => providerModelOptions.append(new Option(model)));
+  }
+
+  /**
+   * فیلدهای پارامترهای تولید را بر اساس مقادیر ذخیره‌شده پر می‌کند.
+   */
+  function renderGenerationSettings() {
+    generationInputs.forEach((input) => {
+      const value = generationConfig[input.dataset.generationKey];
+      input.value = Number.isFinite(value) ? value : "";
+    });
+    safetyThresholdSelect.value = generationConfig.safetyThreshold || "";
+  }
+
   /**
    * وضعیت بصری یک کلید تاگل (switch) را به‌روز می‌کند.
    * @param {HTMLElement} toggleContainer - عنصر والد تاگل.
@@ -238,8 +699,20 @@ document.addEventListener("DOMContentLoaded", async () => {
    */
   async function loadSettings() {
     try {
-      keys = (await getSetting(SETTINGS.API_KEYS)) || [];
-      renderApiKeys();
+      await loadApiKeys();
+
+      providerConfigs = (await getSetting(SETTINGS.PROVIDER_CONFIGS)) || {};
+      await renderProviderSettings(await getSetting(SETTINGS.PROVIDER));
+
+      generationConfig = (await getSetting(SETTINGS.GENERATION_CONFIG)) || {};
+      renderGenerationSettings();
+
+      promptTemplates = await getPromptTemplates();
+      renderPromptTemplates();
+
+      await renderGlossaryLanguageOptions();
+      glossary = await getGlossary();
+      await renderGlossary();
 
       const theme = (await getSetting(SETTINGS.THEME)) || "system";
       updateThemeUI(theme);
@@ -250,6 +723,26 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       const autoCopy = (await getSetting(SETTINGS.AUTO_COPY)) || false;
       updateToggleUI(autoCopyToggle, autoCopy);
+
+      // نمایش تدریجی ترجمه به صورت پیش‌فرض فعال است.
+      const stream = (await getSetting(SETTINGS.STREAM)) ?? true;
+      updateToggleUI(streamToggle, stream);
+
+      // حافظه ترجمه به صورت پیش‌فرض فعال است.
+      const translationMemory =
+        (await getSetting(SETTINGS.TRANSLATION_MEMORY)) ?? true;
+      updateToggleUI(translationMemoryToggle, translationMemory);
+
+      // فرهنگ لغت خودکار به صورت پیش‌فرض فعال است.
+      const autoDictionary =
+        (await getSetting(SETTINGS.AUTO_DICTIONARY)) ?? true;
+      updateToggleUI(autoDictionaryToggle, autoDictionary);
+
+      // مقدار خالی یعنی مهلت پیش‌فرض (placeholder) استفاده می‌شود.
+      requestTimeoutInput.value =
+        (await getSetting(SETTINGS.REQUEST_TIMEOUT)) ?? "";
+      memoryThresholdInput.value =
+        (await getSetting(SETTINGS.MEMORY_THRESHOLD)) ?? "";
     } catch (error) {
       console.error("Error loading settings:", error);
       showToast("خطا در بارگذاری تنظیمات.", true);
@@ -258,6 +751,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   /**
    * یک کلید API جدید را پس از اعتبارسنجی به لیست اضافه کرده و آن را در پایگاه داده ذخیره می‌کند.
+   * کلید پیش از ذخیره با یک درخواست واقعی به سرویس بررسی می‌شود و کلیدهای نامعتبر پذیرفته نمی‌شوند.
    * @param {string} key - کلید API که باید اضافه شود.
    */
   async function addApiKey(key) {
@@ -270,11 +764,70 @@ document.addEventListener("DOMContentLoaded", async () => {
       showToast("این کلید قبلاً اضافه شده است.", true);
       return;
     }
-    keys.push(trimmedKey);
-    await saveSetting(SETTINGS.API_KEYS, keys);
-    apiKeyInput.value = "";
-    showToast("کلید API با موفقیت افزوده شد.");
-    renderApiKeys();
+
+    addKeyButton.disabled = true;
+    addKeyButton.textContent = "در حال بررسی...";
+    try {
+      const { result, error } = await validateApiKey(trimmedKey);
+      if (result === "invalid") {
+        await deleteApiKeyStatus(trimmedKey);
+        showToast(`کلید API نامعتبر است: ${error.message}`, true);
+        return;
+      }
+      if (result === "network") {
+        showToast(
+          "بررسی کلید به دلیل خطای شبکه ممکن نشد. لطفاً اتصال خود را بررسی کرده و دوباره تلاش کنید.",
+          true
+        );
+        return;
+      }
+
+      keys.push(trimmedKey);
+      if (!(await persistApiKeys())) return;
+      apiKeyInput.value = "";
+      // کلیدی که به سقف سهمیه رسیده معتبر است و پس از پایان دوره استراحت استفاده می‌شود.
+      showToast(
+        result === "quota"
+          ? "کلید API معتبر است و افزوده شد، اما فعلاً به سقف سهمیه خود رسیده است."
+          : "کلید API با موفقیت افزوده شد."
+      );
+      renderApiKeys();
+    } finally {
+      addKeyButton.disabled = false;
+      addKeyButton.textContent = "افزودن";
+    }
+  }
+
+  /**
+   * اعتبار تمام کلیدهای ذخیره‌شده را به ترتیب بررسی کرده و خلاصه نتیجه را نمایش می‌دهد.
+   * بررسی‌ها پشت سر هم انجام می‌شوند تا خود آزمون باعث محدودیت نرخ نشود.
+   */
+  async function retestAllKeys() {
+    retestKeysButton.disabled = true;
+    const counts = { valid: 0, invalid: 0, quota: 0, network: 0 };
+    try {
+      for (const key of keys) {
+        const { result } = await validateApiKey(key);
+        counts[result]++;
+      }
+      const summary = [
+        `${toPersianDigits(counts.valid)} معتبر`,
+        `${toPersianDigits(counts.invalid)} نامعتبر`,
+        `${toPersianDigits(counts.quota)} با سهمیه تمام‌شده`,
+      ];
+      if (counts.network) {
+        summary.push(
+          `${toPersianDigits(counts.network)} بررسی‌نشده (خطای شبکه)`
+        );
+      }
+      showToast(
+        `نتیجه بررسی کلیدها: ${summary.join("، ")}`,
+        counts.invalid + counts.network > 0
+      );
+    } finally {
+      retestKeysButton.disabled = false;
+      renderApiKeys();
+    }
   }
 
   /**
@@ -282,14 +835,379 @@ document.addEventListener("DOMContentLoaded", async () => {
    * @param {number} index - ایندکس کلیدی که باید حذف شود.
    */
   async function deleteApiKey(index) {
-    keys.splice(index, 1);
-    await saveSetting(SETTINGS.API_KEYS, keys);
+    const [removedKey] = keys.splice(index, 1);
+    if (!(await persistApiKeys())) return;
     // ایندکس کلید بعدی را ریست می‌کند تا از بروز خطا جلوگیری شود.
     await saveSetting(SETTINGS.LAST_KEY_INDEX, -1);
+    await deleteApiKeyStatus(removedKey);
     showToast("کلید API حذف شد.");
     renderApiKeys();
   }
 
+  /**
+   * کلیدهای API را بارگذاری کرده و لیست کلیدها و بخش رمزگذاری را به‌روز می‌کند.
+   * وقتی کلیدها رمزشده و قفل هستند، لیست خالی می‌ماند و فرم باز کردن قفل نمایش داده می‌شود.
+   */
+  async function loadApiKeys() {
+    try {
+      keys = (await isKeyVaultUnlocked()) ? await getApiKeys() : [];
+    } catch (error) {
+      if (!(error instanceof KeysLockedError)) throw error;
+      keys = [];
+    }
+    await renderApiKeys();
+    await renderKeyVault();
+    // کلید ارائه‌دهندگان نیز با فعال یا غیرفعال شدن رمزگذاری دوباره ذخیره می‌شود و با قفل شدن قابل نمایش نیست.
+    providerConfigs = (await getSetting(SETTINGS.PROVIDER_CONFIGS)) || {};
+    await renderProviderApiKey();
+  }
+
+  /**
+   * کلیدهای فعلی را ذخیره می‌کند؛ اگر در این فاصله قفل کلیدها بسته شده باشد، خطا نمایش داده شده و لیست دوباره بارگذاری می‌شود.
+   * @returns {Promise<boolean>} - true اگر ذخیره موفق بود.
+   */
+  async function persistApiKeys() {
+    try {
+      await saveApiKeys(keys);
+      return true;
+    } catch (error) {
+      if (!(error instanceof KeysLockedError)) throw error;
+      showToast(error.message, true);
+      await loadApiKeys();
+      return false;
+    }
+  }
+
+  /**
+   * بخش رمزگذاری کلیدها را بر اساس وضعیت فعلی (غیرفعال، قفل یا باز) نمایش می‌دهد.
+   */
+  async function renderKeyVault() {
+    const enabled = await isKeyVaultEnabled();
+    const unlocked = enabled && getVaultSessionExpiry() !== null;
+    enableVaultForm.classList.toggle("hidden", enabled);
+    unlockVaultForm.classList.toggle("hidden", !enabled || unlocked);
+    vaultUnlocked.classList.toggle("hidden", !unlocked);
+    addKeyForm.classList.toggle("hidden", enabled && !unlocked);
+    savedKeysSection.classList.toggle("hidden", enabled && !unlocked);
+    vaultTimeoutSelect.value = String(await getKeyLockTimeout());
+  }
+
+  /**
+   * رمزگذاری کلیدها را با عبارت عبور فرم فعال می‌کند.
+   */
+  async function enableVault() {
+    if (vaultPassphraseInput.value !== vaultPassphraseConfirmInput.value) {
+      showToast("عبارت عبور و تکرار آن یکسان نیستند.", true);
+      return;
+    }
+    try {
+      await enableKeyVault(vaultPassphraseInput.value);
+      vaultPassphraseInput.value = "";
+      vaultPassphraseConfirmInput.value = "";
+      showToast("کلیدهای API رمزگذاری شدند.");
+    } catch (error) {
+      console.error("Failed to enable key vault:", error);
+      showToast(error.message, true);
+    }
+    await loadApiKeys();
+  }
+
+  /**
+   * قفل کلیدها را با عبارت عبور فرم باز می‌کند.
+   */
+  async function unlockVault() {
+    try {
+      await unlockKeyVault(unlockVaultInput.value);
+      unlockVaultInput.value = "";
+      await loadApiKeys();
+      showToast("قفل کلیدهای API باز شد.");
+    } catch (error) {
+      showToast(error.message, true);
+    }
+  }
+
+  /**
+   * رمزگذاری کلیدها را حذف کرده و آن‌ها را دوباره به صورت متن ساده ذخیره می‌کند.
+   */
+  async function disableVault() {
+    try {
+      await disableKeyVault();
+      showToast("رمزگذاری کلیدهای API حذف شد.");
+    } catch (error) {
+      console.error("Failed to disable key vault:", error);
+      showToast(error.message, true);
+    }
+    await loadApiKeys();
+  }
+
+  /**
+   * کلیدی برای تشخیص مدخل‌های تکراری واژه‌نامه می‌سازد؛ یک اصطلاح در هر جفت زبان فقط یک معادل دارد.
+   * @param {object} entry - مدخل واژه‌نامه.
+   * @returns {string}
+   */
+  function getGlossaryEntryKey(entry) {
+    const term = entry.caseSensitive
+      ? entry.sourceTerm
+      : entry.sourceTerm.toLocaleLowerCase();
+    return [entry.sourceLang, entry.targetLang, term].join("\u0000");
+  }
+
+  /**
+   * مدخل فرم واژه‌نامه را (به صورت مدخل جدید یا ویرایش مدخل موجود) ذخیره می‌کند.
+   */
+  async function saveGlossaryForm() {
+    const entry = {
+      sourceTerm: glossarySourceTermInput.value.trim(),
+      targetTerm: glossaryTargetTermInput.value.trim(),
+      sourceLang: glossarySourceLangSelect.value,
+      targetLang: glossaryTargetLangSelect.value,
+      caseSensitive: glossaryCaseSensitiveInput.checked,
+    };
+    if (!entry.sourceTerm || !entry.targetTerm) {
+      showToast("اصطلاح مبدأ و معادل آن نمی‌توانند خالی باشند.", true);
+      return;
+    }
+    const duplicate = glossary.find(
+      (item) =>
+        item.id !== editingGlossaryId &&
+        getGlossaryEntryKey(item) === getGlossaryEntryKey(entry)
+    );
+    if (duplicate) {
+      showToast("این اصطلاح قبلاً برای همین جفت زبان ثبت شده است.", true);
+      return;
+    }
+    if (editingGlossaryId !== null) entry.id = editingGlossaryId;
+
+    try {
+      await saveGlossaryEntries([entry]);
+      showToast(
+        editingGlossaryId !== null
+          ? "اصطلاح ویرایش شد."
+          : "اصطلاح به واژه‌نامه افزوده شد."
+      );
+      resetGlossaryForm();
+      glossary = await getGlossary();
+      renderGlossary();
+    } catch (error) {
+      console.error("Failed to save glossary entry:", error);
+      showToast("خطا در ذخیره اصطلاح.", true);
+    }
+  }
+
+  /**
+   * مدخل‌های یک فایل CSV را به واژه‌نامه اضافه می‌کند.
+   * اصطلاحی که برای همان جفت زبان از قبل وجود داشته باشد، با معادل فایل به‌روزرسانی می‌شود.
+   * @param {File} file - فایل CSV انتخاب‌شده.
+   */
+  async function importGlossaryCsv(file) {
+    try {
+      const entries = parseGlossaryCsv(await file.text(), {
+        sourceLang: glossarySourceLangSelect.value,
+        targetLang: glossaryTargetLangSelect.value,
+      });
+      // مدخل‌ها بر اساس کلید ادغام می‌شوند؛ ردیف‌های بعدی فایل بر ردیف‌های قبلی و مدخل‌های موجود اولویت دارند.
+      const existing = new Map(
+        glossary.map((entry) => [getGlossaryEntryKey(entry), entry])
+      );
+      const merged = new Map();
+      entries.forEach((entry) => {
+        const key = getGlossaryEntryKey(entry);
+        const id = existing.get(key)?.id;
+        merged.set(key, id === undefined ? entry : { ...entry, id });
+      });
+      const updatedCount = [...merged.keys()].filter((key) =>
+        existing.has(key)
+      ).length;
+
+      await saveGlossaryEntries([...merged.values()]);
+      glossary = await getGlossary();
+      renderGlossary();
+      showToast(
+        `${toPersianDigits(
+          merged.size - updatedCount
+        )} اصطلاح افزوده و ${toPersianDigits(
+          updatedCount
+        )} اصطلاح به‌روزرسانی شد.`
+      );
+    } catch (error) {
+      console.error("Failed to import glossary:", error);
+      showToast(`ورود واژه‌نامه ناموفق بود: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * قالب ویرایشگر را اعتبارسنجی کرده و دستورالعمل‌های ساخته‌شده از آن را برای یک متن نمونه نمایش می‌دهد.
+   */
+  async function previewPromptTemplate() {
+    const problems = validatePromptTemplate(templateBodyInput.value);
+    renderTemplateProblems(problems);
+    templatePreview.classList.toggle("hidden", problems.length > 0);
+    if (problems.length > 0) return;
+    // یک دستورالعمل سبک نمونه نشان می‌دهد که {extraInstructions} کجا قرار می‌گیرد.
+    templatePreview.textContent = await buildUnifiedPrompt(
+      "Hello, world!",
+      "auto",
+      "fa",
+      buildStyleInstructions({ formality: "formal" }),
+      "translation",
+      templateBodyInput.value
+    );
+  }
+
+  /**
+   * قالب ویرایشگر را پس از اعتبارسنجی (به صورت قالب جدید یا ویرایش قالب انتخاب‌شده) ذخیره می‌کند.
+   */
+  async function savePromptTemplate() {
+    const template = {
+      id: templateSelect.value || Date.now().toString(36),
+      name: templateNameInput.value.trim(),
+      body: templateBodyInput.value,
+    };
+    const problems = validatePromptTemplate(template.body);
+    if (!template.name) problems.unshift("نام قالب نمی‌تواند خالی باشد.");
+    if (
+      promptTemplates.some(
+        (item) => item.id !== template.id && item.name === template.name
+      )
+    ) {
+      problems.unshift("قالب دیگری با همین نام وجود دارد.");
+    }
+    renderTemplateProblems(problems);
+    if (problems.length > 0) return;
+
+    const updated = promptTemplates.some((item) => item.id === template.id)
+      ? promptTemplates.map((item) =>
+          item.id === template.id ? template : item
+        )
+      : [...promptTemplates, template];
+    try {
+      await savePromptTemplates(updated);
+      promptTemplates = updated;
+      renderPromptTemplates(template.id);
+      showToast("قالب پرامپت ذخیره شد.");
+    } catch (error) {
+      console.error("Failed to save prompt template:", error);
+      showToast("خطا در ذخیره قالب پرامپت.", true);
+    }
+  }
+
+  /**
+   * قالب انتخاب‌شده را حذف می‌کند؛ جفت زبان‌هایی که از آن استفاده می‌کردند به قالب پیش‌فرض برمی‌گردند.
+   */
+  async function deletePromptTemplate() {
+    const updated = promptTemplates.filter(
+      (item) => item.id !== templateSelect.value
+    );
+    try {
+      await savePromptTemplates(updated);
+      promptTemplates = updated;
+      renderPromptTemplates();
+      showToast("قالب پرامپت حذف شد.");
+    } catch (error) {
+      console.error("Failed to delete prompt template:", error);
+      showToast("خطا در حذف قالب پرامپت.", true);
+    }
+  }
+
+  /**
+   * مقادیر فعلی فیلدهای سرویس ترجمه را در پیکربندی ارائه‌دهنده انتخاب‌شده ذخیره می‌کند.
+   */
+  async function saveProviderConfig() {
+    const providerId = providerSelect.value;
+    // کلید API سرویس به همین نشانی فرستاده می‌شود، پس فقط نشانی‌های http و https پذیرفته می‌شوند.
+    if (!isValidBaseUrl(providerBaseUrlInput.value.trim())) {
+      showToast("نشانی سرویس باید با http:// یا https:// شروع شود.", true);
+      return;
+    }
+    const config = {
+      // فهرست مدل‌های دریافت‌شده از سرویس با ویرایش فیلدها از بین نمی‌رود.
+      ...providerConfigs[providerId],
+      baseUrl: providerBaseUrlInput.value.trim(),
+      model: providerModelInput.value.trim(),
+    };
+    try {
+      // با قفل بودن کلیدها فیلد کلید غیرفعال است و کلید ذخیره‌شده دست نمی‌خورد.
+      if (!providerApiKeyInput.disabled) {
+        config.apiKey = await encodeApiKey(providerApiKeyInput.value.trim());
+      }
+      providerConfigs[providerId] = config;
+      await saveSetting(SETTINGS.PROVIDER_CONFIGS, providerConfigs);
+      showToast("تنظیمات سرویس ترجمه ذخیره شد.");
+    } catch (error) {
+      if (error instanceof KeysLockedError) {
+        showToast(error.message, true);
+        await loadApiKeys();
+        return;
+      }
+      console.error("Failed to save provider config:", error);
+      showToast("خطا در ذخیره تنظیمات سرویس ترجمه.", true);
+    }
+  }
+
+  /**
+   * فهرست مدل‌ها را از ارائه‌دهنده انتخاب‌شده دریافت کرده و برای استفاده در صفحه مترجم ذخیره می‌کند.
+   */
+  async function fetchModels() {
+    const provider = getProvider(providerSelect.value);
+    const apiKey = provider.usesKeyPool
+      ? keys[0]
+      : providerApiKeyInput.value.trim();
+    if (provider.usesKeyPool && !apiKey) {
+      showToast("برای دریافت فهرست مدل‌ها ابتدا یک کلید API اضافه کنید.", true);
+      return;
+    }
+
+    fetchModelsButton.disabled = true;
+    try {
+      const models = await provider.listModels({
+        apiKey,
+        config: {
+          baseUrl: providerBaseUrlInput.value.trim() || provider.defaultBaseUrl,
+        },
+      });
+      if (models.length === 0) {
+        showToast("هیچ مدلی از سرویس دریافت نشد.", true);
+        return;
+      }
+      providerConfigs[provider.id] = {
+        ...providerConfigs[provider.id],
+        models,
+      };
+      await saveSetting(SETTINGS.PROVIDER_CONFIGS, providerConfigs);
+      renderModelOptions(models);
+      showToast(`${toPersianDigits(models.length)} مدل دریافت شد.`);
+    } catch (error) {
+      console.error("Failed to fetch models:", error);
+      showToast(`دریافت فهرست مدل‌ها ناموفق بود: ${error.message}`, true);
+    } finally {
+      fetchModelsButton.disabled = false;
+    }
+  }
+
+  /**
+   * مقادیر فیلدهای پارامترهای تولید را خوانده و ذخیره می‌کند.
+   * فیلدهای خالی یا نامعتبر ذخیره نمی‌شوند تا مقدار پیش‌فرض مدل استفاده شود.
+   */
+  async function saveGenerationConfig() {
+    generationConfig = {};
+    generationInputs.forEach((input) => {
+      const value = parseFloat(input.value);
+      if (input.value.trim() !== "" && Number.isFinite(value)) {
+        generationConfig[input.dataset.generationKey] = value;
+      }
+    });
+    if (safetyThresholdSelect.value) {
+      generationConfig.safetyThreshold = safetyThresholdSelect.value;
+    }
+    try {
+      await saveSetting(SETTINGS.GENERATION_CONFIG, generationConfig);
+      showToast("پارامترهای تولید ذخیره شد.");
+    } catch (error) {
+      console.error("Failed to save generation config:", error);
+      showToast("خطا در ذخیره پارامترهای تولید.", true);
+    }
+  }
+
   /**
    * یک تابع عمومی برای مدیریت تغییر وضعیت تاگل‌های تنظیمات رفتاری برنامه.
    * @param {string} key - کلید تنظیمات در پایگاه داده.
@@ -308,6 +1226,227 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  /**
+   * مهلت پاسخ سرویس را پس از محدود کردن به بازه مجاز ذخیره می‌کند.
+   * فیلد خالی مقدار ذخیره‌شده را پاک می‌کند تا مهلت پیش‌فرض استفاده شود.
+   */
+  async function saveRequestTimeout() {
+    const value = parseInt(requestTimeoutInput.value, 10);
+    const timeout = Number.isFinite(value)
+      ? Math.min(Math.max(value, 0), 600)
+      : null;
+    requestTimeoutInput.value = timeout ?? "";
+    try {
+      await saveSetting(SETTINGS.REQUEST_TIMEOUT, timeout);
+    } catch (error) {
+      console.error("Failed to save request timeout:", error);
+      showToast("ذخیره مهلت پاسخ با خطا مواجه شد.", true);
+    }
+  }
+
+  /**
+   * حداقل شباهت پیشنهادهای حافظه ترجمه را پس از محدود کردن به بازه مجاز ذخیره می‌کند.
+   * فیلد خالی مقدار ذخیره‌شده را پاک می‌کند تا مقدار پیش‌فرض استفاده شود.
+   */
+  async function saveMemoryThreshold() {
+    const value = parseInt(memoryThresholdInput.value, 10);
+    const threshold = Number.isFinite(value)
+      ? Math.min(Math.max(value, 50), 100)
+      : null;
+    memoryThresholdInput.value = threshold ?? "";
+    try {
+      await saveSetting(SETTINGS.MEMORY_THRESHOLD, threshold);
+    } catch (error) {
+      console.error("Failed to save memory threshold:", error);
+      showToast("ذخیره حداقل شباهت با خطا مواجه شد.", true);
+    }
+  }
+
+  /**
+   * از تمام داده‌های برنامه فایل پشتیبان ساخته و آن را دانلود می‌کند.
+   */
+  async function downloadBackup() {
+    const includeApiKeys = backupIncludeKeysCheckbox.checked;
+    createBackupButton.disabled = true;
+    try {
+      const content = await createBackup({
+        includeApiKeys,
+        password: backupPasswordInput.value,
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      downloadTextFile(
+        content,
+        `motargem-backup-${date}.json`,
+        "application/json"
+      );
+      backupPasswordInput.value = "";
+      showToast(
+        includeApiKeys
+          ? "فایل پشتیبان به همراه کلیدهای رمزگذاری‌شده ساخته شد."
+          : "فایل پشتیبان ساخته شد."
+      );
+    } catch (error) {
+      console.error("Failed to create backup:", error);
+      showToast(`ساخت فایل پشتیبان ناموفق بود: ${error.message}`, true);
+    } finally {
+      createBackupButton.disabled = false;
+    }
+  }
+
+  /**
+   * حالت بازیابی انتخاب‌شده در مودال بازیابی را برمی‌گرداند.
+   * @returns {boolean} - true برای جایگزینی و false برای ادغام.
+   */
+  function isReplaceRestore() {
+    return (
+      document.querySelector('input[name="restore-mode"]:checked').value ===
+      "replace"
+    );
+  }
+
+  /**
+   * جدول پیش‌نمایش تغییرات بازیابی را بر اساس حالت انتخاب‌شده و کلیدهای بازگشوده به‌روز می‌کند.
+   */
+  async function renderRestorePreview() {
+    const current = pendingRestore;
+    if (!current) return;
+    let preview;
+    try {
+      preview = await previewRestore(current.backup, {
+        replace: isReplaceRestore(),
+        secrets: current.secrets,
+      });
+    } catch (error) {
+      console.error("Failed to preview restore:", error);
+      showToast(error.message, true);
+      return;
+    }
+    if (current !== pendingRestore) return;
+    restorePreview.innerHTML = "";
+    preview.changes.forEach(({ label, added, updated, removed }) => {
+      const row = document.createElement("tr");
+      row.className = "border-t border-gray-100 dark:border-gray-700";
+      [label, added, updated, removed].forEach((value, index) => {
+        const cell = document.createElement("td");
+        cell.className = index === 0 ? "py-2" : "py-2 text-center";
+        cell.textContent = index === 0 ? value : toPersianDigits(value);
+        if (index === 3 && removed > 0) {
+          cell.classList.add("text-red-600", "dark:text-red-400");
+        }
+        row.appendChild(cell);
+      });
+      restorePreview.appendChild(row);
+    });
+    renderRestoreProviderUrls(preview.providerUrls);
+  }
+
+  /**
+   * نشانی‌های سرویسی را که بازیابی تغییر می‌دهد نمایش می‌دهد؛ تا تأیید آن‌ها دکمه بازیابی غیرفعال است.
+   * @param {Array<{name: string, baseUrl: string}>} providerUrls - نام ارائه‌دهنده و نشانی جدید آن.
+   */
+  function renderRestoreProviderUrls(providerUrls) {
+    restoreProviderUrlsList.innerHTML = "";
+    providerUrls.forEach(({ name, baseUrl }) => {
+      const item = document.createElement("li");
+      const url = document.createElement("code");
+      url.dir = "ltr";
+      url.className = "break-all";
+      url.textContent = baseUrl;
+      item.append(`${name}: `, url);
+      restoreProviderUrlsList.appendChild(item);
+    });
+    restoreProviderUrls.classList.toggle("hidden", providerUrls.length === 0);
+    restoreProviderUrlsConfirm.checked = false;
+    confirmRestoreButton.disabled = providerUrls.length > 0;
+  }
+
+  /**
+   * فایل پشتیبان انتخاب‌شده را خوانده و مودال بازیابی را با پیش‌نمایش تغییرات نمایش می‌دهد.
+   * @param {File} file - فایل انتخاب‌شده توسط کاربر.
+   */
+  async function openRestoreModal(file) {
+    try {
+      pendingRestore = {
+        backup: parseBackup(await file.text()),
+        secrets: null,
+      };
+    } catch (error) {
+      console.error("Failed to read backup:", error);
+      showToast(`خواندن فایل پشتیبان ناموفق بود: ${error.message}`, true);
+      return;
+    }
+    restoreSummary.textContent = describeBackup(pendingRestore.backup);
+    restoreModeInputs.forEach((input) => {
+      input.checked = input.value === "merge";
+    });
+    restoreSecrets.classList.toggle("hidden", !pendingRestore.backup.secrets);
+    restoreSecretsForm.classList.remove("hidden");
+    restoreSecretsStatus.classList.add("hidden");
+    restorePasswordInput.value = "";
+    openModal(restoreModal);
+    await renderRestorePreview();
+  }
+
+  /**
+   * مودال بازیابی را بسته و فایل پشتیبان در انتظار را کنار می‌گذارد.
+   */
+  function closeRestoreModal() {
+    pendingRestore = null;
+    restorePasswordInput.value = "";
+    closeModal(restoreModal);
+  }
+
+  /**
+   * کلیدهای API رمزگذاری‌شده فایل پشتیبان را با رمز عبور واردشده بازمی‌گشاید.
+   * @param {SubmitEvent} e - رویداد ارسال فرم رمز عبور.
+   */
+  async function unlockRestoreSecrets(e) {
+    e.preventDefault();
+    const current = pendingRestore;
+    if (!current) return;
+    try {
+      current.secrets = await decryptBackupSecrets(
+        current.backup,
+        restorePasswordInput.value
+      );
+    } catch (error) {
+      showToast(error.message, true);
+      return;
+    }
+    restorePasswordInput.value = "";
+    restoreSecretsForm.classList.add("hidden");
+    restoreSecretsStatus.classList.remove("hidden");
+    await renderRestorePreview();
+  }
+
+  /**
+   * فایل پشتیبان در انتظار را با حالت انتخاب‌شده بازیابی کرده و صفحه را با داده‌های جدید به‌روز می‌کند.
+   */
+  async function confirmRestore() {
+    if (!pendingRestore) return;
+    confirmRestoreButton.disabled = true;
+    try {
+      await restoreBackup(pendingRestore.backup, {
+        replace: isReplaceRestore(),
+        secrets: pendingRestore.secrets,
+      });
+      closeRestoreModal();
+      await loadSettings();
+      applyTheme((await getSetting(SETTINGS.THEME)) || "system");
+      showToast("فایل پشتیبان با موفقیت بازیابی شد.");
+    } catch (error) {
+      console.error("Failed to restore backup:", error);
+      showToast(
+        error instanceof KeysLockedError
+          ? error.message
+          : "خطا در بازیابی فایل پشتیبان.",
+        true
+      );
+    } finally {
+      confirmRestoreButton.disabled = false;
+    }
+  }
+
   // --- توابع مربوط به منطق مودال ---
 
   /**
@@ -346,12 +1485,58 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // تغییر ارائه‌دهنده فعال و نمایش پیکربندی ذخیره‌شده آن
+  providerSelect.addEventListener("change", async () => {
+    await renderProviderSettings(providerSelect.value);
+    await saveSetting(SETTINGS.PROVIDER, providerSelect.value);
+  });
+
+  // ذخیره پیکربندی ارائه‌دهنده پس از ویرایش هر یک از فیلدها
+  [providerBaseUrlInput, providerModelInput, providerApiKeyInput].forEach(
+    (input) => input.addEventListener("change", saveProviderConfig)
+  );
+
+  // دریافت فهرست مدل‌ها از سرویس
+  fetchModelsButton.addEventListener("click", fetchModels);
+
+  // ذخیره پارامترهای تولید پس از ویرایش هر فیلد
+  [...generationInputs, safetyThresholdSelect].forEach((input) =>
+    input.addEventListener("change", saveGenerationConfig)
+  );
+
   // افزودن کلید API جدید با ارسال فرم
   addKeyForm.addEventListener("submit", (e) => {
     e.preventDefault();
     addApiKey(apiKeyInput.value);
   });
 
+  // بررسی مجدد اعتبار تمام کلیدهای ذخیره‌شده
+  retestKeysButton.addEventListener("click", retestAllKeys);
+
+  // رمزگذاری، باز و قفل کردن کلیدهای API
+  enableVaultForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    enableVault();
+  });
+  unlockVaultForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    unlockVault();
+  });
+  lockVaultButton.addEventListener("click", async () => {
+    lockKeyVault();
+    await loadApiKeys();
+    showToast("قفل کلیدهای API بسته شد.");
+  });
+  disableVaultButton.addEventListener("click", disableVault);
+  onVaultAutoLock(async () => {
+    await loadApiKeys();
+    showToast("قفل کلیدهای API به صورت خودکار بسته شد.");
+  });
+  vaultTimeoutSelect.addEventListener("change", async () => {
+    await saveKeyLockTimeout(Number(vaultTimeoutSelect.value));
+    showToast("مدت قفل خودکار ذخیره شد.");
+  });
+
   // نمایش/مخفی کردن کلید API جدید
   toggleNewKeyVisibility.addEventListener("click", () => {
     toggleInputVisibility(apiKeyInput, toggleNewKeyVisibility);
@@ -368,6 +1553,10 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     if (action === "delete") {
       deleteApiKey(index);
+    } else if (action === "reset") {
+      await deleteApiKeyStatus(keys[index]);
+      showToast("وضعیت کلید بازنشانی شد.");
+      renderApiKeys();
     } else if (action === "toggle") {
       toggleInputVisibility(input, button);
     } else if (action === "copy") {
@@ -380,13 +1569,82 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // افزودن یا ویرایش یک اصطلاح واژه‌نامه با ارسال فرم
+  glossaryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveGlossaryForm();
+  });
+  glossaryCancelEditButton.addEventListener("click", resetGlossaryForm);
+
+  // ورود اصطلاحات از فایل CSV
+  importGlossaryButton.addEventListener("click", () =>
+    glossaryFileInput.click()
+  );
+  glossaryFileInput.addEventListener("change", async () => {
+    const file = glossaryFileInput.files[0];
+    // مقدار ورودی پاک می‌شود تا انتخاب دوباره همان فایل نیز رویداد change ایجاد کند.
+    glossaryFileInput.value = "";
+    if (file) await importGlossaryCsv(file);
+  });
+
+  // مدیریت ویرایش و حذف مدخل‌های واژه‌نامه با استفاده از event delegation
+  glossaryList.addEventListener("click", async (e) => {
+    const button = e.target.closest("button[data-action]");
+    if (!button) return;
+    const id = Number(button.dataset.id);
+    const entry = glossary.find((item) => item.id === id);
+    if (!entry) return;
+
+    if (button.dataset.action === "edit") {
+      editingGlossaryId = id;
+      glossarySourceTermInput.value = entry.sourceTerm;
+      glossaryTargetTermInput.value = entry.targetTerm;
+      glossarySourceLangSelect.value = entry.sourceLang;
+      glossaryTargetLangSelect.value = entry.targetLang;
+      glossaryCaseSensitiveInput.checked = entry.caseSensitive;
+      glossarySubmitButton.textContent = "ذخیره تغییرات";
+      glossaryCancelEditButton.classList.remove("hidden");
+      glossarySourceTermInput.focus();
+    } else if (button.dataset.action === "delete") {
+      await deleteGlossaryEntry(id);
+      if (editingGlossaryId === id) resetGlossaryForm();
+      glossary = glossary.filter((item) => item.id !== id);
+      showToast("اصطلاح از واژه‌نامه حذف شد.");
+      renderGlossary();
+    }
+  });
+
+  // ویرایشگر قالب‌های پرامپت
+  templateSelect.addEventListener("change", () =>
+    renderPromptTemplates(templateSelect.value)
+  );
+  resetTemplateButton.addEventListener("click", () => {
+    templateBodyInput.value = DEFAULT_PROMPT_TEMPLATE;
+    renderTemplateProblems([]);
+    templatePreview.classList.add("hidden");
+  });
+  previewTemplateButton.addEventListener("click", previewPromptTemplate);
+  saveTemplateButton.addEventListener("click", savePromptTemplate);
+  deleteTemplateButton.addEventListener("click", deletePromptTemplate);
+
+  // ذخیره مهلت پاسخ سرویس پس از ویرایش
+  requestTimeoutInput.addEventListener("change", saveRequestTimeout);
+
+  // ذخیره حداقل شباهت پیشنهادهای حافظه ترجمه پس از ویرایش
+  memoryThresholdInput.addEventListener("change", saveMemoryThreshold);
+
+  // نگاشت هر تاگل رفتاری به کلید تنظیمات متناظر آن در پایگاه داده
+  const behaviorToggles = new Map([
+    [autoTranslateToggle, SETTINGS.AUTO_TRANSLATE],
+    [autoCopyToggle, SETTINGS.AUTO_COPY],
+    [streamToggle, SETTINGS.STREAM],
+    [translationMemoryToggle, SETTINGS.TRANSLATION_MEMORY],
+    [autoDictionaryToggle, SETTINGS.AUTO_DICTIONARY],
+  ]);
+
   // مدیریت تاگل‌های تنظیمات رفتاری
-  [autoTranslateToggle, autoCopyToggle].forEach((toggle) => {
+  behaviorToggles.forEach((key, toggle) => {
     toggle.addEventListener("click", () => {
-      const key =
-        toggle.id === "auto-translate-toggle"
-          ? SETTINGS.AUTO_TRANSLATE
-          : SETTINGS.AUTO_COPY;
       handleBehaviorToggle(key, toggle);
     });
     // افزودن پشتیبانی از کیبورد برای دسترسی‌پذیری
@@ -403,10 +1661,11 @@ document.addEventListener("DOMContentLoaded", async () => {
   closeGuideModalButton.addEventListener("click", () => closeModal(guideModal));
   guideModalBackdrop.addEventListener("click", () => closeModal(guideModal));
 
-  // باز کردن و بستن مودال تایید حذف تاریخچه
-  clearHistoryButton.addEventListener("click", () =>
-    openModal(confirmClearModal)
-  );
+  // باز کردن و بستن مودال تایید حذف تاریخچه؛ حذف ترجمه‌های ستاره‌دار هر بار باید دوباره انتخاب شود.
+  clearHistoryButton.addEventListener("click", () => {
+    includeFavoritesCheckbox.checked = false;
+    openModal(confirmClearModal);
+  });
   cancelClearButton.addEventListener("click", () =>
     closeModal(confirmClearModal)
   );
@@ -417,7 +1676,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   // تایید و اجرای عملیات پاک کردن تاریخچه
   confirmClearButton.addEventListener("click", async () => {
     try {
-      await clearHistory();
+      await clearHistory({
+        includeFavorites: includeFavoritesCheckbox.checked,
+      });
       closeModal(confirmClearModal);
       showToast("تاریخچه با موفقیت پاک شد.", false);
     } catch (error) {
@@ -426,15 +1687,59 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // پشتیبان‌گیری و بازیابی
+  backupIncludeKeysCheckbox.addEventListener("change", () => {
+    backupPasswordField.classList.toggle(
+      "hidden",
+      !backupIncludeKeysCheckbox.checked
+    );
+    if (backupIncludeKeysCheckbox.checked) backupPasswordInput.focus();
+  });
+  createBackupButton.addEventListener("click", downloadBackup);
+  restoreBackupButton.addEventListener("click", () => backupFileInput.click());
+  backupFileInput.addEventListener("change", async () => {
+    const file = backupFileInput.files[0];
+    // مقدار ورودی پاک می‌شود تا انتخاب دوباره همان فایل نیز رویداد change ایجاد کند.
+    backupFileInput.value = "";
+    if (file) await openRestoreModal(file);
+  });
+  restoreModeInputs.forEach((input) =>
+    input.addEventListener("change", renderRestorePreview)
+  );
+  restoreSecretsForm.addEventListener("submit", unlockRestoreSecrets);
+  cancelRestoreButton.addEventListener("click", closeRestoreModal);
+  restoreModalBackdrop.addEventListener("click", closeRestoreModal);
+  confirmRestoreButton.addEventListener("click", confirmRestore);
+  restoreProviderUrlsConfirm.addEventListener("change", () => {
+    confirmRestoreButton.disabled = !restoreProviderUrlsConfirm.checked;
+  });
+
   // بستن مودال‌ها با فشردن کلید Escape
   window.addEventListener("keydown", (e) => {
     if (e.key === "Escape") {
       if (!guideModal.classList.contains("hidden")) closeModal(guideModal);
       if (!confirmClearModal.classList.contains("hidden"))
         closeModal(confirmClearModal);
+      if (!restoreModal.classList.contains("hidden")) closeRestoreModal();
     }
   });
 
   // --- بارگذاری اولیه ---
+  // گزینه‌های انتخاب ارائه‌دهنده یک بار از فهرست ارائه‌دهندگان ساخته می‌شوند.
+  Object.values(PROVIDERS).forEach((provider) => {
+    providerSelect.add(new Option(provider.name, provider.id));
+  });
+  SAFETY_THRESHOLDS.forEach(({ value, label }) => {
+    safetyThresholdSelect.add(new Option(label, value));
+  });
+  PROMPT_PLACEHOLDERS.forEach(({ name, description, required }) => {
+    const item = document.createElement("li");
+    item.innerHTML = `<code dir="ltr" class="font-mono text-gray-700 dark:text-gray-300"></code> <span></span>`;
+    item.querySelector("code").textContent = `{${name}}`;
+    item.querySelector("span").textContent = required
+      ? `${description} (الزامی)`
+      : description;
+    templatePlaceholders.appendChild(item);
+  });
   loadSettings();
 });
@@ -0,0 +1,292 @@
+/**
+ * @file subtitles.js
+ * خلاصه یک‌خطی: این ماژول فایل‌های زیرنویس SRT و WebVTT را تجزیه کرده، متن کیوها را برای ترجمه دسته‌بندی می‌کند و فایل ترجمه‌شده را بازسازی می‌کند.
+ * Dependencies: ./api.js
+ * NOTE: Internal. شماره کیوها، زمان‌بندی‌ها، تنظیمات کیو و تگ‌های استایل بدون تغییر حفظ می‌شوند و فقط متن کیوها ترجمه می‌شود.
+ */
+import { translateText } from "./api.js";
+
+// حداکثر طول متن هر دسته از کیوها که در یک درخواست ترجمه می‌شود.
+// دسته‌های کوچک‌تر احتمال جا انداختن نشانگرها توسط مدل را کاهش می‌دهند.
+const MAX_BATCH_CHARS = 2500;
+// نویسه علامت راست‌به‌چپ (RLM) که به ابتدای خطوط زیرنویس‌های راست‌به‌چپ افزوده می‌شود تا نقطه‌گذاری در پخش‌کننده‌ها جابجا نشود.
+const RLM = "\u200F";
+// تگ‌های استایل HTML/WebVTT (مانند <i> و <c.yellow>) و دستورهای ASS (مانند {\an8}).
+const TAG_PATTERN = /<[^>]+>|\{\\[^}]*\}/g;
+const LEADING_TAGS_PATTERN = /^(?:\s*(?:<[^>]+>|\{\\[^}]*\}))*\s*/;
+const TRAILING_TAGS_PATTERN = /\s*(?:(?:<[^>]+>|\{\\[^}]*\})\s*)*$/;
+// نشانگر ابتدای هر کیو در متن دسته‌ای و جایگزین تگ‌های میان‌خطی؛ ارقام فارسی و عربی نیز پذیرفته می‌شوند.
+const CUE_MARKER_PATTERN = /⟦\s*([0-9۰-۹٠-٩]+)\s*⟧/g;
+const TAG_PLACEHOLDER_PATTERN = /⟪\s*([0-9۰-۹٠-٩]+)\s*⟫/g;
+
+/**
+ * دستورالعمل‌های اضافی پرامپت برای ترجمه متن دسته‌ای کیوها.
+ * @type {string[]}
+ */
+const SUBTITLE_INSTRUCTIONS = [
+  "The text is a batch of subtitle cues. Each cue starts with a marker line such as ⟦12⟧.",
+  "Keep every marker exactly as it is, on its own line and in the same order, and translate only the text under each marker.",
+  "Keep the line breaks inside each cue and keep placeholders such as ⟪1⟫ unchanged in the appropriate position.",
+];
+
+/**
+ * شماره یک نشانگر را می‌خواند؛ ارقام فارسی و عربی نیز پذیرفته می‌شوند، زیرا مدل ممکن است نشانگرها را بومی‌سازی کند.
+ * @param {string} digits - رشته ارقام.
+ * @returns {number}
+ */
+function parseMarkerNumber(digits) {
+  // ارقام فارسی (U+06F0) و عربی (U+0660) هر دو از یک مضرب ۱۶ شروع می‌شوند.
+  return Number(
+    digits.replace(/[۰-۹٠-٩]/g, (d) => String(d.charCodeAt(0) % 16))
+  );
+}
+
+/**
+ * قالب زیرنویس را از روی محتوای آن تشخیص می‌دهد.
+ * @param {string} content - محتوای متنی فایل.
+ * @returns {"srt"|"vtt"|null} - قالب تشخیص‌داده‌شده یا null اگر محتوا زیرنویس نباشد.
+ */
+function detectSubtitleFormat(content) {
+  const text = content.replace(/^\uFEFF/, "");
+  if (/^WEBVTT(?:[ \t].*)?(?:\r?\n|$)/.test(text)) return "vtt";
+  if (
+    /^\s*\d+[ \t]*\r?\n\d{1,2}:\d{2}:\d{2}[,.]\d{3}[ \t]*-->[ \t]*\d{1,2}:\d{2}:\d{2}[,.]\d{3}/.test(
+      text
+    )
+  ) {
+    return "srt";
+  }
+  return null;
+}
+
+/**
+ * یک خط متن کیو را به تگ‌های ابتدا و انتها و متن میانی تقسیم کرده و تگ‌های میانی را با جایگزین‌های شماره‌دار عوض می‌کند.
+ * @param {string} line - یک خط متن کیو.
+ * @param {string[]} tags - آرایه تگ‌های میانی کیو که تگ‌های این خط به آن افزوده می‌شوند.
+ * @returns {{prefix: string, text: string, suffix: string}}
+ */
+function protectLine(line, tags) {
+  const prefix = line.match(LEADING_TAGS_PATTERN)[0];
+  const rest = line.slice(prefix.length);
+  const suffix = rest.match(TRAILING_TAGS_PATTERN)[0];
+  const text = rest
+    .slice(0, rest.length - suffix.length)
+    .replace(TAG_PATTERN, (tag) => `⟪${tags.push(tag) - 1}⟫`);
+  return { prefix, text, suffix };
+}
+
+/**
+ * محتوای یک فایل زیرنویس را به بلوک‌ها تجزیه می‌کند.
+ * بلوک‌های غیر کیو (مانند سرآیند WEBVTT، NOTE و STYLE) بدون تغییر نگه داشته می‌شوند.
+ * @param {string} content - محتوای متنی فایل.
+ * @returns {{format: "srt"|"vtt", eol: string, blocks: Array<Object>, cues: Array<Object>}}
+ *   - `blocks`: همه بلوک‌ها به ترتیب؛ هر بلوک `header` (خطوط بدون تغییر) و در صورت کیو بودن، `cue` دارد.
+ *   - `cues`: کیوهایی که متن قابل ترجمه دارند، هر یک با `lines` (خطوط محافظت‌شده)، `tags` و `text`.
+ * @throws {Error} - اگر محتوا یک زیرنویس SRT یا WebVTT نباشد.
+ */
+function parseSubtitles(content) {
+  const format = detectSubtitleFormat(content);
+  if (!format) {
+    throw new Error("فایل انتخاب‌شده یک زیرنویس معتبر SRT یا WebVTT نیست.");
+  }
+  const eol = content.includes("\r\n") ? "\r\n" : "\n";
+  const normalized = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+  const blocks = [];
+  const cues = [];
+  normalized
+    .split(/\n[ \t]*\n\s*/)
+    .filter((block) => block.trim())
+    .forEach((block) => {
+      const lines = block.replace(/\n+$/, "").split("\n");
+      const timingIndex = lines.findIndex((line) => line.includes("-->"));
+      // بلوک بدون خط زمان‌بندی (سرآیند، NOTE، STYLE و REGION) کیو نیست.
+      if (timingIndex === -1 || /^(?:NOTE|STYLE|REGION)\b/.test(lines[0])) {
+        blocks.push({ header: lines, cue: null });
+        return;
+      }
+
+      const tags = [];
+      const textLines = lines
+        .slice(timingIndex + 1)
+        .map((line) => protectLine(line, tags));
+      const cue = {
+        lines: textLines,
+        tags,
+        text: textLines.map((line) => line.text).join("\n"),
+        translation: null,
+      };
+      blocks.push({ header: lines.slice(0, timingIndex + 1), cue });
+      if (cue.text.trim()) cues.push(cue);
+    });
+
+  return { format, eol, blocks, cues };
+}
+
+/**
+ * کیوهای قابل ترجمه را در دسته‌هایی با طول محدود و نشانگرهای شماره‌دار قرار می‌دهد.
+ * خروجی با ساختار بخش‌های `translateChunks` سازگار است تا ترجمه هم‌زمان و ادامه بخش‌های ناموفق از همان مسیر انجام شود.
+ * @param {{cues: Array<Object>}} subtitle - خروجی `parseSubtitles`.
+ * @param {number} [maxChars=MAX_BATCH_CHARS] - حداکثر طول متن هر دسته.
+ * @returns {Array<{before: string, text: string, after: string, cueIndexes: number[]}>}
+ */
+function buildSubtitleChunks(subtitle, maxChars = MAX_BATCH_CHARS) {
+  const chunks = [];
+  let current = null;
+  subtitle.cues.forEach((cue, index) => {
+    const entry = `⟦${index + 1}⟧\n${cue.text}`;
+    if (!current || current.text.length + entry.length > maxChars) {
+      current = { before: "", text: "", after: "", cueIndexes: [] };
+      chunks.push(current);
+    }
+    current.text += (current.text ? "\n" : "") + entry;
+    current.cueIndexes.push(index);
+  });
+  return chunks;
+}
+
+/**
+ * ترجمه یک دسته را بر اساس نشانگرها به ترجمه تک‌تک کیوها تقسیم می‌کند.
+ * @param {string} translatedText - متن ترجمه‌شده دسته.
+ * @returns {Map<number, string>} - نگاشت ایندکس کیو (از صفر) به متن ترجمه‌شده آن.
+ */
+function splitBatchTranslation(translatedText) {
+  const translations = new Map();
+  const parts = translatedText.split(CUE_MARKER_PATTERN);
+  // خروجی split به صورت [متن پیش از اولین نشانگر، شماره، متن، شماره، متن، ...] است.
+  for (let i = 1; i < parts.length; i += 2) {
+    const text = parts[i + 1].trim();
+    if (text) translations.set(parseMarkerNumber(parts[i]) - 1, text);
+  }
+  return translations;
+}
+
+/**
+ * تگ‌های کیو را به متن ترجمه‌شده بازمی‌گرداند.
+ * اگر تعداد خطوط ترجمه با متن اصلی برابر باشد، تگ‌های هر خط روی همان خط قرار می‌گیرند؛
+ * در غیر این صورت تگ‌های ابتدای خط اول و انتهای خط آخر حفظ می‌شوند.
+ * @param {Object} cue - کیو تجزیه‌شده.
+ * @param {string} translation - متن ترجمه‌شده کیو.
+ * @param {boolean} rtl - آیا زبان مقصد راست‌به‌چپ است؟
+ * @returns {string[]} - خطوط نهایی کیو.
+ */
+function restoreCueLines(cue, translation, rtl) {
+  const translatedLines = translation
+    .replace(TAG_PLACEHOLDER_PATTERN, (match, digits) => {
+      return cue.tags[parseMarkerNumber(digits)] ?? "";
+    })
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const sameShape = translatedLines.length === cue.lines.length;
+  const lastIndex = translatedLines.length - 1;
+
+  return translatedLines.map((line, index) => {
+    const source = sameShape ? cue.lines[index] : null;
+    const prefix = source
+      ? source.prefix
+      : index === 0
+      ? cue.lines[0].prefix
+      : "";
+    const suffix = source
+      ? source.suffix
+      : index === lastIndex
+      ? cue.lines[cue.lines.length - 1].suffix
+      : "";
+    return prefix + (rtl ? RLM : "") + line + suffix;
+  });
+}
+
+/**
+ * ترجمه دسته‌ها را روی کیوها اعمال می‌کند و کیوهایی را که مدل نشانگرشان را جا انداخته، جداگانه ترجمه می‌کند.
+ * @param {Object} subtitle - خروجی `parseSubtitles`.
+ * @param {Array<Object>} chunks - دسته‌های ترجمه‌شده (خروجی `buildSubtitleChunks` پس از `translateChunks`).
+ * @param {string} sourceLang - کد زبان مبدأ (برای ترجمه جداگانه کیوهای جاافتاده).
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {Object} [options={}] - تنظیماتی که به `translateText` داده می‌شوند (مانند `model` و `signal`).
+ * @returns {Promise<void>}
+ */
+async function applySubtitleTranslations(
+  subtitle,
+  chunks,
+  sourceLang,
+  targetLang,
+  options = {}
+) {
+  chunks.forEach((chunk) => {
+    const translations = splitBatchTranslation(chunk.result.translatedText);
+    chunk.cueIndexes.forEach((index) => {
+      if (translations.has(index)) {
+        subtitle.cues[index].translation = translations.get(index);
+      }
+    });
+  });
+
+  const missing = subtitle.cues.filter((cue) => cue.translation === null);
+  if (missing.length > 0) {
+    console.warn(
+      `${missing.length} subtitle cue(s) lost their markers, translating individually.`
+    );
+  }
+  for (const cue of missing) {
+    const result = await translateText(cue.text, sourceLang, targetLang, {
+      ...options,
+      extraInstructions: [SUBTITLE_INSTRUCTIONS[2]],
+    });
+    cue.translation = result.translatedText;
+  }
+}
+
+/**
+ * فایل زیرنویس ترجمه‌شده را از بلوک‌های اصلی و ترجمه کیوها بازسازی می‌کند.
+ * @param {Object} subtitle - خروجی `parseSubtitles` که ترجمه کیوهای آن اعمال شده است.
+ * @param {{rtl: boolean}} options - `rtl`: آیا زبان مقصد راست‌به‌چپ است؟
+ * @returns {string} - محتوای فایل زیرنویس با همان قالب و نوع پایان خط فایل اصلی.
+ */
+function serializeSubtitles(subtitle, { rtl }) {
+  const body = subtitle.blocks
+    .map((block) => {
+      if (!block.cue) return block.header.join("\n");
+      const textLines = block.cue.translation
+        ? restoreCueLines(block.cue, block.cue.translation, rtl)
+        : block.cue.lines.map((line) => line.prefix + line.text + line.suffix);
+      return [...block.header, ...textLines].join("\n");
+    })
+    .join("\n\n");
+  return `${body}\n`.replace(/\n/g, subtitle.eol);
+}
+
+/**
+ * فایل زیرنویس ترجمه‌شده را برای دانلود در اختیار کاربر قرار می‌دهد.
+ * کد زبان مقصد پیش از پسوند به نام فایل افزوده می‌شود (مثلاً movie.fa.srt).
+ * @param {string} content - محتوای فایل.
+ * @param {"srt"|"vtt"} format - قالب زیرنویس.
+ * @param {string} fileName - نام فایل اصلی (یا یک نام پیش‌فرض).
+ * @param {string} targetLang - کد زبان مقصد.
+ */
+function downloadSubtitle(content, format, fileName, targetLang) {
+  const baseName = fileName.replace(/\.(srt|vtt)$/i, "") || "subtitle";
+  // BOM به پخش‌کننده‌های قدیمی کمک می‌کند تا کدگذاری UTF-8 فایل‌های SRT را درست تشخیص دهند.
+  const bom = format === "srt" ? "\uFEFF" : "";
+  const blob = new Blob([bom + content], {
+    type: format === "vtt" ? "text/vtt" : "application/x-subrip",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${baseName}.${targetLang}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export {
+  SUBTITLE_INSTRUCTIONS,
+  detectSubtitleFormat,
+  parseSubtitles,
+  buildSubtitleChunks,
+  applySubtitleTranslations,
+  serializeSubtitles,
+  downloadSubtitle,
+};
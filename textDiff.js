@@ -0,0 +1,80 @@
+/**
+ * @file textDiff.js
+ * خلاصه یک‌خطی: این ماژول دو متن را واژه‌به‌واژه مقایسه می‌کند تا واژه‌هایی که فقط در یکی از آن‌ها آمده‌اند (مثلاً در ترجمه برگشتی) مشخص شوند.
+ * Dependencies: None
+ * NOTE: Internal. مقایسه بر اساس طولانی‌ترین زیردنباله مشترک (LCS) واژه‌ها انجام می‌شود؛ فاصله‌ها و علائم نگارشی در مقایسه نادیده گرفته می‌شوند.
+ */
+
+// الگوی یک توکن: یک واژه، یک دنباله فاصله یا یک نویسه دیگر (مانند علائم نگارشی).
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}_]+|\s+|[^\s\p{L}\p{N}\p{M}_]/gu;
+// الگوی توکن‌هایی که واژه هستند و در مقایسه شرکت می‌کنند.
+const WORD_PATTERN = /^[\p{L}\p{N}\p{M}_]+$/u;
+// حداکثر اندازه جدول مقایسه (حاصل‌ضرب تعداد واژه‌های دو متن) برای جلوگیری از مصرف بیش از حد حافظه.
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * متن را به توکن‌ها تقسیم می‌کند.
+ * @param {string} text - متن ورودی.
+ * @returns {Array<{text: string, isWord: boolean, changed: boolean}>}
+ */
+function tokenize(text) {
+  return (text.match(TOKEN_PATTERN) || []).map((token) => ({
+    text: token,
+    isWord: WORD_PATTERN.test(token),
+    changed: false,
+  }));
+}
+
+/**
+ * دو متن را واژه‌به‌واژه مقایسه کرده و توکن‌های هر متن را به همراه وضعیت تغییر آن‌ها برمی‌گرداند.
+ * واژه‌ای «تغییرکرده» است که در طولانی‌ترین زیردنباله مشترک دو متن قرار نگیرد؛ کوچکی و بزرگی حروف اهمیتی ندارد.
+ * @param {string} original - متن اول (مثلاً متن اصلی).
+ * @param {string} revised - متن دوم (مثلاً ترجمه برگشتی).
+ * @returns {{original: Array<{text: string, changed: boolean}>, revised: Array<{text: string, changed: boolean}>}|null}
+ *   - توکن‌های دو متن؛ یا null اگر متن‌ها برای مقایسه بیش از حد طولانی باشند.
+ */
+function diffWords(original, revised) {
+  const originalTokens = tokenize(original);
+  const revisedTokens = tokenize(revised);
+  const a = originalTokens.filter((token) => token.isWord);
+  const b = revisedTokens.filter((token) => token.isWord);
+  if (a.length * b.length > MAX_DIFF_CELLS) return null;
+
+  const normalize = (token) => token.text.normalize("NFC").toLocaleLowerCase();
+  const aWords = a.map(normalize);
+  const bWords = b.map(normalize);
+
+  // lengths[i][j] طول طولانی‌ترین زیردنباله مشترک a[i..] و b[j..] است (به صورت یک آرایه تخت).
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        aWords[i] === bWords[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  // پیمایش جدول از ابتدا؛ واژه‌هایی که در زیردنباله مشترک نیستند، تغییرکرده علامت می‌خورند.
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (aWords[i] === bWords[j]) {
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      a[i++].changed = true;
+    } else {
+      b[j++].changed = true;
+    }
+  }
+  while (i < a.length) a[i++].changed = true;
+  while (j < b.length) b[j++].changed = true;
+
+  const strip = (tokens) =>
+    tokens.map(({ text, changed }) => ({ text, changed }));
+  return { original: strip(originalTokens), revised: strip(revisedTokens) };
+}
+
+export { diffWords };
@@ -10,8 +10,8 @@
 (function () {
   // ثابت‌های مورد نیاز برای دسترسی مستقیم به IndexedDB.
   // این مقادیر باید با مقادیر موجود در db.js هماهنگ باشند.
+  // نسخه پایگاه داده عمداً مشخص نمی‌شود تا ایجاد و ارتقاء ساختار فقط توسط db.js انجام شود.
   const DB_NAME = "TranslatorDB";
-  const DB_VERSION = 3;
   const SETTINGS_STORE = "settings";
   const THEME_KEY = "theme";
 
@@ -44,18 +44,16 @@
    */
   function getThemeSetting() {
     return new Promise((resolve) => {
-      // تلاش برای باز کردن اتصال به پایگاه داده.
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      // تلاش برای باز کردن اتصال به پایگاه داده (با نسخه فعلی آن).
+      const request = indexedDB.open(DB_NAME);
 
       // در صورت بروز هرگونه خطا در اتصال، به تم پیش‌فرض 'system' برمی‌گردد.
       request.onerror = () => resolve("system");
 
-      // این رویداد برای ایجاد یا ارتقاء ساختار پایگاه داده اجرا می‌شود.
+      // این رویداد فقط زمانی اجرا می‌شود که پایگاه داده هنوز وجود نداشته باشد.
+      // ایجاد آن لغو می‌شود تا db.js بتواند ساختار کامل را با نسخه صحیح بسازد.
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
-          db.createObjectStore(SETTINGS_STORE, { keyPath: "key" });
-        }
+        event.target.transaction.abort();
       };
 
       // در صورت موفقیت‌آمیز بودن اتصال، مقدار تنظیمات تم را می‌خواند.
@@ -63,9 +61,12 @@
         const db = event.target.result;
         // اگر object store مورد نظر وجود نداشته باشد، به حالت پیش‌فرض برمی‌گردد.
         if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+          db.close();
           return resolve("system");
         }
         const transaction = db.transaction(SETTINGS_STORE, "readonly");
+        // اتصال پس از خواندن بسته می‌شود تا مانع ارتقاء نسخه توسط db.js نشود.
+        transaction.oncomplete = () => db.close();
         const store = transaction.objectStore(SETTINGS_STORE);
         const getReq = store.get(THEME_KEY);
 
@@ -0,0 +1,181 @@
+/**
+ * @file translationMemory.js
+ * خلاصه یک‌خطی: این ماژول ترجمه‌های قبلی ذخیره‌شده در تاریخچه را به عنوان حافظه ترجمه جستجو می‌کند تا متن‌های تکراری بدون فراخوانی API ترجمه شوند.
+ * Dependencies: ./db.js, ./translationStyle.js
+ * NOTE: Internal. تطابق دقیق پس از یکسان‌سازی فاصله‌ها انجام می‌شود و تطابق تقریبی بر اساس فاصله ویرایشی (Levenshtein) محاسبه می‌شود.
+ */
+import { getHistoryPage, getHistoryLangPairs, getSetting } from "./db.js";
+import { isSameStyle } from "./translationStyle.js";
+
+// حداقل شباهت پیش‌فرض (درصد) برای پیشنهاد ترجمه‌های مشابه.
+const DEFAULT_MEMORY_THRESHOLD = 80;
+// حداکثر تعداد ترجمه‌های مشابهی که پیشنهاد می‌شوند.
+const MAX_MEMORY_SUGGESTIONS = 3;
+// محاسبه فاصله ویرایشی برای متن‌های بلند پرهزینه است؛ تطابق تقریبی فقط برای متن‌های کوتاه‌تر از این حد انجام می‌شود.
+const MAX_FUZZY_CHARS = 500;
+// حداکثر تعداد آیتم‌های تاریخچه (جدیدترین‌ها) که برای هر جستجو خوانده می‌شوند.
+const MAX_MEMORY_CANDIDATES = 1000;
+// حداکثر تعداد آیتم‌هایی (جدیدترین‌ها) که شباهت آن‌ها محاسبه می‌شود؛ تطابق دقیق در همه آیتم‌های خوانده‌شده جستجو می‌شود.
+const MAX_FUZZY_CANDIDATES = 200;
+
+/**
+ * متن را برای مقایسه در حافظه ترجمه یکسان‌سازی می‌کند (یکسان‌سازی یونیکد و فاصله‌ها).
+ * @param {string} text - متن ورودی.
+ * @returns {string}
+ */
+function normalizeMemoryText(text) {
+  return text.normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * بررسی می‌کند که آیا یک آیتم تاریخچه می‌تواند در حافظه ترجمه استفاده شود.
+ * جستجوهای فرهنگ لغت ترجمه متن نیستند.
+ * @param {object} item - آیتم تاریخچه.
+ * @returns {boolean}
+ */
+function isMemoryItem(item) {
+  return Boolean(item.targetText) && item.type !== "dictionary";
+}
+
+/**
+ * میزان شباهت دو متن را بر اساس فاصله ویرایشی Levenshtein محاسبه می‌کند.
+ * @param {string} a - متن اول (یکسان‌سازی‌شده).
+ * @param {string} b - متن دوم (یکسان‌سازی‌شده).
+ * @returns {number} - عددی بین ۰ (کاملاً متفاوت) و ۱ (یکسان).
+ */
+function getSimilarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  // فقط دو ردیف از جدول برنامه‌ریزی پویا نگهداری می‌شود.
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / maxLength;
+}
+
+/**
+ * آیتم‌های تاریخچه را برای یافتن ترجمه دقیق یا ترجمه‌های مشابه یک متن جستجو می‌کند.
+ * اگر زبان مبدأ «تشخیص خودکار» باشد، زبان مبدأ آیتم‌ها بررسی نمی‌شود.
+ * ترجمه دقیق فقط از آیتم‌هایی با همان سبک ترجمه برداشته می‌شود، اما پیشنهادهای مشابه به سبک وابسته نیستند.
+ * جستجوهای فرهنگ لغت ترجمه متن نیستند و در حافظه ترجمه استفاده نمی‌شوند.
+ * شباهت فقط برای `MAX_FUZZY_CANDIDATES` آیتم جدیدتر محاسبه می‌شود تا هزینه آن به اندازه تاریخچه وابسته نباشد.
+ * @param {Array<object>} items - آیتم‌های تاریخچه (از جدید به قدیم).
+ * @param {string} text - متن مبدأ.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {number} threshold - حداقل شباهت برای پیشنهاد (بین ۰ و ۱).
+ * @param {Object} [style] - سبک ترجمه فعلی.
+ * @returns {{exact: object|null, suggestions: Array<{item: object, score: number}>}}
+ */
+function findMemoryMatches(
+  items,
+  text,
+  sourceLang,
+  targetLang,
+  threshold,
+  style
+) {
+  const normalized = normalizeMemoryText(text);
+  const candidates = items.filter(
+    (item) =>
+      item.targetLang === targetLang &&
+      isMemoryItem(item) &&
+      (sourceLang === "auto" || item.sourceLang === sourceLang)
+  );
+
+  const exact = candidates.find(
+    (item) =>
+      normalizeMemoryText(item.sourceText) === normalized &&
+      isSameStyle(item.style, style)
+  );
+  if (exact || normalized.length > MAX_FUZZY_CHARS) {
+    return { exact: exact || null, suggestions: [] };
+  }
+
+  const lowered = normalized.toLocaleLowerCase();
+  const seen = new Set();
+  const suggestions = [];
+  candidates.slice(0, MAX_FUZZY_CANDIDATES).forEach((item) => {
+    const candidate = normalizeMemoryText(item.sourceText).toLocaleLowerCase();
+    // متن‌هایی که اختلاف طولشان به تنهایی شباهت را زیر آستانه می‌برد، بدون محاسبه کنار گذاشته می‌شوند.
+    const maxLength = Math.max(candidate.length, lowered.length);
+    if (
+      seen.has(candidate) ||
+      candidate.length > MAX_FUZZY_CHARS ||
+      Math.abs(candidate.length - lowered.length) / maxLength > 1 - threshold
+    ) {
+      return;
+    }
+    seen.add(candidate);
+    const score = getSimilarity(lowered, candidate);
+    if (score >= threshold) suggestions.push({ item, score });
+  });
+
+  suggestions.sort((a, b) => b.score - a.score);
+  return {
+    exact: null,
+    suggestions: suggestions.slice(0, MAX_MEMORY_SUGGESTIONS),
+  };
+}
+
+/**
+ * جدیدترین آیتم‌های تاریخچه یک جفت زبان را با پیمایش نمایه جفت زبان می‌خواند، بدون خواندن کل تاریخچه.
+ * برای زبان مبدأ «تشخیص خودکار»، آیتم‌های تمام جفت زبان‌هایی که به زبان مقصد ختم می‌شوند خوانده و بر اساس زمان ادغام می‌شوند.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @returns {Promise<Array<object>>} - حداکثر `MAX_MEMORY_CANDIDATES` آیتم، از جدید به قدیم.
+ */
+async function getMemoryCandidates(sourceLang, targetLang) {
+  const langPairs =
+    sourceLang === "auto"
+      ? (await getHistoryLangPairs()).filter((pair) =>
+          pair.endsWith(`>${targetLang}`)
+        )
+      : [`${sourceLang}>${targetLang}`];
+  const pages = await Promise.all(
+    langPairs.map((langPair) =>
+      getHistoryPage({
+        langPair,
+        limit: MAX_MEMORY_CANDIDATES,
+        filter: isMemoryItem,
+      })
+    )
+  );
+  return pages
+    .flatMap((page) => page.items)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_MEMORY_CANDIDATES);
+}
+
+/**
+ * حافظه ترجمه را برای یک متن و جفت زبان جستجو می‌کند.
+ * @param {string} text - متن مبدأ.
+ * @param {string} sourceLang - کد زبان مبدأ یا 'auto'.
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {Object} [style] - سبک ترجمه فعلی.
+ * @returns {Promise<{exact: object|null, suggestions: Array<{item: object, score: number}>}>}
+ */
+async function lookupTranslationMemory(text, sourceLang, targetLang, style) {
+  const threshold =
+    (await getSetting("translationMemoryThreshold")) ??
+    DEFAULT_MEMORY_THRESHOLD;
+  return findMemoryMatches(
+    await getMemoryCandidates(sourceLang, targetLang),
+    text,
+    sourceLang,
+    targetLang,
+    threshold / 100,
+    style
+  );
+}
+
+export { normalizeMemoryText, findMemoryMatches, lookupTranslationMemory };
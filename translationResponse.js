@@ -0,0 +1,415 @@
+/**
+ * @file translationResponse.js
+ * خلاصه یک‌خطی: این ماژول ساختار (schema) پاسخ JSON مدل را تعریف کرده، پاسخ دریافت‌شده را به صورت سخت‌گیرانه اعتبارسنجی و یکسان‌سازی می‌کند و ترجمه‌هایی را که شبیه پاسخ به متن هستند تشخیص می‌دهد.
+ * Dependencies: ./httpErrors.js
+ * NOTE: Internal. ساختار پاسخ به شکل OpenAPI مورد استفاده Gemini (`responseSchema`) تعریف شده است؛ ارائه‌دهندگانی که از آن پشتیبانی نمی‌کنند فقط به اعتبارسنجی متکی هستند.
+ */
+import { InvalidResponseError } from "./httpErrors.js";
+
+// حداقل و حداکثر تعداد ترجمه‌های جایگزین در حالت «ترجمه‌های جایگزین».
+const MIN_ALTERNATIVES = 2;
+const MAX_ALTERNATIVES = 4;
+// قالب معتبر کد زبان: کد دو یا سه حرفی ISO 639 با برچسب‌های اختیاری منطقه یا خط (مانند "en" یا "zh-TW").
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+// علامت‌های سؤال در خط‌های مختلف (لاتین، عربی و فارسی، تمام‌عرض و یونانی).
+const QUESTION_MARK_PATTERN = /[?؟？\u037E]/;
+// نشانه‌های قالب‌بندی Markdown (بلوک کد، عنوان، فهرست) در ابتدای یک خط یا هر جای متن.
+const MARKDOWN_PATTERN = /```|^\s*(#{1,6}\s|[-*•]\s|\d+[.)]\s)/m;
+// خط‌هایی که کلمات را با فاصله جدا نمی‌کنند و ترجمه آن‌ها معمولاً چند برابر طولانی‌تر است.
+const UNSPACED_SCRIPT_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+// متن‌های کوتاه‌تر از این حد بررسی نمی‌شوند، زیرا نسبت طول آن‌ها قابل اتکا نیست.
+const MIN_ANSWER_CHECK_CHARS = 20;
+
+// ساختار مدخل فرهنگ لغت: سرواژه، تلفظ یا آوانویسی و معانی به تفکیک نقش دستوری.
+const DICTIONARY_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    headword: { type: "STRING" },
+    pronunciation: { type: "STRING" },
+    entries: {
+      type: "ARRAY",
+      minItems: 1,
+      items: {
+        type: "OBJECT",
+        properties: {
+          partOfSpeech: { type: "STRING" },
+          senses: {
+            type: "ARRAY",
+            minItems: 1,
+            items: {
+              type: "OBJECT",
+              properties: {
+                translation: { type: "STRING" },
+                definition: { type: "STRING" },
+                examples: {
+                  type: "ARRAY",
+                  items: {
+                    type: "OBJECT",
+                    properties: {
+                      source: { type: "STRING" },
+                      translation: { type: "STRING" },
+                    },
+                    required: ["source", "translation"],
+                    propertyOrdering: ["source", "translation"],
+                  },
+                },
+              },
+              required: ["translation", "definition", "examples"],
+              propertyOrdering: ["translation", "definition", "examples"],
+            },
+          },
+          synonyms: { type: "ARRAY", items: { type: "STRING" } },
+        },
+        required: ["partOfSpeech", "senses", "synonyms"],
+        propertyOrdering: ["partOfSpeech", "senses", "synonyms"],
+      },
+    },
+  },
+  required: ["headword", "pronunciation", "entries"],
+  propertyOrdering: ["headword", "pronunciation", "entries"],
+};
+
+/**
+ * ساختار پاسخ JSON مورد انتظار را برای `responseSchema` در Gemini می‌سازد.
+ * @param {{alternatives?: boolean, assessment?: boolean, dictionary?: boolean}} [shape={}] - `alternatives`: به جای `translatedText` آرایه‌ای از ترجمه‌های جایگزین؛ `assessment`: کلیدهای ارزیابی ترجمه برگشتی؛ `dictionary`: به جای `translatedText` یک مدخل فرهنگ لغت.
+ * @returns {Object}
+ */
+function buildResponseSchema(shape = {}) {
+  const properties = {
+    detectedSourceLanguage: { type: "STRING" },
+  };
+  if (shape.dictionary) {
+    properties.dictionary = DICTIONARY_SCHEMA;
+  } else if (shape.alternatives) {
+    properties.alternatives = {
+      type: "ARRAY",
+      minItems: MIN_ALTERNATIVES,
+      maxItems: MAX_ALTERNATIVES,
+      items: {
+        type: "OBJECT",
+        properties: {
+          translatedText: { type: "STRING" },
+          note: { type: "STRING" },
+        },
+        required: ["translatedText", "note"],
+        propertyOrdering: ["translatedText", "note"],
+      },
+    };
+  } else {
+    properties.translatedText = { type: "STRING" };
+  }
+  if (shape.assessment) {
+    properties.adequacy = { type: "INTEGER", minimum: 1, maximum: 5 };
+    properties.fluency = { type: "INTEGER", minimum: 1, maximum: 5 };
+    properties.meaningShifts = { type: "ARRAY", items: { type: "STRING" } };
+  }
+  properties.newLanguageInfo = {
+    type: "OBJECT",
+    properties: {
+      code: { type: "STRING" },
+      name: { type: "STRING" },
+      englishName: { type: "STRING" },
+      dir: { type: "STRING", enum: ["ltr", "rtl"] },
+    },
+    required: ["code", "name", "englishName", "dir"],
+    propertyOrdering: ["code", "name", "englishName", "dir"],
+  };
+
+  const required = Object.keys(properties).filter(
+    (key) => key !== "newLanguageInfo"
+  );
+  return {
+    type: "OBJECT",
+    properties,
+    required,
+    propertyOrdering: Object.keys(properties),
+  };
+}
+
+/**
+ * شیء JSON را از متن خام پاسخ مدل استخراج می‌کند.
+ * بک‌تیک‌های Markdown و متن اضافه پیش و پس از شیء JSON نادیده گرفته می‌شوند.
+ * @param {string} rawText - متن خام تولیدشده توسط مدل.
+ * @returns {*} - مقدار پارس‌شده، یا undefined اگر هیچ JSON معتبری پیدا نشود.
+ */
+function extractJson(rawText) {
+  const cleaned = rawText.trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    // مدل ممکن است پیش یا پس از JSON توضیحی نوشته باشد؛ بزرگ‌ترین بازه بین آکولادها امتحان می‌شود.
+    const start = cleaned.indexOf("{");
+    const end = cleaned.lastIndexOf("}");
+    if (start === -1 || end <= start) return undefined;
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch (e2) {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * بررسی می‌کند که مقدار یک شیء ساده (و نه آرایه یا null) باشد.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * بررسی می‌کند که مقدار یک رشته غیرخالی باشد.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * بررسی می‌کند که مقدار یک عدد صحیح بین ۱ و ۵ باشد.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isScore(value) {
+  return Number.isInteger(value) && value >= 1 && value <= 5;
+}
+
+/**
+ * بررسی می‌کند که مقدار آرایه‌ای از رشته‌ها باشد.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+/**
+ * مدخل فرهنگ لغت پاسخ مدل را اعتبارسنجی و یکسان‌سازی می‌کند.
+ * @param {*} dictionary - مقدار کلید `dictionary` پاسخ.
+ * @returns {Object|null} - مدخل یکسان‌سازی‌شده، یا null اگر ساختار آن معتبر نباشد.
+ */
+function parseDictionaryEntry(dictionary) {
+  const isValidSense = (sense) =>
+    isPlainObject(sense) &&
+    isNonEmptyString(sense.translation) &&
+    typeof sense.definition === "string" &&
+    Array.isArray(sense.examples) &&
+    sense.examples.every(
+      (example) =>
+        isPlainObject(example) &&
+        isNonEmptyString(example.source) &&
+        typeof example.translation === "string"
+    );
+  const valid =
+    isPlainObject(dictionary) &&
+    isNonEmptyString(dictionary.headword) &&
+    typeof dictionary.pronunciation === "string" &&
+    Array.isArray(dictionary.entries) &&
+    dictionary.entries.length > 0 &&
+    dictionary.entries.every(
+      (entry) =>
+        isPlainObject(entry) &&
+        typeof entry.partOfSpeech === "string" &&
+        Array.isArray(entry.senses) &&
+        entry.senses.length > 0 &&
+        entry.senses.every(isValidSense) &&
+        isStringArray(entry.synonyms)
+    );
+  if (!valid) return null;
+
+  return {
+    headword: dictionary.headword.trim(),
+    pronunciation: dictionary.pronunciation.trim(),
+    entries: dictionary.entries.map((entry) => ({
+      partOfSpeech: entry.partOfSpeech.trim(),
+      senses: entry.senses.map((sense) => ({
+        translation: sense.translation.trim(),
+        definition: sense.definition.trim(),
+        examples: sense.examples.map((example) => ({
+          source: example.source.trim(),
+          translation: example.translation.trim(),
+        })),
+      })),
+      synonyms: entry.synonyms.map((synonym) => synonym.trim()).filter(Boolean),
+    })),
+  };
+}
+
+/**
+ * پاسخ مدل را پارس و به صورت سخت‌گیرانه اعتبارسنجی می‌کند و فقط کلیدهای شناخته‌شده را برمی‌گرداند.
+ * کدهای زبان به حروف کوچک تبدیل می‌شوند.
+ * @param {string} rawText - متن خام تولیدشده توسط مدل.
+ * @param {{alternatives?: boolean, assessment?: boolean, dictionary?: boolean}} [shape={}] - ساختار مورد انتظار (همانند `buildResponseSchema`).
+ * @returns {Object} - نتیجه ترجمه؛ در حالت ترجمه‌های جایگزین، `translatedText` برابر اولین ترجمه جایگزین و در حالت فرهنگ لغت، برابر ترجمه نخستین معنا است.
+ * @throws {InvalidResponseError} - اگر پاسخ JSON معتبر نباشد یا با ساختار مورد انتظار مطابقت نداشته باشد.
+ */
+function parseTranslationResponse(rawText, shape = {}) {
+  const data = extractJson(rawText || "");
+  if (!isPlainObject(data)) {
+    console.error("Response is not a JSON object:", rawText);
+    throw new InvalidResponseError(
+      ["The reply is not a single valid JSON object."],
+      rawText
+    );
+  }
+
+  const problems = [];
+  const result = {};
+
+  if (
+    typeof data.detectedSourceLanguage === "string" &&
+    LANGUAGE_CODE_PATTERN.test(data.detectedSourceLanguage)
+  ) {
+    result.detectedSourceLanguage = data.detectedSourceLanguage.toLowerCase();
+  } else {
+    problems.push(
+      '"detectedSourceLanguage" must be a language code such as "en" or "fa".'
+    );
+  }
+
+  if (shape.dictionary) {
+    const dictionary = parseDictionaryEntry(data.dictionary);
+    if (dictionary) {
+      result.dictionary = dictionary;
+      result.translatedText = dictionary.entries[0].senses[0].translation;
+    } else {
+      problems.push(
+        '"dictionary" must be an object with a non-empty string "headword", a string "pronunciation" and a non-empty "entries" array; each entry needs a string "partOfSpeech", a string array "synonyms" and a non-empty "senses" array whose items have a non-empty "translation", a string "definition" and an "examples" array of {"source", "translation"} strings.'
+      );
+    }
+  } else if (shape.alternatives) {
+    const alternatives = Array.isArray(data.alternatives)
+      ? data.alternatives
+      : [];
+    const valid =
+      alternatives.length >= MIN_ALTERNATIVES &&
+      alternatives.length <= MAX_ALTERNATIVES &&
+      alternatives.every(
+        (candidate) =>
+          isPlainObject(candidate) &&
+          isNonEmptyString(candidate.translatedText) &&
+          typeof candidate.note === "string"
+      );
+    if (valid) {
+      result.alternatives = alternatives.map((candidate) => ({
+        translatedText: candidate.translatedText,
+        note: candidate.note.trim(),
+      }));
+      result.translatedText = result.alternatives[0].translatedText;
+    } else {
+      problems.push(
+        `"alternatives" must be an array of ${MIN_ALTERNATIVES} to ${MAX_ALTERNATIVES} objects, each with a non-empty string "translatedText" and a string "note".`
+      );
+    }
+  } else if (isNonEmptyString(data.translatedText)) {
+    result.translatedText = data.translatedText;
+  } else {
+    problems.push('"translatedText" must be a non-empty string.');
+  }
+
+  if (shape.assessment) {
+    if (isScore(data.adequacy) && isScore(data.fluency)) {
+      result.adequacy = data.adequacy;
+      result.fluency = data.fluency;
+    } else {
+      problems.push('"adequacy" and "fluency" must be integers from 1 to 5.');
+    }
+    if (
+      Array.isArray(data.meaningShifts) &&
+      data.meaningShifts.every((shift) => typeof shift === "string")
+    ) {
+      result.meaningShifts = data.meaningShifts
+        .map((shift) => shift.trim())
+        .filter(Boolean);
+    } else {
+      problems.push('"meaningShifts" must be an array of strings.');
+    }
+  }
+
+  // اطلاعات زبان جدید مستقیماً در پایگاه داده ذخیره می‌شود و باید کاملاً معتبر باشد.
+  if (data.newLanguageInfo !== undefined && data.newLanguageInfo !== null) {
+    const info = data.newLanguageInfo;
+    const valid =
+      isPlainObject(info) &&
+      typeof info.code === "string" &&
+      info.code.toLowerCase() === result.detectedSourceLanguage &&
+      isNonEmptyString(info.name) &&
+      isNonEmptyString(info.englishName) &&
+      (info.dir === "ltr" || info.dir === "rtl");
+    if (valid) {
+      result.newLanguageInfo = {
+        code: result.detectedSourceLanguage,
+        name: info.name.trim(),
+        englishName: info.englishName.trim(),
+        dir: info.dir,
+      };
+    } else {
+      problems.push(
+        '"newLanguageInfo" must be an object whose "code" equals "detectedSourceLanguage", with non-empty string "name" and "englishName", and "dir" set to "ltr" or "rtl".'
+      );
+    }
+  }
+
+  if (problems.length > 0) {
+    console.error("Invalid response structure:", problems, rawText);
+    throw new InvalidResponseError(problems, rawText);
+  }
+  return result;
+}
+
+/**
+ * نشانه‌هایی را برمی‌گرداند که نشان می‌دهند مدل به جای ترجمه متن، به آن پاسخ داده یا از دستورات داخل آن پیروی کرده است.
+ * این بررسی بر اساس قواعد ساده است و فقط برای هشدار به کاربر به کار می‌رود.
+ * @param {string} sourceText - متن مبدأ.
+ * @param {string} translatedText - متن ترجمه‌شده.
+ * @returns {string[]} - توضیح فارسی هر نشانه؛ اگر ترجمه عادی به نظر برسد آرایه خالی.
+ */
+function findAnswerSigns(sourceText, translatedText) {
+  const source = sourceText.trim();
+  const translation = translatedText.trim();
+  if (source.length < MIN_ANSWER_CHECK_CHARS || !translation) return [];
+
+  const signs = [];
+  const maxLengthRatio = UNSPACED_SCRIPT_PATTERN.test(source) ? 6 : 3;
+  if (translation.length > source.length * maxLengthRatio) {
+    signs.push("ترجمه چند برابر طولانی‌تر از متن مبدأ است");
+  }
+
+  const countLines = (text) =>
+    text.split("\n").filter((line) => line.trim()).length;
+  const sourceLines = countLines(source);
+  const translationLines = countLines(translation);
+  if (
+    translationLines > sourceLines * 2 &&
+    translationLines > sourceLines + 2
+  ) {
+    signs.push("ترجمه خط‌ها یا بندهایی دارد که در متن مبدأ نیست");
+  } else if (
+    MARKDOWN_PATTERN.test(translation) &&
+    !MARKDOWN_PATTERN.test(source)
+  ) {
+    signs.push("ترجمه قالب‌بندی (فهرست، عنوان یا کد) دارد که در متن مبدأ نیست");
+  }
+
+  if (
+    QUESTION_MARK_PATTERN.test(source.slice(-1)) &&
+    !QUESTION_MARK_PATTERN.test(translation)
+  ) {
+    signs.push("متن مبدأ پرسش است اما ترجمه هیچ پرسشی ندارد");
+  }
+  return signs;
+}
+
+export {
+  MIN_ALTERNATIVES,
+  MAX_ALTERNATIVES,
+  buildResponseSchema,
+  parseDictionaryEntry,
+  parseTranslationResponse,
+  findAnswerSigns,
+};
@@ -0,0 +1,207 @@
+/**
+ * @file translationStyle.js
+ * خلاصه یک‌خطی: این ماژول گزینه‌های سبک ترجمه (لحن رسمی یا محاوره‌ای، حوزه، مخاطب و یادداشت سبک) را تعریف کرده، آن‌ها را به دستورالعمل‌های پرامپت تبدیل می‌کند و برای هر جفت زبان به خاطر می‌سپارد.
+ * Dependencies: ./db.js
+ * NOTE: Internal. سبک یک شیء با کلیدهای اختیاری `formality`، `domain`، `audience` و `note` است؛ کلیدهای خالی ذخیره نمی‌شوند.
+ */
+import { getSetting, saveSetting } from "./db.js";
+
+// کلید تنظیماتی که سبک هر جفت زبان در آن ذخیره می‌شود.
+const STYLES_SETTING_KEY = "translationStyles";
+// حداکثر طول یادداشت سبک.
+const MAX_STYLE_NOTE_CHARS = 300;
+
+/**
+ * گزینه‌های لحن (میزان رسمی بودن) ترجمه.
+ * @type {Array<{value: string, label: string, instruction: string}>}
+ */
+const FORMALITY_OPTIONS = [
+  {
+    value: "formal",
+    label: "رسمی",
+    instruction:
+      "Use a formal, polite register instead of mirroring the source register. For Persian, use standard written (کتابی) Persian.",
+  },
+  {
+    value: "neutral",
+    label: "خنثی",
+    instruction:
+      "Use a neutral register that is neither formal nor colloquial.",
+  },
+  {
+    value: "informal",
+    label: "محاوره‌ای",
+    instruction:
+      "Use an informal, colloquial register instead of mirroring the source register. For Persian, use natural spoken (محاوره) Persian, e.g. «می‌خوام» rather than «می‌خواهم».",
+  },
+];
+
+/**
+ * گزینه‌های حوزه تخصصی متن.
+ * @type {Array<{value: string, label: string, instruction: string}>}
+ */
+const DOMAIN_OPTIONS = [
+  {
+    value: "legal",
+    label: "حقوقی",
+    instruction:
+      "The text is legal. Use precise, established legal terminology and do not simplify or paraphrase obligations.",
+  },
+  {
+    value: "medical",
+    label: "پزشکی",
+    instruction:
+      "The text is medical. Use standard medical terminology and keep dosages, units and names exactly as written.",
+  },
+  {
+    value: "technical",
+    label: "فنی",
+    instruction:
+      "The text is technical. Use established technical terminology and keep code, commands and identifiers untranslated.",
+  },
+  {
+    value: "marketing",
+    label: "بازاریابی",
+    instruction:
+      "The text is marketing copy. Favor persuasive, natural-sounding wording over a literal translation.",
+  },
+];
+
+/**
+ * گزینه‌های مخاطب هدف ترجمه.
+ * @type {Array<{value: string, label: string, instruction: string}>}
+ */
+const AUDIENCE_OPTIONS = [
+  {
+    value: "general",
+    label: "عموم مردم",
+    instruction:
+      "The audience is the general public. Prefer plain, accessible wording.",
+  },
+  {
+    value: "experts",
+    label: "متخصصان",
+    instruction:
+      "The audience is domain experts. Technical terms need no explanation.",
+  },
+  {
+    value: "children",
+    label: "کودکان",
+    instruction:
+      "The audience is children. Use simple words and short sentences.",
+  },
+];
+
+// نگاشت هر کلید سبک به فهرست گزینه‌های آن.
+const STYLE_OPTIONS = {
+  formality: FORMALITY_OPTIONS,
+  domain: DOMAIN_OPTIONS,
+  audience: AUDIENCE_OPTIONS,
+};
+
+/**
+ * سبک را یکسان‌سازی می‌کند: مقادیر نامعتبر و خالی حذف شده و یادداشت کوتاه می‌شود.
+ * @param {Object} [style] - سبک ورودی.
+ * @returns {Object} - سبکی که فقط کلیدهای دارای مقدار را دارد.
+ */
+function normalizeStyle(style) {
+  const normalized = {};
+  Object.entries(STYLE_OPTIONS).forEach(([key, options]) => {
+    if (options.some((option) => option.value === style?.[key])) {
+      normalized[key] = style[key];
+    }
+  });
+  const note = (style?.note || "").trim().slice(0, MAX_STYLE_NOTE_CHARS);
+  if (note) normalized.note = note;
+  return normalized;
+}
+
+/**
+ * بررسی می‌کند که آیا دو سبک (پس از یکسان‌سازی) یکسان هستند یا خیر.
+ * @param {Object} [a] - سبک اول.
+ * @param {Object} [b] - سبک دوم.
+ * @returns {boolean}
+ */
+function isSameStyle(a, b) {
+  return (
+    JSON.stringify(normalizeStyle(a)) === JSON.stringify(normalizeStyle(b))
+  );
+}
+
+/**
+ * سبک ترجمه را به دستورالعمل‌های اضافی پرامپت تبدیل می‌کند.
+ * @param {Object} [style] - سبک ترجمه.
+ * @returns {string[]} - دستورالعمل‌ها؛ برای سبک پیش‌فرض آرایه خالی.
+ */
+function buildStyleInstructions(style) {
+  const normalized = normalizeStyle(style);
+  const instructions = Object.entries(STYLE_OPTIONS)
+    .filter(([key]) => normalized[key])
+    .map(
+      ([key, options]) =>
+        options.find((option) => option.value === normalized[key]).instruction
+    );
+  if (normalized.note) {
+    instructions.push(
+      `Follow this style note from the user: ${JSON.stringify(normalized.note)}`
+    );
+  }
+  return instructions;
+}
+
+/**
+ * خلاصه فارسی سبک را برای نمایش (مثلاً در تاریخچه) برمی‌گرداند.
+ * @param {Object} [style] - سبک ترجمه.
+ * @returns {string} - مانند «رسمی · حقوقی»؛ برای سبک پیش‌فرض رشته خالی.
+ */
+function describeStyle(style) {
+  const normalized = normalizeStyle(style);
+  const parts = Object.entries(STYLE_OPTIONS)
+    .filter(([key]) => normalized[key])
+    .map(
+      ([key, options]) =>
+        options.find((option) => option.value === normalized[key]).label
+    );
+  if (normalized.note) parts.push(`«${normalized.note}»`);
+  return parts.join(" · ");
+}
+
+/**
+ * سبک ذخیره‌شده برای یک جفت زبان را برمی‌گرداند.
+ * @param {string} sourceLang - کد زبان مبدأ (می‌تواند 'auto' باشد).
+ * @param {string} targetLang - کد زبان مقصد.
+ * @returns {Promise<Object>}
+ */
+async function getPairStyle(sourceLang, targetLang) {
+  const styles = (await getSetting(STYLES_SETTING_KEY)) || {};
+  return normalizeStyle(styles[`${sourceLang}>${targetLang}`]);
+}
+
+/**
+ * سبک یک جفت زبان را ذخیره می‌کند؛ سبک پیش‌فرض (خالی) از تنظیمات حذف می‌شود.
+ * @param {string} sourceLang - کد زبان مبدأ (می‌تواند 'auto' باشد).
+ * @param {string} targetLang - کد زبان مقصد.
+ * @param {Object} style - سبک ترجمه.
+ * @returns {Promise<void>}
+ */
+async function savePairStyle(sourceLang, targetLang, style) {
+  const styles = (await getSetting(STYLES_SETTING_KEY)) || {};
+  const key = `${sourceLang}>${targetLang}`;
+  const normalized = normalizeStyle(style);
+  if (Object.keys(normalized).length) styles[key] = normalized;
+  else delete styles[key];
+  await saveSetting(STYLES_SETTING_KEY, styles);
+}
+
+export {
+  FORMALITY_OPTIONS,
+  DOMAIN_OPTIONS,
+  AUDIENCE_OPTIONS,
+  MAX_STYLE_NOTE_CHARS,
+  normalizeStyle,
+  isSameStyle,
+  buildStyleInstructions,
+  describeStyle,
+  getPairStyle,
+  savePairStyle,
+};
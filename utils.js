@@ -68,35 +68,255 @@ async function copyToClipboard(text) {
   }
 }
 
+// معادل‌های یکسان‌شده حروفی که در متن‌های فارسی به چند شکل نوشته می‌شوند (عربی/فارسی) و ارقام فارسی و عربی.
+const SEARCH_CHAR_MAP = {
+  ك: "ک",
+  ي: "ی",
+  ى: "ی",
+  ئ: "ی",
+  ة: "ه",
+  ۀ: "ه",
+  أ: "ا",
+  إ: "ا",
+  ٱ: "ا",
+  ؤ: "و",
+};
+// نویسه‌هایی که در جستجو نادیده گرفته می‌شوند: نیم‌فاصله، اتصال‌دهنده، کشیده و اعراب عربی.
+const SEARCH_IGNORED_PATTERN = /[\u200C\u200D\u0640\u064B-\u065F\u0670]/;
+// علائم ترکیبی (مانند اعراب) که روی حرف پیش از خود قرار می‌گیرند.
+const DIACRITIC_PATTERN = /\p{M}/u;
+// علائم ترکیبی (مانند تکیه‌های لاتین) که پس از تجزیه یونیکد حذف می‌شوند.
+const COMBINING_MARK_PATTERN = /\p{M}/gu;
+// نویسه‌هایی که جزئی از یک واژه هستند (برای جستجوی «کل واژه»).
+const WORD_CHAR_PATTERN = /[\p{L}\p{N}]/u;
+
+/**
+ * یک نویسه را برای جستجو یکسان می‌کند (حروف کوچک، بدون اعراب و با شکل فارسی حروف و ارقام لاتین).
+ * @param {string} char - یک نویسه (code point).
+ * @returns {string} - شکل یکسان‌شده؛ رشته خالی برای نویسه‌های نادیده‌گرفته‌شده.
+ */
+function normalizeSearchChar(char) {
+  if (SEARCH_IGNORED_PATTERN.test(char)) return "";
+  const code = char.codePointAt(0);
+  // ارقام فارسی (۰-۹) و عربی (٠-٩)
+  if (code >= 0x06f0 && code <= 0x06f9) return String(code - 0x06f0);
+  if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+  const mapped = SEARCH_CHAR_MAP[char] || char;
+  return mapped
+    .normalize("NFD")
+    .replace(COMBINING_MARK_PATTERN, "")
+    .toLowerCase();
+}
+
+/**
+ * متن را برای جستجو یکسان می‌کند تا تفاوت‌های نگارشی (ی/ي، ک/ك، نیم‌فاصله، اعراب، ارقام فارسی و لاتین و بزرگی حروف) مانع تطبیق نشوند.
+ * @param {string} text - متن.
+ * @returns {string} - متن یکسان‌شده.
+ */
+function normalizeSearchText(text) {
+  let normalized = "";
+  for (const char of text) normalized += normalizeSearchChar(char);
+  return normalized;
+}
+
+/**
+ * متن یکسان‌شده را به همراه جایگاه نویسه اصلی متناظر هر نویسه آن در متن اصلی می‌سازد.
+ * اعراب پس از یک حرف جزئی از همان حرف به حساب می‌آیند، اما نیم‌فاصله و کشیده نه.
+ * @param {string} text - متن اصلی.
+ * @returns {{normalized: string, starts: number[], ends: number[]}} - جایگاه آغاز و پایان نویسه اصلی هر نویسه متن یکسان‌شده.
+ */
+function normalizeWithOffsets(text) {
+  let normalized = "";
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    const mapped = normalizeSearchChar(char);
+    for (let i = 0; i < mapped.length; i++) {
+      starts.push(index);
+      ends.push(index + char.length);
+    }
+    if (!mapped && ends.length > 0 && DIACRITIC_PATTERN.test(char)) {
+      ends[ends.length - 1] = index + char.length;
+    }
+    normalized += mapped;
+    index += char.length;
+  }
+  return { normalized, starts, ends };
+}
+
+/**
+ * رخدادهای یک عبارت جستجو را با مقایسه متن‌های یکسان‌شده در متن پیدا می‌کند.
+ * @param {string} text - متنی که جستجو در آن انجام می‌شود.
+ * @param {string} searchTerm - عبارت جستجو.
+ * @param {{wholeWord?: boolean}} [options={}] - `wholeWord`: فقط رخدادهایی که یک یا چند واژه کامل هستند.
+ * @returns {Array<[number, number]>} - بازه‌های `[آغاز, پایان)` رخدادها در متن اصلی.
+ */
+function findSearchMatches(text, searchTerm, { wholeWord = false } = {}) {
+  const term = normalizeSearchText(searchTerm.trim());
+  if (!term || !text) return [];
+  const { normalized, starts, ends } = normalizeWithOffsets(text);
+  const matches = [];
+  let start = normalized.indexOf(term);
+  while (start !== -1) {
+    const end = start + term.length;
+    const isWhole =
+      !WORD_CHAR_PATTERN.test(normalized[start - 1] || "") &&
+      !WORD_CHAR_PATTERN.test(normalized[end] || "");
+    if (!wholeWord || isWhole) {
+      matches.push([starts[start], ends[end - 1]]);
+      start = normalized.indexOf(term, end);
+    } else {
+      start = normalized.indexOf(term, start + 1);
+    }
+  }
+  return matches;
+}
+
 /**
- * کاراکترهای ویژه را در یک رشته برای استفاده در یک عبارت منظم (Regular Expression) escape می‌کند.
- * @param {string} str - رشته‌ای که باید escape شود.
- * @returns {string} - رشته escape شده.
+ * نویسه‌های ویژه HTML را escape می‌کند تا متن به صورت امن در innerHTML درج شود.
+ * @param {string} text - متن.
+ * @returns {string}
  */
-function escapeRegExp(str) {
-  // $& به معنای کل رشته‌ای است که مطابقت داشته است.
-  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /**
  * رخدادهای یک عبارت جستجو را در یک متن هایلایت می‌کند.
- * این تابع به حروف بزرگ و کوچک حساس نیست و کاراکترهای ویژه را مدیریت می‌کند.
+ * تطبیق روی متن یکسان‌شده (`findSearchMatches`) انجام می‌شود، اما نویسه‌های اصلی متن بدون تغییر هایلایت می‌شوند.
  * @param {string} text - متنی که باید در آن جستجو و هایلایت انجام شود.
  * @param {string} searchTerm - عبارتی که باید هایلایت شود.
- * @returns {string} - یک رشته HTML با عبارت جستجو شده که درون تگ `<span>` هایلایت شده است.
+ * @param {{wholeWord?: boolean}} [options={}] - گزینه‌های جستجو.
+ * @returns {string} - یک رشته HTML (escape‌شده) با رخدادهای عبارت جستجو درون تگ `<span>` هایلایت‌شده.
  */
-function highlightText(text, searchTerm) {
-  if (!searchTerm || !text) {
-    return text;
+function highlightText(text, searchTerm, options = {}) {
+  if (!text) return "";
+  let html = "";
+  let last = 0;
+  findSearchMatches(text, searchTerm || "", options).forEach(([start, end]) => {
+    html += escapeHtml(text.slice(last, start));
+    html += `<span class="bg-yellow-200 dark:bg-yellow-700/60 text-gray-900 dark:text-yellow-100 rounded-sm px-0.5">${escapeHtml(
+      text.slice(start, end)
+    )}</span>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * محتوای CSV را با پشتیبانی از مقادیر داخل کوتیشن به ردیف‌ها و سلول‌ها تقسیم می‌کند.
+ * @param {string} content - کل محتوای CSV.
+ * @param {string} delimiter - جداکننده ستون‌ها.
+ * @returns {string[][]} - ردیف‌ها و سلول‌های فایل.
+ */
+function parseCsvRows(content, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (inQuotes) {
+      if (ch === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
   }
-  // یک عبارت منظم سراسری (g) و غیرحساس به حروف (i) ایجاد می‌کند.
-  const regex = new RegExp(`(${escapeRegExp(searchTerm)})`, "gi");
-  // عبارات یافت‌شده را با یک تگ span استایل‌دار جایگزین می‌کند.
-  // $1 به اولین گروه capture شده (خود عبارت جستجو) اشاره دارد تا حروف اصلی حفظ شوند.
-  return text.replace(
-    regex,
-    `<span class="bg-yellow-200 dark:bg-yellow-700/60 text-gray-900 dark:text-yellow-100 rounded-sm px-0.5">$1</span>`
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * محتوای یک فایل CSV را به ردیف‌ها تبدیل می‌کند؛ BOM حذف و جداکننده (ویرگول، نقطه‌ویرگول یا Tab) از روی خط اول تشخیص داده می‌شود.
+ * ردیف‌های خالی نادیده گرفته می‌شوند.
+ * @param {string} content - محتوای فایل CSV.
+ * @returns {string[][]} - ردیف‌ها و سلول‌های فایل.
+ */
+function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
   );
+  return parseCsvRows(text, delimiter);
+}
+
+/**
+ * یک سلول را برای درج در فایل CSV آماده می‌کند (داخل کوتیشن و با دو برابر کردن کوتیشن‌های داخلی).
+ * @param {*} value - مقدار سلول.
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  return `"${String(value ?? "").replace(/"/g, '""')}"`;
+}
+
+/**
+ * یک فایل متنی را در مرورگر دانلود می‌کند.
+ * @param {string} content - محتوای فایل.
+ * @param {string} fileName - نام فایل.
+ * @param {string} type - نوع MIME فایل.
+ */
+function downloadTextFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * تابعی می‌سازد که اجرای `fn` را تا گذشت `wait` میلی‌ثانیه بدون فراخوانی دوباره به تعویق می‌اندازد (مثلاً برای جستجو هنگام تایپ).
+ * @param {Function} fn - تابعی که باید اجرا شود.
+ * @param {number} wait - مدت انتظار (میلی‌ثانیه).
+ * @returns {Function} - تابع به تعویق‌افتاده که آخرین آرگومان‌ها را به `fn` می‌دهد.
+ */
+function debounce(fn, wait) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
 }
 
-export { toPersianDigits, formatTimestamp, copyToClipboard, highlightText };
+export {
+  toPersianDigits,
+  formatTimestamp,
+  copyToClipboard,
+  highlightText,
+  normalizeSearchText,
+  findSearchMatches,
+  parseCsv,
+  toCsvCell,
+  downloadTextFile,
+  debounce,
+};